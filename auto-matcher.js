@@ -0,0 +1,162 @@
+/**
+ * Closed-loop Automatic Matching
+ * Measures candidates shown on the control device through the camera and
+ * drives a ColorMatcher until the screen matches the physical sample
+ */
+
+/**
+ * Build a rectangle from two corner points
+ * @param {Object} start - First corner {x, y}
+ * @param {Object} end - Opposite corner {x, y}
+ * @returns {Object} Region {x, y, width, height}
+ */
+function regionFromPoints(start, end) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    return {
+        x: Math.round(x),
+        y: Math.round(y),
+        width: Math.max(1, Math.round(Math.abs(end.x - start.x))),
+        height: Math.max(1, Math.round(Math.abs(end.y - start.y)))
+    };
+}
+
+/**
+ * Auto Matcher Class
+ * Shows a candidate, measures screen and sample through the camera, scores them
+ * with the matcher's color-difference metric and corrects the next candidate by the measured error
+ */
+class AutoMatcher {
+    /**
+     * @param {ColorMatcher} colorMatcher - Matcher providing candidates
+     * @param {Object} options
+     * @param {Function} options.showCandidate - Sends a candidate to the control device
+     * @param {Function} options.measureDisplay - Resolves to a camera sample {lab} of the screen region
+     * @param {Function} options.measureSample - Resolves to a camera sample {lab} of the sample region
+     * @param {number} [options.tolerance=2] - Difference (in the matcher's metric) at which matching stops
+     * @param {number} [options.settleTime=800] - Milliseconds to wait for screen and camera to settle
+     * @param {number} [options.maxIterations=40] - Measurements before giving up
+     */
+    constructor(colorMatcher, options = {}) {
+        this.matcher = colorMatcher;
+        this.showCandidate = options.showCandidate;
+        this.measureDisplay = options.measureDisplay;
+        this.measureSample = options.measureSample;
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 2;
+        this.settleTime = options.settleTime !== undefined ? options.settleTime : 800;
+        this.maxIterations = options.maxIterations !== undefined ? options.maxIterations : 40;
+        this.minGain = 0.1;
+        this.running = false;
+        this.iteration = 0;
+        this.best = null;
+        this.onProgressCallback = null;
+    }
+
+    /**
+     * Run the loop until the match converges, candidates run out or stop() is called
+     * @returns {Promise<Object>} Result {converged, candidate, deltaE, iterations}
+     */
+    async run() {
+        this.running = true;
+        this.iteration = 0;
+        this.best = null;
+
+        let candidate = this.matcher.getNextCandidate();
+        let gain = 1;
+
+        while (this.running && candidate && this.iteration < this.maxIterations) {
+            const measurement = await this.measure(candidate);
+            if (!this.running) break;
+            this.iteration++;
+
+            this.matcher.recordMeasurement(candidate, measurement.deltaE);
+            const improved = !this.best || measurement.deltaE < this.best.deltaE;
+            if (improved) {
+                this.best = measurement;
+            }
+
+            if (this.onProgressCallback) {
+                this.onProgressCallback({
+                    iteration: this.iteration,
+                    candidate: candidate,
+                    deltaE: measurement.deltaE,
+                    best: this.best
+                });
+            }
+
+            if (measurement.deltaE <= this.tolerance) {
+                this.running = false;
+                return this.result(true);
+            }
+
+            // Overshot: step back to the best candidate with a smaller correction
+            gain = improved ? 1 : gain / 2;
+            if (gain < this.minGain) {
+                candidate = this.matcher.getNextCandidate();
+                gain = 1;
+                continue;
+            }
+
+            candidate = this.matcher.correctCandidate(
+                this.best.candidate,
+                this.best.displayLab,
+                this.best.sampleLab,
+                gain
+            );
+        }
+
+        this.running = false;
+        return this.result(false);
+    }
+
+    /**
+     * Show a candidate and measure it against the sample
+     * @param {Object} candidate - Candidate {rgb, lab}
+     * @returns {Promise<Object>} Measurement {candidate, displayLab, sampleLab, deltaE}
+     */
+    async measure(candidate) {
+        this.showCandidate(candidate);
+        await new Promise(resolve => setTimeout(resolve, this.settleTime));
+
+        const displayLab = (await this.measureDisplay()).lab;
+        const sampleLab = (await this.measureSample()).lab;
+
+        return {
+            candidate: candidate,
+            displayLab: displayLab,
+            sampleLab: sampleLab,
+            deltaE: this.matcher.metric(sampleLab, displayLab)
+        };
+    }
+
+    /**
+     * Build the result object for the best measurement so far
+     */
+    result(converged) {
+        return {
+            converged: converged,
+            candidate: this.best ? this.best.candidate : null,
+            deltaE: this.best ? this.best.deltaE : Infinity,
+            iterations: this.iteration
+        };
+    }
+
+    /**
+     * Stop after the current measurement
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Set callback for each measurement
+     */
+    onProgress(callback) {
+        this.onProgressCallback = callback;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.regionFromPoints = regionFromPoints;
+    window.AutoMatcher = AutoMatcher;
+}
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * colour-match
+ * Command-line front end to the color core, for pipeline scripts.
+ *
+ * Converts between color notations, computes ΔE between pairs, finds the nearest colors
+ * in a reference list and turns a CSV of targets into ranked candidate sets.
+ * Run without arguments for usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../color-matcher.js');
+const { IccProfile } = require('../icc-profile.js');
+const { csvRows, parseCollection, ReferenceLibrary } = require('../reference-library.js');
+
+const {
+    WHITE_POINTS, RGB_SPACES, COLOR_METRICS, BLACK_GENERATION, DEFAULT_INK_LIMIT,
+    parseColor, labToWhite, labToRgb, labToP3, rgbToHex, rgbToCmyk, isInGamut, mapToGamut,
+    createColorMetric, CmykSeparation, ColorMatcher
+} = core;
+
+const USAGE = `Usage:
+  colour-match convert <color> [--to hex|rgb|p3|lab|cmyk] [--white D50/2] [--profile printer.icc]
+  colour-match delta <color> <color> [<color> <color> …] [--metric cmc:2:1]
+  colour-match delta --file pairs.csv          (two colors a row; an optional header row)
+  colour-match nearest <color> [--list references.csv|.json] [--count 5]
+  colour-match batch targets.csv [--count 5] [--space display-p3] [--profile printer.icc [--cmyk]] [--seed 1] [--out ranked.csv]
+
+Colors are hex ("#FF8800"), RGB ("255,136,0" or "rgb(255 136 0)"), "lab(62 35 70)" or
+"cmyk(0 47 100 0)". LAB is read as D65 / 2°; --white reports it against another white.
+
+Options:
+  --metric      ${Object.keys(COLOR_METRICS).join(', ')}; factors after colons (cmc:2:1)
+  --profile     CMYK printer profile (ICC v2/v4) for CMYK values; --intent relative|perceptual
+  --cmyk        batch: search printable recipes through --profile (--ink-limit 300, --black medium)
+  --adaptation  bradford or cat16, for --white
+  --seed        batch: seed the random candidates so a run can be repeated exactly
+  --json        JSON output
+  --out         Write to a file instead of standard output`;
+
+// Options that never take a value, so they can't swallow the positional that follows them
+const FLAGS = new Set(['json', 'cmyk']);
+
+/**
+ * Split arguments into positionals and --options (flags without a value are true)
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+        } else if (arg.includes('=')) {
+            options[arg.substring(2, arg.indexOf('='))] = arg.substring(arg.indexOf('=') + 1);
+        } else if (!FLAGS.has(arg.substring(2)) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            options[arg.substring(2)] = argv[++i];
+        } else {
+            options[arg.substring(2)] = true;
+        }
+    }
+    return { positional, options };
+}
+
+/**
+ * Metric from "--metric cmc:2:1": the ID, then factors in the order the standards write them
+ */
+function metricFromOption(text = 'ciede2000') {
+    const [id, ...values] = String(text).split(':');
+    const defaults = COLOR_METRICS[id] ? COLOR_METRICS[id].params : null;
+    if (!defaults || values.length === 0) return createColorMetric(id);
+    const params = {};
+    Object.keys(defaults).forEach((key, i) => {
+        params[key] = parseFloat(values[i]) > 0 ? parseFloat(values[i]) : defaults[key];
+    });
+    return createColorMetric({ id, params });
+}
+
+function loadProfile(options) {
+    if (!options.profile) return null;
+    return new IccProfile(fs.readFileSync(options.profile), path.basename(options.profile));
+}
+
+/**
+ * Color pairs from the first two columns of a CSV; a first row in which neither cell is a
+ * color is a header, and any other row that isn't two colors is an error
+ */
+function readPairs(file) {
+    const rows = csvRows(fs.readFileSync(file, 'utf8'));
+    const isColor = cell => {
+        try {
+            parseColor(cell);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+    const header = rows.length > 0 && !rows[0].slice(0, 2).some(cell => cell !== undefined && isColor(cell));
+    const pairs = header ? rows.slice(1) : rows;
+    pairs.forEach((cells, i) => {
+        if (cells.length < 2 || !isColor(cells[0]) || !isColor(cells[1])) {
+            throw new Error(`Row ${i + (header ? 2 : 1)} of ${file} is not two colors: ${cells.join(',')}`);
+        }
+    });
+    return pairs.map(cells => cells.slice(0, 2));
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Named colors of a collection file (see parseCollection()): [{name, lab, space, value}]
+ */
+function readColorList(file) {
+    return parseCollection(fs.readFileSync(file, 'utf8'), path.basename(file)).entries;
+}
+
+/**
+ * LAB of a parsed color; CMYK goes through the printer profile when one is given
+ */
+function labOf(color, profile, options) {
+    if (color.space === 'cmyk' && profile) return profile.cmykToLab(color.value, options.intent);
+    return color.lab;
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function labText(lab) {
+    return [lab.l, lab.a, lab.b].map(v => round(v).toFixed(2)).join(', ');
+}
+
+/**
+ * Every representation of one color
+ */
+function convert(color, options, profile) {
+    const lab = labOf(color, profile, options);
+    const white = options.white || 'D65/2';
+    // LAB converts between whites of the same observer only; 10° values need the spectrum
+    const whites = Object.keys(WHITE_POINTS).filter(id => WHITE_POINTS[id].observer === 2);
+    if (!whites.includes(white)) throw new Error(`Unknown --white '${white}' (${whites.join(', ')})`);
+    const inGamut = isInGamut(lab);
+    const shown = mapToGamut(lab);
+    const rgb = labToRgb(shown.l, shown.a, shown.b);
+    const reported = white === 'D65/2' ? lab : labToWhite(lab, white, { method: options.adaptation });
+    return {
+        hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+        rgb,
+        p3: labToP3(lab.l, lab.a, lab.b),
+        lab: { l: round(reported.l), a: round(reported.a), b: round(reported.b) },
+        whitePoint: white,
+        cmyk: color.space === 'cmyk' ? color.value
+            : profile ? profile.labToCmyk(lab, options.intent) : rgbToCmyk(rgb.r, rgb.g, rgb.b),
+        inGamut
+    };
+}
+
+function runConvert({ positional, options }) {
+    if (positional.length === 0) throw new Error('convert needs a color');
+    const profile = loadProfile(options);
+    const results = positional.map(text => ({ input: text, ...convert(parseColor(text), options, profile) }));
+    if (options.json) return JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+
+    return results.map(result => {
+        const values = {
+            hex: result.hex,
+            rgb: `${result.rgb.r}, ${result.rgb.g}, ${result.rgb.b}` + (result.inGamut ? '' : '  (outside sRGB, chroma reduced)'),
+            p3: `${result.p3.r}, ${result.p3.g}, ${result.p3.b}`,
+            lab: labText(result.lab) + (result.whitePoint === 'D65/2' ? '' : `  (${WHITE_POINTS[result.whitePoint].label})`),
+            cmyk: `${result.cmyk.c}, ${result.cmyk.m}, ${result.cmyk.y}, ${result.cmyk.k}` + (profile ? `  (${profile.name})` : '')
+        };
+        if (options.to) {
+            if (!values[options.to]) throw new Error(`Unknown --to '${options.to}' (${Object.keys(values).join(', ')})`);
+            return values[options.to].replace(/\s+\(.*\)$/, '');
+        }
+        return Object.entries(values).map(([key, value]) => `${key.padEnd(5)} ${value}`).join('\n');
+    }).join('\n\n');
+}
+
+function runDelta({ positional, options }) {
+    const metric = metricFromOption(options.metric);
+    const profile = loadProfile(options);
+    let pairs = [];
+    if (options.file) {
+        pairs = readPairs(options.file);
+        if (pairs.length === 0) throw new Error(`No color pairs in ${options.file}`);
+    } else {
+        if (positional.length < 2 || positional.length % 2 !== 0) throw new Error('delta needs pairs of colors');
+        for (let i = 0; i < positional.length; i += 2) pairs.push([positional[i], positional[i + 1]]);
+    }
+
+    const results = pairs.map(([reference, sample]) => ({
+        reference,
+        sample,
+        deltaE: round(metric(labOf(parseColor(reference), profile, options), labOf(parseColor(sample), profile, options)), 4)
+    }));
+    if (options.json) return JSON.stringify({ metric: metric.label, pairs: results }, null, 2);
+    return results.map(r => `${r.reference}\t${r.sample}\t${metric.label} ${r.deltaE.toFixed(2)}`).join('\n');
+}
+
+function runNearest({ positional, options }) {
+    if (positional.length !== 1) throw new Error('nearest needs one color');
+    const metric = metricFromOption(options.metric);
+    const profile = loadProfile(options);
+    const target = labOf(parseColor(positional[0]), profile, options);
+    const count = parseInt(options.count, 10) || 5;
+
+    // Without a list: the CSS named colors
+    const references = options.list ? readColorList(options.list) : new ReferenceLibrary().entries();
+    const ranked = references
+        .map(entry => ({ name: entry.name, lab: labOf(entry, profile, options) }))
+        .map(entry => ({ ...entry, deltaE: metric(target, entry.lab) }))
+        .sort((a, b) => a.deltaE - b.deltaE)
+        .slice(0, count);
+    if (options.json) {
+        return JSON.stringify(ranked.map(entry => ({
+            name: entry.name,
+            lab: { l: round(entry.lab.l), a: round(entry.lab.a), b: round(entry.lab.b) },
+            deltaE: round(entry.deltaE, 4)
+        })), null, 2);
+    }
+    return ranked.map((entry, i) => `${i + 1}\t${entry.name}\t${metric.label} ${entry.deltaE.toFixed(2)}`).join('\n');
+}
+
+/**
+ * Ranked candidates for each target of a CSV, as a CSV (or JSON)
+ */
+function runBatch({ positional, options }) {
+    if (positional.length !== 1) throw new Error('batch needs a CSV of targets');
+    const metric = metricFromOption(options.metric);
+    const profile = loadProfile(options);
+    const workingSpace = options.space || 'srgb';
+    if (!RGB_SPACES[workingSpace]) throw new Error(`Unknown --space '${workingSpace}' (${Object.keys(RGB_SPACES).join(', ')})`);
+    const blackGeneration = options.black || 'medium';
+    if (!BLACK_GENERATION[blackGeneration]) throw new Error(`Unknown --black '${blackGeneration}' (${Object.keys(BLACK_GENERATION).join(', ')})`);
+    if (options.cmyk && !profile) throw new Error('--cmyk needs --profile');
+    const separation = options.cmyk ? new CmykSeparation({
+        profile,
+        intent: options.intent,
+        inkLimit: parseFloat(options['ink-limit']) || DEFAULT_INK_LIMIT,
+        blackGeneration
+    }) : null;
+    const count = parseInt(options.count, 10) || 5;
+    const pool = Math.max(count, parseInt(options.candidates, 10) || 200);
+    const seed = options.seed !== undefined ? parseInt(options.seed, 10) : undefined;
+    if (Number.isNaN(seed)) throw new Error('--seed must be an integer');
+
+    const results = readColorList(positional[0]).map(target => {
+        const lab = labOf(target, profile, options);
+        const shown = mapToGamut(lab);
+        const matcher = new ColorMatcher(labToRgb(shown.l, shown.a, shown.b), {
+            targetLab: lab, metric: { id: metric.id, params: metric.params }, workingSpace, separation, seed
+        });
+        matcher.generateInitialCandidates(pool);
+        return {
+            name: target.name,
+            target: { l: round(lab.l), a: round(lab.a), b: round(lab.b) },
+            candidates: matcher.candidates.slice(0, count).map((candidate, i) => ({
+                rank: i + 1,
+                css: RGB_SPACES[workingSpace].css(candidate.rgb),
+                rgb: candidate.rgb,
+                lab: { l: round(candidate.lab.l), a: round(candidate.lab.a), b: round(candidate.lab.b) },
+                cmyk: candidate.cmyk || null,
+                deltaE: round(candidate.deltaE, 4)
+            }))
+        };
+    });
+    if (options.json) return JSON.stringify({ metric: metric.label, workingSpace, results }, null, 2);
+
+    const columns = ['target', 'rank', 'color', 'r', 'g', 'b', 'l', 'a', 'b_lab', 'delta_e'];
+    if (separation) columns.push('c', 'm', 'y', 'k');
+    const lines = [columns.join(',')];
+    results.forEach(result => result.candidates.forEach(candidate => {
+        const row = [result.name, candidate.rank, candidate.css, candidate.rgb.r, candidate.rgb.g, candidate.rgb.b,
+            candidate.lab.l, candidate.lab.a, candidate.lab.b, candidate.deltaE];
+        if (separation) row.push(candidate.cmyk.c, candidate.cmyk.m, candidate.cmyk.y, candidate.cmyk.k);
+        lines.push(row.map(csvCell).join(','));
+    }));
+    return lines.join('\n');
+}
+
+const COMMANDS = {
+    convert: runConvert,
+    delta: runDelta,
+    nearest: runNearest,
+    batch: runBatch
+};
+
+function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === 'help' || command === '--help' || !COMMANDS[command]) {
+        process.stdout.write(USAGE + '\n');
+        return command && !COMMANDS[command] && command !== 'help' && command !== '--help' ? 2 : 0;
+    }
+    const args = parseArgs(rest);
+    try {
+        const output = COMMANDS[command](args) + '\n';
+        if (args.options.out) {
+            fs.writeFileSync(args.options.out, output);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+    } catch (err) {
+        process.stderr.write(`colour-match ${command}: ${err.message}\n`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
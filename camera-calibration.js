@@ -0,0 +1,281 @@
+/**
+ * Camera Color Calibration
+ * Fits a color-correction model from a photographed 24-patch reference chart
+ * and applies it to camera samples before they reach ColorMatcher
+ */
+
+/**
+ * 24-patch ColorChecker reference values (sRGB, D65), row by row from the dark skin patch
+ */
+const COLORCHECKER_PATCHES = [
+    { name: 'Dark skin', rgb: { r: 115, g: 82, b: 68 } },
+    { name: 'Light skin', rgb: { r: 194, g: 150, b: 130 } },
+    { name: 'Blue sky', rgb: { r: 98, g: 122, b: 157 } },
+    { name: 'Foliage', rgb: { r: 87, g: 108, b: 67 } },
+    { name: 'Blue flower', rgb: { r: 133, g: 128, b: 177 } },
+    { name: 'Bluish green', rgb: { r: 103, g: 189, b: 170 } },
+    { name: 'Orange', rgb: { r: 214, g: 126, b: 44 } },
+    { name: 'Purplish blue', rgb: { r: 80, g: 91, b: 166 } },
+    { name: 'Moderate red', rgb: { r: 193, g: 90, b: 99 } },
+    { name: 'Purple', rgb: { r: 94, g: 60, b: 108 } },
+    { name: 'Yellow green', rgb: { r: 157, g: 188, b: 64 } },
+    { name: 'Orange yellow', rgb: { r: 224, g: 163, b: 46 } },
+    { name: 'Blue', rgb: { r: 56, g: 61, b: 150 } },
+    { name: 'Green', rgb: { r: 70, g: 148, b: 73 } },
+    { name: 'Red', rgb: { r: 175, g: 54, b: 60 } },
+    { name: 'Yellow', rgb: { r: 231, g: 199, b: 31 } },
+    { name: 'Magenta', rgb: { r: 187, g: 86, b: 149 } },
+    { name: 'Cyan', rgb: { r: 8, g: 133, b: 161 } },
+    { name: 'White 9.5', rgb: { r: 243, g: 243, b: 242 } },
+    { name: 'Neutral 8', rgb: { r: 200, g: 200, b: 200 } },
+    { name: 'Neutral 6.5', rgb: { r: 160, g: 160, b: 160 } },
+    { name: 'Neutral 5', rgb: { r: 122, g: 122, b: 121 } },
+    { name: 'Neutral 3.5', rgb: { r: 85, g: 85, b: 85 } },
+    { name: 'Black 2', rgb: { r: 52, g: 52, b: 52 } }
+];
+
+const CHART_COLUMNS = 6;
+const CHART_ROWS = 4;
+const CALIBRATION_STORAGE_KEY = 'colorCalibrations';
+
+/**
+ * Reference LAB values of the chart patches
+ * @returns {Object[]} LAB colors {l, a, b} in patch order
+ */
+function colorCheckerReferenceLab() {
+    return COLORCHECKER_PATCHES.map(p => rgbToLab(p.rgb.r, p.rgb.g, p.rgb.b));
+}
+
+/**
+ * Solve a linear system A x = b by Gaussian elimination with partial pivoting
+ * @param {number[][]} a - Square matrix (not modified)
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]} Solution x
+ */
+function solveLinearSystem(a, b) {
+    const n = b.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) {
+            throw new Error('Singular system: measurements are not independent enough');
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= m[row][k] * x[k];
+        }
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+/**
+ * Least-squares fit of y ≈ X w
+ * @param {number[][]} rows - Design matrix rows
+ * @param {number[]} y - Targets
+ * @param {number} [ridge=1e-6] - Small regularization for stability
+ * @returns {number[]} Weights w
+ */
+function leastSquares(rows, y, ridge = 1e-6) {
+    const n = rows[0].length;
+    const xtx = Array.from({ length: n }, () => new Array(n).fill(0));
+    const xty = new Array(n).fill(0);
+
+    rows.forEach((row, i) => {
+        for (let j = 0; j < n; j++) {
+            xty[j] += row[j] * y[i];
+            for (let k = 0; k < n; k++) {
+                xtx[j][k] += row[j] * row[k];
+            }
+        }
+    });
+    for (let j = 0; j < n; j++) xtx[j][j] += ridge;
+
+    return solveLinearSystem(xtx, xty);
+}
+
+/**
+ * Expand linear RGB into the terms of a correction model
+ * 'matrix' is a 3x3 matrix; 'polynomial' is a second-order root-polynomial,
+ * which stays exposure invariant like the matrix
+ * @param {string} model - 'matrix' or 'polynomial'
+ * @param {number[]} linear - Linear RGB [r, g, b] (0-1)
+ * @returns {number[]} Model terms
+ */
+function correctionTerms(model, linear) {
+    const [r, g, b] = linear;
+    if (model === 'polynomial') {
+        return [r, g, b, Math.sqrt(r * g), Math.sqrt(g * b), Math.sqrt(r * b)];
+    }
+    return [r, g, b];
+}
+
+/**
+ * Fit a color-correction model from measured and reference patch colors
+ * @param {Object[]} measured - Camera RGB {r, g, b} (0-255) per patch
+ * @param {Object[]} reference - Reference RGB {r, g, b} (0-255) per patch
+ * @param {string} [model='matrix'] - 'matrix' or 'polynomial'
+ * @returns {Object} Fit {model, coefficients, meanError, maxError}
+ */
+function fitColorCorrection(measured, reference, model = 'matrix') {
+    const toLinear = (c) => [c.r, c.g, c.b].map(v => srgbToLinear(v / 255));
+    const rows = measured.map(c => correctionTerms(model, toLinear(c)));
+    const targets = reference.map(toLinear);
+
+    const coefficients = [0, 1, 2].map(channel =>
+        leastSquares(rows, targets.map(t => t[channel]))
+    );
+
+    const fit = { model, coefficients };
+    const errors = measured.map((c, i) => {
+        const corrected = applyColorCorrection(fit, c.r, c.g, c.b);
+        const ref = reference[i];
+        return deltaE2000(
+            rgbToLab(ref.r, ref.g, ref.b),
+            rgbToLab(corrected.r, corrected.g, corrected.b)
+        );
+    });
+
+    fit.meanError = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+    fit.maxError = Math.max(...errors);
+    return fit;
+}
+
+/**
+ * Apply a color-correction model to a camera color
+ * @param {Object} calibration - Fit from fitColorCorrection()
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @returns {Object} Corrected RGB {r, g, b} (0-255, unrounded)
+ */
+function applyColorCorrection(calibration, r, g, b) {
+    const terms = correctionTerms(calibration.model,
+        [r, g, b].map(v => srgbToLinear(v / 255)));
+    const [cr, cg, cb] = calibration.coefficients.map(weights => {
+        const linear = weights.reduce((sum, w, i) => sum + w * terms[i], 0);
+        return Math.max(0, Math.min(255, linearToSrgb(Math.max(0, linear)) * 255));
+    });
+    return { r: cr, g: cg, b: cb };
+}
+
+/**
+ * Compute the perspective transform from the unit square to four corners
+ * @param {Object[]} corners - [topLeft, topRight, bottomRight, bottomLeft] {x, y}
+ * @returns {Function} Maps (u, v) in 0-1 to a point {x, y}
+ */
+function unitSquareHomography(corners) {
+    const unit = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    const a = [];
+    const b = [];
+
+    unit.forEach(([u, v], i) => {
+        const { x, y } = corners[i];
+        a.push([u, v, 1, 0, 0, 0, -u * x, -v * x]);
+        b.push(x);
+        a.push([0, 0, 0, u, v, 1, -u * y, -v * y]);
+        b.push(y);
+    });
+
+    const h = solveLinearSystem(a, b);
+    return (u, v) => {
+        const w = h[6] * u + h[7] * v + 1;
+        return {
+            x: (h[0] * u + h[1] * v + h[2]) / w,
+            y: (h[3] * u + h[4] * v + h[5]) / w
+        };
+    };
+}
+
+/**
+ * Locate the patch centers of a chart from its four outer corners
+ * @param {Object[]} corners - Corners at the dark skin, bluish green, black and white patches
+ * @returns {Object} {centers: [{x, y}] in patch order, patchSize: approximate patch pitch in pixels}
+ */
+function chartPatchCenters(corners) {
+    const project = unitSquareHomography(corners);
+    const centers = [];
+
+    for (let row = 0; row < CHART_ROWS; row++) {
+        for (let col = 0; col < CHART_COLUMNS; col++) {
+            centers.push(project((col + 0.5) / CHART_COLUMNS, (row + 0.5) / CHART_ROWS));
+        }
+    }
+
+    const width = Math.hypot(corners[1].x - corners[0].x, corners[1].y - corners[0].y);
+    const height = Math.hypot(corners[3].x - corners[0].x, corners[3].y - corners[0].y);
+    const patchSize = Math.min(width / CHART_COLUMNS, height / CHART_ROWS);
+
+    return { centers, patchSize };
+}
+
+/**
+ * Load all saved calibrations
+ * @returns {Object[]} Calibrations {id, device, lighting, model, coefficients, meanError, maxError, createdAt}
+ */
+function loadCalibrations() {
+    try {
+        return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.error('Error reading calibrations:', e);
+        return [];
+    }
+}
+
+/**
+ * Save a calibration for a device and lighting setup (replaces an existing one for the same pair)
+ * @param {Object} calibration - Fit from fitColorCorrection() plus {device, lighting}
+ * @returns {Object} Stored calibration with id and timestamp
+ */
+function saveCalibration(calibration) {
+    const id = `${calibration.device}|${calibration.lighting}`;
+    const stored = { ...calibration, id, createdAt: Date.now() };
+    const calibrations = loadCalibrations().filter(c => c.id !== id);
+    calibrations.push(stored);
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibrations));
+    return stored;
+}
+
+/**
+ * Find a saved calibration by id
+ */
+function getCalibration(id) {
+    return loadCalibrations().find(c => c.id === id) || null;
+}
+
+/**
+ * Delete a saved calibration
+ */
+function deleteCalibration(id) {
+    const calibrations = loadCalibrations().filter(c => c.id !== id);
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibrations));
+}
+
+if (typeof window !== 'undefined') {
+    window.COLORCHECKER_PATCHES = COLORCHECKER_PATCHES;
+    window.colorCheckerReferenceLab = colorCheckerReferenceLab;
+    window.solveLinearSystem = solveLinearSystem;
+    window.fitColorCorrection = fitColorCorrection;
+    window.applyColorCorrection = applyColorCorrection;
+    window.chartPatchCenters = chartPatchCenters;
+    window.loadCalibrations = loadCalibrations;
+    window.saveCalibration = saveCalibration;
+    window.getCalibration = getCalibration;
+    window.deleteCalibration = deleteCalibration;
+}
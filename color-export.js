@@ -0,0 +1,341 @@
+/**
+ * Color Export
+ * Writes matched colors to swatch files for design tools (ASE, GPL, CSS),
+ * a JSON document with all measurements, and CxF-style XML
+ */
+
+const exportCore = typeof module !== 'undefined' && module.exports
+    ? require('./color-matcher.js')
+    : { rgbToLab, labToRgb, clampRgb, rgbToHex, labToP3, labToWhite, rgbToCmyk, rgbToCss };
+
+/**
+ * Where a target color came from, and the CxF measurement method its values stand for: a
+ * camera sees light leaving the sample, an instrument measures the sample's reflectance
+ */
+const TARGET_SOURCES = {
+    camera: { label: 'Camera', cxfMethod: 'Emissive' },
+    instrument: { label: 'Instrument measurement', cxfMethod: 'Reflectance' }
+};
+
+/**
+ * Build an export entry from a matched candidate
+ * The LAB is what the operator saw on screen; hex, RGB and CMYK are its sRGB equivalent,
+ * so the swatch looks the same in other tools even when a display profile was active.
+ * @param {Object} candidate - Matched candidate {rgb, lab, deltaE, measuredDeltaE?, cmyk?}
+ * @param {Object} [options]
+ * @param {string} [options.name] - Swatch name
+ * @param {Object} [options.target] - Sampled target color {r, g, b}
+ * @param {string} [options.method] - How the match was found ('list', 'adaptive', 'pairwise', 'auto')
+ * @param {string} [options.metric] - Metric the ΔE values are in (e.g. 'CMC 2:1')
+ * @param {string} [options.source='camera'] - Key of TARGET_SOURCES for the target
+ * @param {string} [options.workingSpace='srgb'] - RGB space of the candidate's device RGB
+ * @param {IccProfile} [options.cmykProfile] - Printer profile for the CMYK recipe; without one
+ *   CMYK is the rough device-independent formula
+ * @param {string} [options.intent='relative'] - Rendering intent for the profile
+ * @param {string} [options.whitePoint='D65/2'] - Key of WHITE_POINTS (2° observer) the reported LAB is relative to
+ * @param {string} [options.adaptation='bradford'] - Key of CHROMATIC_ADAPTATIONS used to get there
+ * @returns {Object} Export entry
+ */
+function createExportEntry(candidate, options = {}) {
+    const lab = candidate.lab || exportCore.rgbToLab(candidate.rgb.r, candidate.rgb.g, candidate.rgb.b);
+    const srgb = exportCore.labToRgb(lab.l, lab.a, lab.b);
+    const rgb = exportCore.clampRgb(srgb.r, srgb.g, srgb.b);
+    const whitePoint = options.whitePoint || 'D65/2';
+    const adaptation = whitePoint === 'D65/2' ? null : (options.adaptation || 'bradford');
+    const reported = adaptation ? exportCore.labToWhite(lab, whitePoint, { method: adaptation }) : lab;
+    return {
+        name: options.name || exportCore.rgbToHex(rgb.r, rgb.g, rgb.b),
+        hex: exportCore.rgbToHex(rgb.r, rgb.g, rgb.b),
+        rgb,
+        p3: exportCore.labToP3(lab.l, lab.a, lab.b),
+        lab: { l: roundTo(reported.l, 2), a: roundTo(reported.a, 2), b: roundTo(reported.b, 2) },
+        // The D65 LAB as well, for comparing entries whatever white they are reported in
+        labD65: { l: roundTo(lab.l, 2), a: roundTo(lab.a, 2), b: roundTo(lab.b, 2) },
+        whitePoint,
+        adaptation,
+        cmyk: cmykForEntry(candidate, lab, rgb, options),
+        cmykProfile: options.cmykProfile ? options.cmykProfile.name : null,
+        deviceRgb: { ...candidate.rgb },
+        workingSpace: options.workingSpace || 'srgb',
+        deltaE: Number.isFinite(candidate.deltaE) ? roundTo(candidate.deltaE, 2) : null,
+        metric: options.metric || null,
+        measuredDeltaE: Number.isFinite(candidate.measuredDeltaE) ? roundTo(candidate.measuredDeltaE, 2) : null,
+        method: options.method || null,
+        target: options.target ? { ...options.target } : null,
+        source: options.source || 'camera',
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * A CMYK-mode candidate's own recipe, else the profile's separation of the color, else the rough formula
+ */
+function cmykForEntry(candidate, lab, rgb, options) {
+    if (candidate.cmyk) return { ...candidate.cmyk };
+    if (options.cmykProfile) return options.cmykProfile.labToCmyk(lab, options.intent);
+    return exportCore.rgbToCmyk(rgb.r, rgb.g, rgb.b);
+}
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Adobe Swatch Exchange (binary, big-endian)
+ * @param {Object[]} entries - Export entries
+ * @returns {Uint8Array} File contents
+ */
+function exportAse(entries) {
+    const blocks = entries.map(entry => {
+        const name = entry.name.substring(0, 255);
+        // Name length counts UTF-16 code units including the terminating zero
+        const blockLength = 2 + (name.length + 1) * 2 + 4 + 3 * 4 + 2;
+        return { name, blockLength, entry };
+    });
+    const size = 12 + blocks.reduce((sum, block) => sum + 6 + block.blockLength, 0);
+    const view = new DataView(new ArrayBuffer(size));
+    let offset = 0;
+
+    'ASEF'.split('').forEach(c => view.setUint8(offset++, c.charCodeAt(0)));
+    view.setUint16(offset, 1); offset += 2;  // Version 1.0
+    view.setUint16(offset, 0); offset += 2;
+    view.setUint32(offset, blocks.length); offset += 4;
+
+    blocks.forEach(({ name, blockLength, entry }) => {
+        view.setUint16(offset, 0x0001); offset += 2;  // Color entry
+        view.setUint32(offset, blockLength); offset += 4;
+        view.setUint16(offset, name.length + 1); offset += 2;
+        for (let i = 0; i < name.length; i++) {
+            view.setUint16(offset, name.charCodeAt(i)); offset += 2;
+        }
+        view.setUint16(offset, 0); offset += 2;
+        'RGB '.split('').forEach(c => view.setUint8(offset++, c.charCodeAt(0)));
+        ['r', 'g', 'b'].forEach(channel => {
+            view.setFloat32(offset, entry.rgb[channel] / 255); offset += 4;
+        });
+        view.setUint16(offset, 2); offset += 2;  // Normal (process) color
+    });
+
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * GIMP / Inkscape palette
+ * @param {Object[]} entries - Export entries
+ * @param {string} [title='Color Matcher'] - Palette name
+ * @returns {string} File contents
+ */
+function exportGpl(entries, title = 'Color Matcher') {
+    const lines = ['GIMP Palette', `Name: ${title}`, 'Columns: 0', '#'];
+    entries.forEach(entry => {
+        const { r, g, b } = entry.rgb;
+        lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${entry.name}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * CSS custom properties, with lab() and color(display-p3 …) values for browsers that support them
+ * CSS lab() is relative to D50, so entries reported against another white are adapted first.
+ * @param {Object[]} entries - Export entries
+ * @returns {string} File contents
+ */
+function exportCss(entries) {
+    const lines = [':root {'];
+    entries.forEach((entry, index) => {
+        const slug = entry.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `match-${index + 1}`;
+        const d50 = entry.labD65
+            ? exportCore.labToWhite(entry.labD65, 'D50/2', { method: entry.adaptation || 'bradford' })
+            : exportCore.labToWhite(entry.lab, 'D50/2', { from: entry.whitePoint || 'D65/2', method: entry.adaptation || 'bradford' });
+        const [l, a, b] = [d50.l, d50.a, d50.b].map(v => roundTo(v, 2));
+        lines.push(`    --${slug}: ${entry.hex};`);
+        lines.push(`    --${slug}-lab: lab(${l}% ${a} ${b});`);
+        if (entry.p3) lines.push(`    --${slug}-p3: ${exportCore.rgbToCss(entry.p3, 'display-p3')};`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON document with every value and the metadata of each match
+ * @param {Object[]} entries - Export entries
+ * @param {Object} [meta] - Extra document-level fields (e.g. display profile name)
+ * @returns {string} File contents
+ */
+function exportJson(entries, meta = {}) {
+    return JSON.stringify({
+        format: 'color-matcher',
+        version: 1,
+        created: new Date().toISOString(),
+        whitePoint: 'D65/2',
+        ...meta,
+        colors: entries
+    }, null, 2) + '\n';
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+    })[c]);
+}
+
+/**
+ * CxF measurement method of an entry; entries saved before sources were recorded came from the camera
+ */
+function cxfMethod(entry) {
+    return (TARGET_SOURCES[entry.source] || TARGET_SOURCES.camera).cxfMethod;
+}
+
+/**
+ * ColorSpecification ID for CIELab relative to a key of WHITE_POINTS, e.g. 'CIELab-D50-2-Reflectance'
+ */
+function cxfLabSpecification(entry) {
+    return `CIELab-${(entry.whitePoint || 'D65/2').replace('/', '-')}-${cxfMethod(entry)}`;
+}
+
+/**
+ * CxF3-style XML with CIELab (in each entry's reference white and measurement method) and sRGB values per color
+ * @param {Object[]} entries - Export entries
+ * @returns {string} File contents
+ */
+function exportCxf(entries) {
+    const objects = entries.map((entry, index) => [
+        `            <cc:Object ObjectType="Target" Name="${escapeXml(entry.name)}" Id="c${index + 1}">`,
+        `                <cc:CreationDate>${entry.timestamp}</cc:CreationDate>`,
+        '                <cc:ColorValues>',
+        `                    <cc:ColorCIELab ColorSpecification="${cxfLabSpecification(entry)}">`,
+        `                        <cc:L>${entry.lab.l}</cc:L>`,
+        `                        <cc:A>${entry.lab.a}</cc:A>`,
+        `                        <cc:B>${entry.lab.b}</cc:B>`,
+        '                    </cc:ColorCIELab>',
+        '                    <cc:ColorSRGB ColorSpecification="sRGB">',
+        `                        <cc:R>${entry.rgb.r}</cc:R>`,
+        `                        <cc:G>${entry.rgb.g}</cc:G>`,
+        `                        <cc:B>${entry.rgb.b}</cc:B>`,
+        '                    </cc:ColorSRGB>',
+        '                </cc:ColorValues>',
+        '            </cc:Object>'
+    ].join('\n'));
+
+    const specifications = new Map(entries.map(entry => [cxfLabSpecification(entry), entry]));
+    const labSpecifications = [...specifications].map(([id, entry]) => {
+        const [illuminant, observer] = (entry.whitePoint || 'D65/2').split('/');
+        return [
+            `            <cc:ColorSpecification Id="${id}">`,
+            '                <cc:TristimulusSpec>',
+            `                    <cc:Illuminant>${illuminant}</cc:Illuminant>`,
+            `                    <cc:Observer>${observer}_Degree</cc:Observer>`,
+            `                    <cc:Method>${cxfMethod(entry)}</cc:Method>`,
+            '                </cc:TristimulusSpec>',
+            '            </cc:ColorSpecification>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<cc:CxF xmlns:cc="http://colorexchangeformat.com/CxF3-core">',
+        '    <cc:FileInformation>',
+        '        <cc:Creator>Color Matcher</cc:Creator>',
+        `        <cc:CreationDate>${new Date().toISOString()}</cc:CreationDate>`,
+        '    </cc:FileInformation>',
+        '    <cc:Resources>',
+        '        <cc:ObjectCollection>',
+        ...objects,
+        '        </cc:ObjectCollection>',
+        '        <cc:ColorSpecificationCollection>',
+        ...labSpecifications,
+        '            <cc:ColorSpecification Id="sRGB">',
+        '                <cc:TristimulusSpec>',
+        '                    <cc:Illuminant>D65</cc:Illuminant>',
+        '                    <cc:Observer>2_Degree</cc:Observer>',
+        '                    <cc:Method>Emissive</cc:Method>',
+        '                </cc:TristimulusSpec>',
+        '            </cc:ColorSpecification>',
+        '        </cc:ColorSpecificationCollection>',
+        '    </cc:Resources>',
+        '</cc:CxF>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Export formats: label, file extension, MIME type and writer
+ */
+const EXPORT_FORMATS = {
+    ase: { label: 'Adobe Swatch Exchange (.ase)', extension: 'ase', mimeType: 'application/octet-stream', write: exportAse },
+    gpl: { label: 'GIMP / Inkscape palette (.gpl)', extension: 'gpl', mimeType: 'text/plain', write: exportGpl },
+    css: { label: 'CSS custom properties (.css)', extension: 'css', mimeType: 'text/css', write: exportCss },
+    json: { label: 'JSON (.json)', extension: 'json', mimeType: 'application/json', write: exportJson },
+    cxf: { label: 'CxF XML (.cxf)', extension: 'cxf', mimeType: 'application/xml', write: exportCxf }
+};
+
+/**
+ * Write entries in one of EXPORT_FORMATS
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object[]} entries - Export entries
+ * @param {Object} [meta] - Document-level metadata (JSON only)
+ * @returns {Object} File {filename, mimeType, data} where data is a string or Uint8Array
+ */
+function exportColors(format, entries, meta) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format '${format}'`);
+    if (entries.length === 0) throw new Error('No colors to export');
+    const date = new Date().toISOString().substring(0, 10);
+    return {
+        filename: `color-match-${date}.${spec.extension}`,
+        mimeType: spec.mimeType,
+        data: spec.write(entries, meta)
+    };
+}
+
+/**
+ * Save a file from exportColors() through the browser's download
+ */
+function downloadExport(file) {
+    const url = URL.createObjectURL(new Blob([file.data], { type: file.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Payload for sending a file over the data channel ('export' message)
+ * Binary files travel as base64.
+ */
+function exportToMessage(file) {
+    if (typeof file.data === 'string') {
+        return { filename: file.filename, mimeType: file.mimeType, encoding: 'text', data: file.data };
+    }
+    let binary = '';
+    file.data.forEach(byte => { binary += String.fromCharCode(byte); });
+    return { filename: file.filename, mimeType: file.mimeType, encoding: 'base64', data: btoa(binary) };
+}
+
+/**
+ * File received in an 'export' message
+ */
+function exportFromMessage(message) {
+    const data = message.encoding === 'base64'
+        ? Uint8Array.from(atob(message.data), c => c.charCodeAt(0))
+        : message.data;
+    return { filename: message.filename, mimeType: message.mimeType, data };
+}
+
+if (typeof window !== 'undefined') {
+    window.TARGET_SOURCES = TARGET_SOURCES;
+    window.createExportEntry = createExportEntry;
+    window.EXPORT_FORMATS = EXPORT_FORMATS;
+    window.exportColors = exportColors;
+    window.downloadExport = downloadExport;
+    window.exportToMessage = exportToMessage;
+    window.exportFromMessage = exportFromMessage;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TARGET_SOURCES, createExportEntry, EXPORT_FORMATS, exportColors, exportToMessage, exportFromMessage };
+}
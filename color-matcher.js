@@ -3,6 +3,116 @@
  * Handles color space conversions (RGB, LAB, XYZ, CMYK) and color matching algorithms
  */
 
+/**
+ * Reference whites (XYZ with Y = 100) for illuminant / observer pairs (ASTM E308)
+ * sRGB and Display P3 are defined for D65 / 2°, which is the default everywhere. The 10°
+ * whites are for colorimetry computed from spectra; adaptation cannot change the observer.
+ */
+const WHITE_POINTS = {
+    'D65/2': { label: 'D65 / 2°', observer: 2, x: 95.047, y: 100, z: 108.883 },
+    'D65/10': { label: 'D65 / 10°', observer: 10, x: 94.811, y: 100, z: 107.304 },
+    'D50/2': { label: 'D50 / 2°', observer: 2, x: 96.422, y: 100, z: 82.521 },
+    'D50/10': { label: 'D50 / 10°', observer: 10, x: 96.720, y: 100, z: 81.427 },
+    'A/2': { label: 'A (tungsten) / 2°', observer: 2, x: 109.850, y: 100, z: 35.585 },
+    'A/10': { label: 'A (tungsten) / 10°', observer: 10, x: 111.144, y: 100, z: 35.200 },
+    'F2/2': { label: 'F2 (cool white fluorescent) / 2°', observer: 2, x: 99.187, y: 100, z: 67.395 },
+    'F2/10': { label: 'F2 (cool white fluorescent) / 10°', observer: 10, x: 103.280, y: 100, z: 69.026 },
+    'F11/2': { label: 'F11 (TL84) / 2°', observer: 2, x: 100.966, y: 100, z: 64.370 },
+    'F11/10': { label: 'F11 (TL84) / 10°', observer: 10, x: 103.866, y: 100, z: 65.627 }
+};
+
+/**
+ * Chromatic adaptation transforms: cone-space matrix and its inverse (von Kries scaling in between)
+ */
+const CHROMATIC_ADAPTATIONS = {
+    bradford: {
+        label: 'Bradford',
+        matrix: [[0.8951, 0.2664, -0.1614], [-0.7502, 1.7135, 0.0367], [0.0389, -0.0685, 1.0296]],
+        inverse: [[0.9869929, -0.1470543, 0.1599627], [0.4323053, 0.5183603, 0.0492912], [-0.0085287, 0.0400428, 0.9684867]]
+    },
+    cat16: {
+        label: 'CAT16',
+        matrix: [[0.401288, 0.650173, -0.051461], [-0.250268, 1.204414, 0.045854], [-0.002079, 0.048952, 0.953127]],
+        inverse: [[1.8620679, -1.0112546, 0.1491868], [0.3875265, 0.6214474, -0.008974], [-0.0158415, -0.0341229, 1.0499644]]
+    }
+};
+
+/**
+ * Adapt an XYZ color from one reference white to another
+ * @param {Object} xyz - XYZ color {x, y, z}
+ * @param {Object} from - Source white {x, y, z} (e.g. an entry of WHITE_POINTS)
+ * @param {Object} to - Destination white {x, y, z}
+ * @param {string} [method='bradford'] - Key of CHROMATIC_ADAPTATIONS
+ * @returns {Object} Corresponding XYZ color {x, y, z} under the destination white
+ */
+function adaptXyz(xyz, from, to, method = 'bradford') {
+    if (from.x === to.x && from.y === to.y && from.z === to.z) return { ...xyz };
+    const cat = CHROMATIC_ADAPTATIONS[method];
+    if (!cat) throw new Error(`Unknown chromatic adaptation '${method}'`);
+    const apply = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    const source = apply(cat.matrix, [from.x, from.y, from.z]);
+    const destination = apply(cat.matrix, [to.x, to.y, to.z]);
+    const cone = apply(cat.matrix, [xyz.x, xyz.y, xyz.z]).map((v, i) => v * destination[i] / source[i]);
+    const [x, y, z] = apply(cat.inverse, cone);
+    return { x, y, z };
+}
+
+/**
+ * Express a LAB color relative to another reference white, e.g. for a D50 report
+ * Both whites must be for the same observer: 2° values can't be turned into 10° ones
+ * without the spectrum.
+ * @param {Object} lab - LAB color {l, a, b} relative to `from`
+ * @param {string} to - Key of WHITE_POINTS
+ * @param {Object} [options]
+ * @param {string} [options.from='D65/2'] - Key of WHITE_POINTS the color is relative to
+ * @param {string} [options.method='bradford'] - Key of CHROMATIC_ADAPTATIONS
+ * @returns {Object} LAB color {l, a, b} relative to `to`
+ */
+function labToWhite(lab, to, options = {}) {
+    const from = WHITE_POINTS[options.from || 'D65/2'];
+    const white = WHITE_POINTS[to];
+    if (!from || !white) throw new Error(`Unknown white point '${white ? options.from : to}'`);
+    if (from.observer !== white.observer) {
+        throw new Error(`${from.label} to ${white.label} changes the observer, which needs the spectrum`);
+    }
+    const xyz = adaptXyz(labToXyz(lab.l, lab.a, lab.b, from), from, white, options.method);
+    return xyzToLab(xyz.x, xyz.y, xyz.z, white);
+}
+
+/**
+ * Color of a sample recorded under another light, as it looks to someone adapted to that light
+ * The camera records the light's tint along with the sample (with its white balance held at
+ * daylight); this discounts the tint so the sample can be matched on a D65 screen.
+ * @param {Object} lab - LAB color {l, a, b} as recorded (D65)
+ * @param {string} illuminant - Key of WHITE_POINTS the sample was lit by
+ * @param {string} [method='bradford'] - Key of CHROMATIC_ADAPTATIONS
+ * @returns {Object} Corresponding LAB color {l, a, b} (D65)
+ */
+function correspondingColor(lab, illuminant, method = 'bradford') {
+    const light = WHITE_POINTS[illuminant];
+    if (!light) throw new Error(`Unknown illuminant '${illuminant}'`);
+    const xyz = adaptXyz(labToXyz(lab.l, lab.a, lab.b), light, WHITE_POINTS['D65/2'], method);
+    return xyzToLab(xyz.x, xyz.y, xyz.z);
+}
+
+/**
+ * Decode an sRGB channel to linear light
+ * @param {number} v - Encoded channel (0-1)
+ * @returns {number} Linear channel (0-1)
+ */
+function srgbToLinear(v) {
+    return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+}
+
+/**
+ * Encode a linear-light channel with the sRGB transfer curve
+ * @param {number} v - Linear channel (0-1)
+ * @returns {number} Encoded channel (0-1)
+ */
+function linearToSrgb(v) {
+    return v > 0.0031308 ? 1.055 * Math.pow(v, 1/2.4) - 0.055 : 12.92 * v;
+}
+
 /**
  * Convert RGB to XYZ color space
  * @param {number} r - Red component (0-255)
@@ -17,9 +127,9 @@ function rgbToXyz(r, g, b) {
     b = b / 255;
 
     // Apply gamma correction (sRGB)
-    r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-    g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-    b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
+    r = srgbToLinear(r);
+    g = srgbToLinear(g);
+    b = srgbToLinear(b);
 
     // Convert to XYZ using sRGB matrix
     const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) * 100;
@@ -34,18 +144,14 @@ function rgbToXyz(r, g, b) {
  * @param {number} x - X component
  * @param {number} y - Y component
  * @param {number} z - Z component
+ * @param {Object} [white] - Reference white {x, y, z}; D65 / 2° by default
  * @returns {Object} LAB color {l, a, b}
  */
-function xyzToLab(x, y, z) {
-    // D65 illuminant (standard daylight)
-    const xn = 95.047;
-    const yn = 100.000;
-    const zn = 108.883;
-
-    // Normalize by illuminant
-    x = x / xn;
-    y = y / yn;
-    z = z / zn;
+function xyzToLab(x, y, z, white = WHITE_POINTS['D65/2']) {
+    // Normalize by the reference white
+    x = x / white.x;
+    y = y / white.y;
+    z = z / white.z;
 
     // Apply f function
     const fx = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x + 16/116);
@@ -64,11 +170,16 @@ function xyzToLab(x, y, z) {
  * @param {number} r - Red component (0-255)
  * @param {number} g - Green component (0-255)
  * @param {number} b - Blue component (0-255)
+ * @param {string} [white='D65/2'] - Key of WHITE_POINTS; sRGB is D65, so other whites are reached by Bradford adaptation
  * @returns {Object} LAB color {l, a, b}
  */
-function rgbToLab(r, g, b) {
+function rgbToLab(r, g, b, white = 'D65/2') {
+    const reference = WHITE_POINTS[white];
+    if (!reference) throw new Error(`Unknown white point '${white}'`);
     const xyz = rgbToXyz(r, g, b);
-    return xyzToLab(xyz.x, xyz.y, xyz.z);
+    if (white === 'D65/2') return xyzToLab(xyz.x, xyz.y, xyz.z);
+    const adapted = adaptXyz(xyz, WHITE_POINTS['D65/2'], reference);
+    return xyzToLab(adapted.x, adapted.y, adapted.z, reference);
 }
 
 /**
@@ -76,10 +187,10 @@ function rgbToLab(r, g, b) {
  * @param {number} l - L component
  * @param {number} a - A component
  * @param {number} b - B component
+ * @param {Object} [white] - Reference white {x, y, z}; D65 / 2° by default
  * @returns {Object} XYZ color {x, y, z}
  */
-function labToXyz(l, a, b) {
-    const yn = 100.000;
+function labToXyz(l, a, b, white = WHITE_POINTS['D65/2']) {
     const fy = (l + 16) / 116;
     const fx = a / 500 + fy;
     const fz = fy - b / 200;
@@ -88,39 +199,45 @@ function labToXyz(l, a, b) {
     const yr = fy > 0.206897 ? Math.pow(fy, 3) : (fy - 16/116) / 7.787;
     const zr = fz > 0.206897 ? Math.pow(fz, 3) : (fz - 16/116) / 7.787;
 
-    // D65 illuminant
-    const xn = 95.047;
-    const zn = 108.883;
-
     return {
-        x: xr * xn,
-        y: yr * yn,
-        z: zr * zn
+        x: xr * white.x,
+        y: yr * white.y,
+        z: zr * white.z
     };
 }
 
 /**
- * Convert XYZ to RGB color space
+ * Convert XYZ to linear sRGB, without clamping
  * @param {number} x - X component
  * @param {number} y - Y component
  * @param {number} z - Z component
- * @returns {Object} RGB color {r, g, b} (0-255)
+ * @returns {number[]} Linear [r, g, b]; 0-1 inside the sRGB gamut
  */
-function xyzToRgb(x, y, z) {
+function xyzToLinearRgb(x, y, z) {
     // Normalize
     x = x / 100;
     y = y / 100;
     z = z / 100;
 
     // Convert to linear RGB using sRGB matrix
-    let r = x * 3.2404542 + y * -1.5371385 + z * -0.4985314;
-    let g = x * -0.9692660 + y * 1.8760108 + z * 0.0415560;
-    let b = x * 0.0556434 + y * -0.2040259 + z * 1.0572252;
+    return [
+        x * 3.2404542 + y * -1.5371385 + z * -0.4985314,
+        x * -0.9692660 + y * 1.8760108 + z * 0.0415560,
+        x * 0.0556434 + y * -0.2040259 + z * 1.0572252
+    ];
+}
 
+/**
+ * Convert XYZ to RGB color space
+ * Colors outside sRGB are clamped channel by channel; use mapToGamut() first to keep their hue.
+ * @param {number} x - X component
+ * @param {number} y - Y component
+ * @param {number} z - Z component
+ * @returns {Object} RGB color {r, g, b} (0-255)
+ */
+function xyzToRgb(x, y, z) {
     // Apply gamma correction (sRGB)
-    r = r > 0.0031308 ? 1.055 * Math.pow(r, 1/2.4) - 0.055 : 12.92 * r;
-    g = g > 0.0031308 ? 1.055 * Math.pow(g, 1/2.4) - 0.055 : 12.92 * g;
-    b = b > 0.0031308 ? 1.055 * Math.pow(b, 1/2.4) - 0.055 : 12.92 * b;
+    let [r, g, b] = xyzToLinearRgb(x, y, z).map(linearToSrgb);
 
     // Clamp and convert to 0-255
     r = Math.max(0, Math.min(255, Math.round(r * 255)));
@@ -135,13 +252,170 @@ function xyzToRgb(x, y, z) {
  * @param {number} l - L component
  * @param {number} a - A component
  * @param {number} b - B component
+ * @param {string} [white='D65/2'] - Key of WHITE_POINTS the LAB is relative to
  * @returns {Object} RGB color {r, g, b} (0-255)
  */
-function labToRgb(l, a, b) {
-    const xyz = labToXyz(l, a, b);
+function labToRgb(l, a, b, white = 'D65/2') {
+    const reference = WHITE_POINTS[white];
+    if (!reference) throw new Error(`Unknown white point '${white}'`);
+    let xyz = labToXyz(l, a, b, reference);
+    if (white !== 'D65/2') xyz = adaptXyz(xyz, reference, WHITE_POINTS['D65/2']);
     return xyzToRgb(xyz.x, xyz.y, xyz.z);
 }
 
+/**
+ * Convert Display P3 to XYZ color space
+ * P3 has wider primaries than sRGB but the same white (D65) and transfer curve.
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @returns {Object} XYZ color {x, y, z}
+ */
+function p3ToXyz(r, g, b) {
+    r = srgbToLinear(r / 255);
+    g = srgbToLinear(g / 255);
+    b = srgbToLinear(b / 255);
+
+    const x = (r * 0.4865709 + g * 0.2656677 + b * 0.1982173) * 100;
+    const y = (r * 0.2289746 + g * 0.6917385 + b * 0.0792869) * 100;
+    const z = (r * 0.0000000 + g * 0.0451134 + b * 1.0439444) * 100;
+
+    return { x, y, z };
+}
+
+/**
+ * Convert XYZ to linear Display P3, without clamping
+ * @param {number} x - X component
+ * @param {number} y - Y component
+ * @param {number} z - Z component
+ * @returns {number[]} Linear [r, g, b]; 0-1 inside the P3 gamut
+ */
+function xyzToLinearP3(x, y, z) {
+    x = x / 100;
+    y = y / 100;
+    z = z / 100;
+
+    return [
+        x * 2.4934969 + y * -0.9313836 + z * -0.4027108,
+        x * -0.8294890 + y * 1.7626641 + z * 0.0236247,
+        x * 0.0358458 + y * -0.0761724 + z * 0.9568845
+    ];
+}
+
+/**
+ * Convert XYZ to Display P3
+ * @param {number} x - X component
+ * @param {number} y - Y component
+ * @param {number} z - Z component
+ * @returns {Object} Display P3 color {r, g, b} (0-255)
+ */
+function xyzToP3(x, y, z) {
+    const [r, g, b] = xyzToLinearP3(x, y, z).map(linearToSrgb);
+
+    return {
+        r: Math.max(0, Math.min(255, Math.round(r * 255))),
+        g: Math.max(0, Math.min(255, Math.round(g * 255))),
+        b: Math.max(0, Math.min(255, Math.round(b * 255)))
+    };
+}
+
+/**
+ * Convert Display P3 to LAB color space
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @returns {Object} LAB color {l, a, b} (D65)
+ */
+function p3ToLab(r, g, b) {
+    const xyz = p3ToXyz(r, g, b);
+    return xyzToLab(xyz.x, xyz.y, xyz.z);
+}
+
+/**
+ * Convert LAB to Display P3
+ * @param {number} l - L component
+ * @param {number} a - A component
+ * @param {number} b - B component
+ * @returns {Object} Display P3 color {r, g, b} (0-255), clamped to the P3 gamut
+ */
+function labToP3(l, a, b) {
+    const xyz = labToXyz(l, a, b);
+    return xyzToP3(xyz.x, xyz.y, xyz.z);
+}
+
+/**
+ * RGB working spaces: how device values relate to LAB, and the CSS that shows them
+ */
+const RGB_SPACES = {
+    srgb: {
+        label: 'sRGB',
+        toLab: rgb => rgbToLab(rgb.r, rgb.g, rgb.b),
+        fromLab: lab => labToRgb(lab.l, lab.a, lab.b),
+        linear: xyz => xyzToLinearRgb(xyz.x, xyz.y, xyz.z),
+        css: rgb => rgbToHex(rgb.r, rgb.g, rgb.b)
+    },
+    'display-p3': {
+        label: 'Display P3',
+        toLab: rgb => p3ToLab(rgb.r, rgb.g, rgb.b),
+        fromLab: lab => labToP3(lab.l, lab.a, lab.b),
+        linear: xyz => xyzToLinearP3(xyz.x, xyz.y, xyz.z),
+        css: rgb => `color(display-p3 ${[rgb.r, rgb.g, rgb.b].map(v => (v / 255).toFixed(4)).join(' ')})`
+    }
+};
+
+/**
+ * CSS color for RGB values in a working space
+ * @param {Object} rgb - RGB {r, g, b} (0-255)
+ * @param {string} [space='srgb'] - Key of RGB_SPACES
+ * @returns {string} Hex for sRGB, color(display-p3 …) for P3
+ */
+function rgbToCss(rgb, space = 'srgb') {
+    return RGB_SPACES[space].css(rgb);
+}
+
+/**
+ * Slack on linear channel values when deciding whether a color is inside a gamut,
+ * so white and the primaries themselves are not rejected for rounding
+ */
+const GAMUT_EPSILON = 0.0005;
+
+/**
+ * Whether a LAB color can be shown in an RGB working space without clamping
+ * @param {Object} lab - LAB color {l, a, b}
+ * @param {string} [space='srgb'] - Key of RGB_SPACES
+ * @returns {boolean}
+ */
+function isInGamut(lab, space = 'srgb') {
+    const linear = RGB_SPACES[space].linear(labToXyz(lab.l, lab.a, lab.b));
+    return linear.every(v => v >= -GAMUT_EPSILON && v <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Bring a LAB color inside a gamut by reducing its chroma at constant hue and lightness
+ * Clamping each RGB channel instead shifts hue and lightness, which reads as a different color.
+ * @param {Object} lab - LAB color {l, a, b}
+ * @param {Function} [contains] - Whether a LAB color is inside the gamut; sRGB by default
+ * @returns {Object} LAB color {l, a, b}: the color itself when inside, else the most
+ *   saturated color of its hue and lightness that is
+ */
+function mapToGamut(lab, contains = color => isInGamut(color)) {
+    const l = Math.max(0, Math.min(100, lab.l));
+    const mapped = { l, a: lab.a, b: lab.b };
+    if (contains(mapped)) return mapped;
+    // Binary search on the chroma scale; 16 halvings leave well under 0.01 of chroma
+    let inside = 0;
+    let outside = 1;
+    for (let i = 0; i < 16; i++) {
+        const scale = (inside + outside) / 2;
+        if (contains({ l, a: lab.a * scale, b: lab.b * scale })) {
+            inside = scale;
+        } else {
+            outside = scale;
+        }
+    }
+    return { l, a: lab.a * inside, b: lab.b * inside };
+}
+
 /**
  * Convert RGB to CMYK color space
  * @param {number} r - Red component (0-255)
@@ -206,9 +480,10 @@ function cmykToRgb(c, m, y, k) {
  * This is a perceptually uniform color difference formula
  * @param {Object} lab1 - First LAB color {l, a, b}
  * @param {Object} lab2 - Second LAB color {l, a, b}
+ * @param {Object} [params] - Parametric factors {kl, kc, kh} (default 1:1:1; textiles often use kl = 2)
  * @returns {number} Delta E value (lower = more similar)
  */
-function deltaE2000(lab1, lab2) {
+function deltaE2000(lab1, lab2, params = {}) {
     const l1 = lab1.l;
     const a1 = lab1.a;
     const b1 = lab1.b;
@@ -267,9 +542,9 @@ function deltaE2000(lab1, lab2) {
 
     const rt = -Math.sin(2 * deltaTheta * Math.PI / 180) * rc;
 
-    const kl = 1;
-    const kc = 1;
-    const kh = 1;
+    const kl = params.kl || 1;
+    const kc = params.kc || 1;
+    const kh = params.kh || 1;
 
     const deltaE = Math.sqrt(
         Math.pow(dlp / (kl * sl), 2) +
@@ -294,6 +569,259 @@ function deltaE(lab1, lab2) {
     return Math.sqrt(dl * dl + da * da + db * db);
 }
 
+/**
+ * Calculate Delta E 1994 (CIE94)
+ * Not symmetric: the first color is the reference (standard).
+ * @param {Object} reference - Reference LAB color {l, a, b}
+ * @param {Object} sample - Sample LAB color {l, a, b}
+ * @param {Object} [params] - {application: 'graphic-arts' (default) or 'textiles'}
+ * @returns {number} Delta E value
+ */
+function deltaE94(reference, sample, params = {}) {
+    const textiles = params.application === 'textiles';
+    const kl = textiles ? 2 : 1;
+    const k1 = textiles ? 0.048 : 0.045;
+    const k2 = textiles ? 0.014 : 0.015;
+
+    const c1 = Math.sqrt(reference.a * reference.a + reference.b * reference.b);
+    const c2 = Math.sqrt(sample.a * sample.a + sample.b * sample.b);
+    const dl = reference.l - sample.l;
+    const dc = c1 - c2;
+    const da = reference.a - sample.a;
+    const db = reference.b - sample.b;
+    // ΔH² = Δa² + Δb² - ΔC², clamped against rounding
+    const dh2 = Math.max(0, da * da + db * db - dc * dc);
+
+    const sc = 1 + k1 * c1;
+    const sh = 1 + k2 * c1;
+    return Math.sqrt(Math.pow(dl / kl, 2) + Math.pow(dc / sc, 2) + dh2 / (sh * sh));
+}
+
+/**
+ * Calculate Delta E CMC (l:c)
+ * Not symmetric: the first color is the reference (standard).
+ * @param {Object} reference - Reference LAB color {l, a, b}
+ * @param {Object} sample - Sample LAB color {l, a, b}
+ * @param {Object} [params] - Lightness and chroma weights {l, c} (default 2:1, acceptability)
+ * @returns {number} Delta E value
+ */
+function deltaECmc(reference, sample, params = {}) {
+    const lWeight = params.l || 2;
+    const cWeight = params.c || 1;
+
+    const c1 = Math.sqrt(reference.a * reference.a + reference.b * reference.b);
+    const c2 = Math.sqrt(sample.a * sample.a + sample.b * sample.b);
+    const dl = reference.l - sample.l;
+    const dc = c1 - c2;
+    const da = reference.a - sample.a;
+    const db = reference.b - sample.b;
+    const dh2 = Math.max(0, da * da + db * db - dc * dc);
+
+    let h1 = Math.atan2(reference.b, reference.a) * 180 / Math.PI;
+    if (h1 < 0) h1 += 360;
+    const t = h1 >= 164 && h1 <= 345
+        ? 0.56 + Math.abs(0.2 * Math.cos((h1 + 168) * Math.PI / 180))
+        : 0.36 + Math.abs(0.4 * Math.cos((h1 + 35) * Math.PI / 180));
+    const c14 = Math.pow(c1, 4);
+    const f = Math.sqrt(c14 / (c14 + 1900));
+
+    const sl = reference.l < 16 ? 0.511 : (0.040975 * reference.l) / (1 + 0.01765 * reference.l);
+    const sc = (0.0638 * c1) / (1 + 0.0131 * c1) + 0.638;
+    const sh = sc * (f * t + 1 - f);
+
+    return Math.sqrt(Math.pow(dl / (lWeight * sl), 2) + Math.pow(dc / (cWeight * sc), 2) + dh2 / (sh * sh));
+}
+
+// CAM16 viewing conditions: D65 white, average surround, adapting luminance 64/π·0.2 cd/m², background Y 20
+const CAM16_CONDITIONS = (() => {
+    const whiteXyz = [95.047, 100, 108.883];
+    const adaptingLuminance = 64 / Math.PI * 0.2;
+    const backgroundY = 20;
+    const f = 1;
+    const c = 0.69;
+    const nc = 1;
+
+    const k = 1 / (5 * adaptingLuminance + 1);
+    const k4 = Math.pow(k, 4);
+    const fl = 0.2 * k4 * (5 * adaptingLuminance) +
+        0.1 * Math.pow(1 - k4, 2) * Math.cbrt(5 * adaptingLuminance);
+    const n = backgroundY / whiteXyz[1];
+    const z = 1.48 + Math.sqrt(n);
+    const nbb = 0.725 * Math.pow(n, -0.2);
+    const d = Math.max(0, Math.min(1, f * (1 - (1 / 3.6) * Math.exp((-adaptingLuminance - 42) / 92))));
+
+    const whiteRgb = cam16Cone(whiteXyz);
+    const dRgb = whiteRgb.map(v => d * whiteXyz[1] / v + 1 - d);
+    const whiteAdapted = whiteRgb.map((v, i) => cam16Compress(dRgb[i] * v, fl));
+    const aw = (2 * whiteAdapted[0] + whiteAdapted[1] + whiteAdapted[2] / 20 - 0.305) * nbb;
+
+    return { fl, n, z, nbb, ncb: nbb, c, nc, dRgb, aw };
+})();
+
+/**
+ * CAM16 sharpened cone responses (M16) of XYZ
+ */
+function cam16Cone([x, y, z]) {
+    return [
+        0.401288 * x + 0.650173 * y - 0.051461 * z,
+        -0.250268 * x + 1.204414 * y + 0.045854 * z,
+        -0.002079 * x + 0.048952 * y + 0.953127 * z
+    ];
+}
+
+/**
+ * CAM16 post-adaptation non-linear compression
+ */
+function cam16Compress(value, fl) {
+    const t = Math.pow(fl * Math.abs(value) / 100, 0.42);
+    return Math.sign(value) * 400 * t / (t + 27.13) + 0.1;
+}
+
+/**
+ * Convert LAB (D65) to CAM16-UCS coordinates
+ * @param {Object} lab - LAB color {l, a, b}
+ * @returns {Object} CAM16-UCS {j, a, b} (J', a', b')
+ */
+function labToCam16Ucs(lab) {
+    const vc = CAM16_CONDITIONS;
+    const xyz = labToXyz(lab.l, lab.a, lab.b);
+    const adapted = cam16Cone([xyz.x, xyz.y, xyz.z]).map((v, i) => cam16Compress(vc.dRgb[i] * v, vc.fl));
+    const [ra, ga, ba] = adapted;
+
+    const a = ra - 12 * ga / 11 + ba / 11;
+    const b = (ra + ga - 2 * ba) / 9;
+    const h = Math.atan2(b, a);
+    const hDegrees = h * 180 / Math.PI;
+    const et = 0.25 * (Math.cos(((hDegrees < 0 ? hDegrees + 360 : hDegrees) * Math.PI / 180) + 2) + 3.8);
+
+    const achromatic = Math.max(0, (2 * ra + ga + ba / 20 - 0.305) * vc.nbb);
+    const j = 100 * Math.pow(achromatic / vc.aw, vc.c * vc.z);
+    const t = (50000 / 13 * vc.nc * vc.ncb * et * Math.sqrt(a * a + b * b)) / (ra + ga + 21 / 20 * ba);
+    const chroma = Math.pow(t, 0.9) * Math.sqrt(j / 100) * Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73);
+    const m = chroma * Math.pow(vc.fl, 0.25);
+
+    const mPrime = Math.log(1 + 0.0228 * m) / 0.0228;
+    return {
+        j: 1.7 * j / (1 + 0.007 * j),
+        a: mPrime * Math.cos(h),
+        b: mPrime * Math.sin(h)
+    };
+}
+
+/**
+ * Calculate the CAM16-UCS color difference
+ * @param {Object} lab1 - First LAB color {l, a, b}
+ * @param {Object} lab2 - Second LAB color {l, a, b}
+ * @returns {number} ΔE' in CAM16-UCS
+ */
+function deltaECam16Ucs(lab1, lab2) {
+    const u1 = labToCam16Ucs(lab1);
+    const u2 = labToCam16Ucs(lab2);
+    return Math.sqrt(Math.pow(u1.j - u2.j, 2) + Math.pow(u1.a - u2.a, 2) + Math.pow(u1.b - u2.b, 2));
+}
+
+/**
+ * Color-difference metrics by ID. Each takes (reference, sample, params);
+ * `params` lists the adjustable factors with their defaults, in the order they are written (e.g. CMC 2:1).
+ */
+const COLOR_METRICS = {
+    cie76: { label: 'ΔE*ab (CIE76)', compute: (reference, sample) => deltaE(reference, sample) },
+    cie94: { label: 'ΔE94 graphic arts', compute: (reference, sample) => deltaE94(reference, sample) },
+    'cie94-textiles': {
+        label: 'ΔE94 textiles',
+        compute: (reference, sample) => deltaE94(reference, sample, { application: 'textiles' })
+    },
+    cmc: { label: 'CMC l:c', params: { l: 2, c: 1 }, compute: deltaECmc },
+    ciede2000: { label: 'CIEDE2000', params: { kl: 1, kc: 1, kh: 1 }, compute: deltaE2000 },
+    cam16ucs: { label: 'CAM16-UCS', compute: (reference, sample) => deltaECam16Ucs(reference, sample) }
+};
+
+const DEFAULT_METRIC = 'ciede2000';
+
+/**
+ * Build a color-difference function from the registry
+ * @param {string|Object} [spec='ciede2000'] - Metric ID, or {id, params} to override factors
+ * @returns {Function} (reference, sample) => difference, with `id`, `params` and `label` properties
+ */
+function createColorMetric(spec = DEFAULT_METRIC) {
+    const id = typeof spec === 'string' ? spec : spec.id;
+    const metric = COLOR_METRICS[id];
+    if (!metric) throw new Error(`Unknown color metric '${id}'`);
+
+    const params = { ...metric.params, ...(typeof spec === 'object' ? spec.params : null) };
+    const difference = (reference, sample) => metric.compute(reference, sample, params);
+    difference.id = id;
+    difference.params = params;
+    const values = Object.values(params);
+    difference.label = metric.label.replace(/ l:c$/, '') + (values.length ? ' ' + values.join(':') : '');
+    return difference;
+}
+
+/**
+ * Convert LAB to LCh (cylindrical LAB)
+ * @param {Object} lab - LAB color {l, a, b}
+ * @returns {Object} LCh color {l, c, h} with h in degrees (0-360)
+ */
+function labToLch(lab) {
+    const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+    let h = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+    if (h < 0) h += 360;
+    return { l: lab.l, c, h };
+}
+
+/**
+ * Convert LCh to LAB
+ * @param {Object} lch - LCh color {l, c, h} with h in degrees
+ * @returns {Object} LAB color {l, a, b}
+ */
+function lchToLab(lch) {
+    const rad = lch.h * Math.PI / 180;
+    return { l: lch.l, a: lch.c * Math.cos(rad), b: lch.c * Math.sin(rad) };
+}
+
+/**
+ * Directions the operator can ask for, as the LCh dimension they move and which way.
+ * Hue directions rotate toward the named hue angle.
+ */
+const FEEDBACK_DIRECTIONS = {
+    lighter: { dimension: 'l', sign: 1 },
+    darker: { dimension: 'l', sign: -1 },
+    'more-saturated': { dimension: 'c', sign: 1 },
+    'less-saturated': { dimension: 'c', sign: -1 },
+    redder: { dimension: 'h', hue: 30 },
+    yellower: { dimension: 'h', hue: 90 },
+    greener: { dimension: 'h', hue: 150 },
+    bluer: { dimension: 'h', hue: 270 },
+    closer: { relative: true },
+    farther: { relative: true }
+};
+
+// Starting step per LCh dimension and the range it adapts within
+const FEEDBACK_STEPS = {
+    l: { initial: 4, min: 0.5, max: 15 },
+    c: { initial: 4, min: 0.5, max: 15 },
+    h: { initial: 6, min: 1, max: 30 }
+};
+
+/**
+ * Seeded random source (mulberry32), so a search can be replayed exactly
+ * @param {number} seed - Any integer
+ * @param {number} [state] - Resume from a state() taken earlier
+ * @returns {Function} () => number in [0, 1), with `seed` and `state()`
+ */
+function createSeededRandom(seed, state) {
+    let t = state !== undefined ? state >>> 0 : seed >>> 0;
+    const random = () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let x = Math.imul(t ^ (t >>> 15), t | 1);
+        x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = seed;
+    random.state = () => t;
+    return random;
+}
+
 /**
  * Clamp RGB values to valid range
  * @param {number} r - Red component
@@ -338,142 +866,1083 @@ function hexToRgb(hex) {
 }
 
 /**
- * Color Matcher Class
- * Generates candidate colors and finds best matches using LAB space
+ * Parse a color written as hex, rgb(), lab() or cmyk()
+ * Accepts "#FF8800", "ff8800", "rgb(255, 136, 0)", "255,136,0" (RGB), "lab(62 35 70)" and
+ * "cmyk(0 47 100 0)"; values may be separated by commas or spaces, and a "%" after L is ignored.
+ * @param {string} text - Color text
+ * @returns {Object} {space, value, lab}: space is 'rgb', 'lab' or 'cmyk' and value the color in it;
+ *   lab is D65 (CMYK by the rough device-independent formula)
  */
-class ColorMatcher {
-    constructor(targetRgb) {
-        this.targetRgb = targetRgb;
-        this.targetLab = rgbToLab(targetRgb.r, targetRgb.g, targetRgb.b);
-        this.candidates = [];
-        this.currentIndex = 0;
-        this.bestMatch = null;
-        this.bestDeltaE = Infinity;
+function parseColor(text) {
+    const trimmed = String(text).trim().toLowerCase();
+    if (/^#?[0-9a-f]{6}$/.test(trimmed)) {
+        const value = hexToRgb(trimmed);
+        return { space: 'rgb', value, lab: rgbToLab(value.r, value.g, value.b) };
     }
 
-    /**
-     * Generate initial candidate colors using smart search
-     * Uses LAB space to find perceptually similar colors
-     */
-    generateInitialCandidates(count = 50) {
-        this.candidates = [];
-        
-        // Start with the target color itself
-        this.candidates.push({
-            rgb: { ...this.targetRgb },
-            lab: { ...this.targetLab },
-            deltaE: 0
-        });
+    const match = trimmed.match(/^(?:(rgb|lab|cmyk)\s*\()?([^()]*)\)?$/);
+    const numbers = match ? match[2].split(/[\s,%/]+/).filter(Boolean).map(Number) : [];
+    const space = match && match[1] ? match[1] : 'rgb';
+    const channels = { rgb: ['r', 'g', 'b'], lab: ['l', 'a', 'b'], cmyk: ['c', 'm', 'y', 'k'] }[space];
+    if (numbers.length !== channels.length || numbers.some(n => !Number.isFinite(n))) {
+        throw new Error(`Can't read color '${text}'`);
+    }
 
-        // Generate candidates using various strategies
-        const strategies = [
-            () => this.generateGridCandidates(count / 4),
-            () => this.generateRandomCandidates(count / 4),
-            () => this.generateLabSpaceCandidates(count / 4),
-            () => this.generateGradientCandidates(count / 4)
-        ];
+    const value = {};
+    channels.forEach((channel, i) => { value[channel] = numbers[i]; });
+    if (space === 'lab') return { space, value, lab: value };
+    const rgb = space === 'cmyk' ? cmykToRgb(value.c, value.m, value.y, value.k) : value;
+    return { space, value, lab: rgbToLab(rgb.r, rgb.g, rgb.b) };
+}
 
-        strategies.forEach(strategy => {
-            const newCandidates = strategy();
-            this.candidates.push(...newCandidates);
-        });
+/**
+ * Eigen-decomposition of a symmetric 3x3 matrix (cyclic Jacobi rotations)
+ * @param {number[][]} matrix - Symmetric matrix rows (not modified)
+ * @returns {Object[]} Eigenpairs [{value, vector}] sorted by decreasing value
+ */
+function symmetricEigen3(matrix) {
+    const a = matrix.map(row => row.slice());
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const off = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+        if (off < 1e-18) break;
+        for (let p = 0; p < 2; p++) {
+            for (let q = p + 1; q < 3; q++) {
+                if (Math.abs(a[p][q]) < 1e-15) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < 3; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
 
-        // Calculate Delta E for all candidates and sort
-        this.candidates.forEach(candidate => {
-            candidate.deltaE = deltaE2000(this.targetLab, candidate.lab);
-        });
+    return [0, 1, 2]
+        .map(i => ({ value: a[i][i], vector: [v[0][i], v[1][i], v[2][i]] }))
+        .sort((x, y) => y.value - x.value);
+}
 
-        this.candidates.sort((a, b) => a.deltaE - b.deltaE);
+// Chi-square quantile for 3 degrees of freedom at 95%: scales the covariance to a 95% ellipsoid
+const CHI2_3DOF_95 = 7.815;
 
-        // Remove duplicates (same RGB values)
-        this.candidates = this.candidates.filter((candidate, index, self) => {
-            return index === self.findIndex(c => 
-                c.rgb.r === candidate.rgb.r &&
-                c.rgb.g === candidate.rgb.g &&
-                c.rgb.b === candidate.rgb.b
-            );
-        });
+// Typical ΔE between what an unprofiled screen shows and what sRGB predicts
+const UNPROFILED_DISPLAY_ERROR = 4;
 
-        // Limit to best candidates
-        this.candidates = this.candidates.slice(0, count);
+/**
+ * Adaptive Search Class
+ * Bayesian estimate of where the operator perceives a match, kept as weighted particles in LAB.
+ * Every answer (Match, No Match, or a direction) reweights the particles through a
+ * psychometric model, and the next probe is the color whose answer is expected to
+ * tell us the most.
+ */
+class AdaptiveSearch {
+    /**
+     * @param {Object} centerLab - Prior center (predicted match) {l, a, b}
+     * @param {Object} [options]
+     * @param {number} [options.particles=500] - Number of particles
+     * @param {number} [options.priorSpread=6] - Prior standard deviation per LAB axis
+     * @param {number} [options.threshold=2.5] - Distance (ΔE76) judged a match half the time
+     * @param {number} [options.lapse=0.04] - Rate of careless answers (either way)
+     * @param {number} [options.tolerance=3] - 95% radius (ΔE76) at which the estimate counts as converged
+     * @param {number} [options.maxJudgements=40] - Give the best estimate after this many answers
+     * @param {Function} [options.random=Math.random] - Random source in [0, 1)
+     */
+    constructor(centerLab, options = {}) {
+        this.particleCount = options.particles || 500;
+        this.priorSpread = options.priorSpread || 6;
+        this.threshold = options.threshold || 2.5;
+        this.lapse = options.lapse !== undefined ? options.lapse : 0.04;
+        this.tolerance = options.tolerance || 3;
+        this.maxJudgements = options.maxJudgements || 40;
+        this.random = options.random || Math.random;
+        this.judgements = 0;
+        this.jitter = this.priorSpread / 4;
+        this.particles = [];
+
+        for (let i = 0; i < this.particleCount; i++) {
+            this.particles.push({
+                l: Math.max(0, Math.min(100, centerLab.l + this.gaussian() * this.priorSpread)),
+                a: centerLab.a + this.gaussian() * this.priorSpread,
+                b: centerLab.b + this.gaussian() * this.priorSpread,
+                w: 1 / this.particleCount
+            });
+        }
     }
 
     /**
-     * Generate candidates using grid search around target RGB
+     * Standard normal sample (Box-Muller)
      */
-    generateGridCandidates(count) {
-        const candidates = [];
-        const step = 20; // Step size in RGB space
-        const range = Math.floor(Math.sqrt(count)) * step;
-
-        for (let r = Math.max(0, this.targetRgb.r - range); 
-             r <= Math.min(255, this.targetRgb.r + range); 
-             r += step) {
-            for (let g = Math.max(0, this.targetRgb.g - range); 
-                 g <= Math.min(255, this.targetRgb.g + range); 
-                 g += step) {
-                for (let b = Math.max(0, this.targetRgb.b - range); 
-                     b <= Math.min(255, this.targetRgb.b + range); 
-                     b += step) {
-                    if (candidates.length >= count) break;
-                    
-                    const rgb = { r, g, b };
-                    const lab = rgbToLab(r, g, b);
-                    candidates.push({ rgb, lab });
-                }
-                if (candidates.length >= count) break;
-            }
-            if (candidates.length >= count) break;
-        }
+    gaussian() {
+        const u = Math.max(1e-12, this.random());
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+    }
 
-        return candidates;
+    /**
+     * Probability that a probe this far from the true match is judged a match
+     */
+    matchProbability(distance) {
+        const ratio = distance / this.threshold;
+        return this.lapse + (1 - 2 * this.lapse) * Math.exp(-Math.LN2 * ratio * ratio);
     }
 
     /**
-     * Generate random candidates in RGB space
+     * Probability of a directional answer, with a soft edge about half a threshold wide
      */
-    generateRandomCandidates(count) {
-        const candidates = [];
-        for (let i = 0; i < count; i++) {
-            const r = Math.floor(Math.random() * 256);
-            const g = Math.floor(Math.random() * 256);
-            const b = Math.floor(Math.random() * 256);
-            const rgb = { r, g, b };
-            const lab = rgbToLab(r, g, b);
-            candidates.push({ rgb, lab });
-        }
-        return candidates;
+    directionProbability(signedDistance) {
+        const scale = this.threshold / 2;
+        return this.lapse + (1 - 2 * this.lapse) / (1 + Math.exp(-signedDistance / scale));
     }
 
     /**
-     * Generate candidates in LAB space (more perceptually uniform)
+     * Likelihood of an answer about a probe if the true match were at a particle
+     * @param {Object} particle - Hypothetical match {l, a, b}
+     * @param {Object} probe - LAB of the color shown
+     * @param {string} answer - 'match', 'no-match', or a key of FEEDBACK_DIRECTIONS
+     * @param {Object} [previous] - LAB of the color shown before (for 'closer'/'farther')
      */
-    generateLabSpaceCandidates(count) {
-        const candidates = [];
-        const lRange = 30;
-        const aRange = 50;
-        const bRange = 50;
+    likelihood(particle, probe, answer, previous) {
+        if (answer === 'match' || answer === 'no-match') {
+            const p = this.matchProbability(deltaE(particle, probe));
+            return answer === 'match' ? p : 1 - p;
+        }
 
-        for (let i = 0; i < count; i++) {
-            // Generate in LAB space around target
-            const l = Math.max(0, Math.min(100, 
-                this.targetLab.l + (Math.random() - 0.5) * lRange));
-            const a = this.targetLab.a + (Math.random() - 0.5) * aRange;
-            const b = this.targetLab.b + (Math.random() - 0.5) * bRange;
+        const spec = FEEDBACK_DIRECTIONS[answer];
+        if (!spec) return 1;
+        if (spec.relative) {
+            if (!previous) return 1;
+            const gain = deltaE(particle, previous) - deltaE(particle, probe);
+            return this.directionProbability(answer === 'closer' ? gain : -gain);
+        }
 
-            // Convert back to RGB
-            const rgb = labToRgb(l, a, b);
-            const lab = { l, a, b };
-            candidates.push({ rgb, lab });
+        const target = labToLch(particle);
+        const shown = labToLch(probe);
+        if (spec.dimension === 'h') {
+            let towards = spec.hue - shown.h;
+            if (towards > 180) towards -= 360;
+            if (towards < -180) towards += 360;
+            let moved = target.h - shown.h;
+            if (moved > 180) moved -= 360;
+            if (moved < -180) moved += 360;
+            // Hue angle as an arc length, so it is comparable with the other distances
+            const arc = moved * Math.PI / 180 * (target.c + shown.c) / 2;
+            return this.directionProbability(Math.sign(towards) * arc);
         }
+        return this.directionProbability(spec.sign * (target[spec.dimension] - shown[spec.dimension]));
+    }
 
-        return candidates;
+    /**
+     * Update the estimate with an answer
+     * @param {Object} probe - LAB of the color shown
+     * @param {string} answer - 'match', 'no-match', or a key of FEEDBACK_DIRECTIONS
+     * @param {Object} [previous] - LAB of the color shown before (for 'closer'/'farther')
+     */
+    update(probe, answer, previous) {
+        let total = 0;
+        this.particles.forEach(particle => {
+            particle.w *= this.likelihood(particle, probe, answer, previous);
+            total += particle.w;
+        });
+        if (total <= 0) {
+            // Answers contradict each other completely; start over from uniform weights
+            this.particles.forEach(particle => { particle.w = 1 / this.particleCount; });
+        } else {
+            this.particles.forEach(particle => { particle.w /= total; });
+        }
+        this.judgements++;
+        this.resampleIfNeeded();
     }
 
     /**
-     * Generate candidates along gradients from target
+     * Systematic resampling with a shrinking jitter once the weights concentrate
      */
-    generateGradientCandidates(count) {
+    resampleIfNeeded() {
+        const ess = 1 / this.particles.reduce((sum, p) => sum + p.w * p.w, 0);
+        if (ess > this.particleCount / 2) return;
+
+        const resampled = [];
+        const stepSize = 1 / this.particleCount;
+        let cumulative = this.particles[0].w;
+        let index = 0;
+        const start = this.random() * stepSize;
+        for (let i = 0; i < this.particleCount; i++) {
+            const u = start + i * stepSize;
+            while (u > cumulative && index < this.particles.length - 1) {
+                index++;
+                cumulative += this.particles[index].w;
+            }
+            const source = this.particles[index];
+            resampled.push({
+                l: Math.max(0, Math.min(100, source.l + this.gaussian() * this.jitter)),
+                a: source.a + this.gaussian() * this.jitter,
+                b: source.b + this.gaussian() * this.jitter,
+                w: stepSize
+            });
+        }
+        this.particles = resampled;
+        this.jitter = Math.max(0.2, this.jitter * 0.8);
+    }
+
+    /**
+     * Current estimate of the match with its 95% confidence region
+     * @returns {Object} {lab, covariance, axes: [{value, vector}], radius95}
+     *   radius95 is the largest semi-axis (ΔE76) of the 95% confidence ellipsoid
+     */
+    estimate() {
+        const mean = { l: 0, a: 0, b: 0 };
+        this.particles.forEach(p => {
+            mean.l += p.w * p.l;
+            mean.a += p.w * p.a;
+            mean.b += p.w * p.b;
+        });
+
+        const keys = ['l', 'a', 'b'];
+        const covariance = keys.map(() => [0, 0, 0]);
+        this.particles.forEach(p => {
+            const d = keys.map(k => p[k] - mean[k]);
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    covariance[i][j] += p.w * d[i] * d[j];
+                }
+            }
+        });
+
+        const axes = symmetricEigen3(covariance).map(axis => ({
+            value: Math.max(0, axis.value),
+            vector: axis.vector
+        }));
+        const radius95 = Math.sqrt(axes[0].value * CHI2_3DOF_95);
+        return { lab: mean, covariance, axes, radius95 };
+    }
+
+    /**
+     * Whether the confidence region is small enough, or we have asked enough
+     */
+    isDone() {
+        return this.estimate().radius95 <= this.tolerance || this.judgements >= this.maxJudgements;
+    }
+
+    /**
+     * Choose the most informative probe: the color whose Match / No Match answer
+     * maximizes the expected information gain about the match location
+     * @param {number} [proposals=40] - Number of candidate probes to compare
+     * @returns {Object} LAB color to show next {l, a, b}
+     */
+    nextProbe(proposals = 40) {
+        const { lab: mean } = this.estimate();
+        const options = [mean];
+        for (let i = 1; i < proposals; i++) {
+            const particle = this.sampleParticle();
+            // Probing around the edge of the match region separates hypotheses best
+            options.push({
+                l: Math.max(0, Math.min(100, particle.l + this.gaussian() * this.threshold)),
+                a: particle.a + this.gaussian() * this.threshold,
+                b: particle.b + this.gaussian() * this.threshold
+            });
+        }
+
+        const entropy = (p) => (p <= 0 || p >= 1) ? 0 : -(p * Math.log(p) + (1 - p) * Math.log(1 - p));
+        let best = mean;
+        let bestGain = -Infinity;
+        options.forEach(option => {
+            let mean = 0;
+            let conditional = 0;
+            this.particles.forEach(particle => {
+                const p = this.matchProbability(deltaE(particle, option));
+                mean += particle.w * p;
+                conditional += particle.w * entropy(p);
+            });
+            const gain = entropy(mean) - conditional;
+            if (gain > bestGain) {
+                bestGain = gain;
+                best = option;
+            }
+        });
+        return best;
+    }
+
+    sampleParticle() {
+        let u = this.random();
+        for (const particle of this.particles) {
+            u -= particle.w;
+            if (u <= 0) return particle;
+        }
+        return this.particles[this.particles.length - 1];
+    }
+
+    /**
+     * Plain object for resuming after a reload
+     */
+    toJSON() {
+        return {
+            particleCount: this.particleCount,
+            priorSpread: this.priorSpread,
+            threshold: this.threshold,
+            lapse: this.lapse,
+            tolerance: this.tolerance,
+            maxJudgements: this.maxJudgements,
+            judgements: this.judgements,
+            jitter: this.jitter,
+            particles: this.particles
+        };
+    }
+
+    /**
+     * Restore a search saved with toJSON()
+     */
+    static fromJSON(data, options = {}) {
+        const search = new AdaptiveSearch({ l: 50, a: 0, b: 0 }, {
+            particles: data.particleCount,
+            priorSpread: data.priorSpread,
+            threshold: data.threshold,
+            lapse: data.lapse,
+            tolerance: data.tolerance,
+            maxJudgements: data.maxJudgements,
+            random: options.random
+        });
+        search.judgements = data.judgements;
+        search.jitter = data.jitter;
+        search.particles = data.particles;
+        return search;
+    }
+}
+
+// LAB axes the pairwise search bisects, in turn
+const PAIRWISE_AXES = ['l', 'a', 'b'];
+
+/**
+ * Pairwise Search Class
+ * Two-alternative forced choice: the operator sees two colors side by side and picks the one
+ * closer to the sample. The pair straddles the current best guess along one LAB axis
+ * (guess ± step), so the choice says which side of the guess the match lies on along that
+ * axis. The guess moves half a step that way; the step halves when the answer reverses
+ * (bisection) and is kept when it repeats, so a match outside the first interval or a
+ * careless tap can still be recovered from. Axes take turns until every step is small.
+ */
+class PairwiseSearch {
+    /**
+     * @param {Object} centerLab - Starting guess {l, a, b}
+     * @param {Object} [options]
+     * @param {number} [options.initialStep=8] - First offset (ΔE76) of each patch from the guess
+     * @param {number} [options.minStep=0.5] - Stop once every axis step is below this
+     * @param {number} [options.maxComparisons=40] - Give the current guess after this many choices
+     */
+    constructor(centerLab, options = {}) {
+        this.center = { l: centerLab.l, a: centerLab.a, b: centerLab.b };
+        this.initialStep = options.initialStep || 8;
+        this.minStep = options.minStep || 0.5;
+        this.maxComparisons = options.maxComparisons || 40;
+        this.steps = { l: this.initialStep, a: this.initialStep, b: this.initialStep };
+        this.lastSigns = { l: 0, a: 0, b: 0 };
+        this.axisIndex = 0;
+        this.comparisons = 0;
+    }
+
+    /**
+     * Axis the next pair differs along (skips axes that have already converged)
+     */
+    currentAxis() {
+        for (let i = 0; i < PAIRWISE_AXES.length; i++) {
+            const axis = PAIRWISE_AXES[(this.axisIndex + i) % PAIRWISE_AXES.length];
+            if (this.steps[axis] >= this.minStep) return axis;
+        }
+        return null;
+    }
+
+    /**
+     * The two LAB colors to compare next
+     * @returns {Object|null} {axis, lower, upper}, or null when done
+     */
+    nextPair() {
+        if (this.isDone()) return null;
+        const axis = this.currentAxis();
+        const lower = { ...this.center };
+        const upper = { ...this.center };
+        lower[axis] -= this.steps[axis];
+        upper[axis] += this.steps[axis];
+        lower.l = Math.max(0, Math.min(100, lower.l));
+        upper.l = Math.max(0, Math.min(100, upper.l));
+        return { axis, lower, upper };
+    }
+
+    /**
+     * Record which side of a pair was picked
+     * @param {string} axis - Axis of the pair (from nextPair())
+     * @param {number} sign - 1 if the upper patch was picked, -1 for the lower one
+     */
+    choose(axis, sign) {
+        const step = this.steps[axis];
+        this.center[axis] += sign * step / 2;
+        this.center.l = Math.max(0, Math.min(100, this.center.l));
+        if (this.lastSigns[axis] === -sign) {
+            this.steps[axis] = step / 2;
+        } else if (this.lastSigns[axis] === 0) {
+            // The first answer already halves the interval the match is in
+            this.steps[axis] = step / 2;
+        }
+        this.lastSigns[axis] = sign;
+        this.comparisons++;
+        this.axisIndex = (PAIRWISE_AXES.indexOf(axis) + 1) % PAIRWISE_AXES.length;
+    }
+
+    /**
+     * Whether every axis has been narrowed down, or we have asked enough
+     */
+    isDone() {
+        return this.currentAxis() === null || this.comparisons >= this.maxComparisons;
+    }
+
+    /**
+     * Uncertainty of the guess: the largest remaining step (ΔE76 along one axis)
+     */
+    uncertainty() {
+        return Math.max(this.steps.l, this.steps.a, this.steps.b);
+    }
+
+    toJSON() {
+        return {
+            center: this.center,
+            initialStep: this.initialStep,
+            minStep: this.minStep,
+            maxComparisons: this.maxComparisons,
+            steps: this.steps,
+            lastSigns: this.lastSigns,
+            axisIndex: this.axisIndex,
+            comparisons: this.comparisons
+        };
+    }
+
+    static fromJSON(data) {
+        const search = new PairwiseSearch(data.center, data);
+        search.steps = data.steps;
+        search.lastSigns = data.lastSigns;
+        search.axisIndex = data.axisIndex;
+        search.comparisons = data.comparisons;
+        return search;
+    }
+}
+
+/**
+ * Black generation: how much of a color's gray component (the smallest of C, M and Y)
+ * is printed with black ink. Black starts once the gray component passes `start` and
+ * takes over `amount` of it from there on.
+ */
+const BLACK_GENERATION = {
+    none: { label: 'None', start: 1, amount: 0 },
+    light: { label: 'Light', start: 0.4, amount: 0.5 },
+    medium: { label: 'Medium', start: 0.2, amount: 0.75 },
+    heavy: { label: 'Heavy', start: 0.1, amount: 0.9 },
+    maximum: { label: 'Maximum', start: 0, amount: 1 }
+};
+
+// Total area coverage (C + M + Y + K, %) a typical coated sheetfed press accepts
+const DEFAULT_INK_LIMIT = 300;
+
+/**
+ * Solve a 3x3 linear system by Cramer's rule
+ * @returns {number[]|null} Solution, or null when the matrix is singular
+ */
+function solve3(m, v) {
+    const det = (a) => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+        a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+        a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+    const d = det(m);
+    if (Math.abs(d) < 1e-12) return null;
+    return [0, 1, 2].map(column => det(m.map((row, i) => row.map((value, j) => j === column ? v[i] : value))) / d);
+}
+
+/**
+ * CMYK Separation Class
+ * Turns LAB colors into printable CMYK recipes: black is generated from the gray
+ * component, C, M and Y are then solved so the recipe prints the requested color, and
+ * the total ink stays within the press's limit.
+ */
+class CmykSeparation {
+    /**
+     * @param {Object} [options]
+     * @param {IccProfile} [options.profile] - Printer profile; without one the textbook CMYK formula stands in for the press
+     * @param {string} [options.intent='relative'] - Rendering intent used with the profile
+     * @param {number} [options.inkLimit=300] - Maximum total area coverage in %
+     * @param {string} [options.blackGeneration='medium'] - Key of BLACK_GENERATION
+     */
+    constructor(options = {}) {
+        if (options.blackGeneration && !BLACK_GENERATION[options.blackGeneration]) {
+            throw new Error(`Unknown black generation '${options.blackGeneration}'`);
+        }
+        this.profile = options.profile || null;
+        this.intent = options.intent || 'relative';
+        this.inkLimit = options.inkLimit || DEFAULT_INK_LIMIT;
+        this.blackGeneration = options.blackGeneration || 'medium';
+    }
+
+    /**
+     * LAB a recipe prints as
+     * @param {Object} cmyk - CMYK color {c, m, y, k} (0-100)
+     * @returns {Object} LAB color {l, a, b}
+     */
+    cmykToLab(cmyk) {
+        if (this.profile) return this.profile.cmykToLab(cmyk, this.intent);
+        // cmykToRgb() without the rounding, which would make the solver step on 1/255 stairs
+        const white = (1 - cmyk.k / 100) * 255;
+        return rgbToLab((1 - cmyk.c / 100) * white, (1 - cmyk.m / 100) * white, (1 - cmyk.y / 100) * white);
+    }
+
+    withinLimit(cmyk) {
+        return cmyk.c + cmyk.m + cmyk.y + cmyk.k <= this.inkLimit;
+    }
+
+    /**
+     * Printable recipe for a LAB color
+     * @param {Object} lab - LAB color {l, a, b}
+     * @returns {Object} CMYK color {c, m, y, k} (0-100, whole percent) within the ink limit
+     */
+    separate(lab) {
+        const rgb = labToRgb(lab.l, lab.a, lab.b);
+        const cmy = [1 - rgb.r / 255, 1 - rgb.g / 255, 1 - rgb.b / 255];
+        const gray = Math.min(...cmy);
+        const generation = BLACK_GENERATION[this.blackGeneration];
+        let k = gray > generation.start ? (gray - generation.start) / (1 - generation.start) * generation.amount : 0;
+        let inks = this.solveCmy(lab, cmy.map(v => k < 1 ? Math.max(0, (v - k) / (1 - k)) : 0), k);
+
+        // Over the limit: print more of the gray component with black, then thin the color inks
+        const limit = this.inkLimit / 100;
+        for (let i = 0; i < 8 && inks[0] + inks[1] + inks[2] + k > limit + 0.005 && k < 1; i++) {
+            k = Math.min(1, k + (inks[0] + inks[1] + inks[2] + k - limit) / 2);
+            inks = this.solveCmy(lab, inks, k);
+        }
+        const colorInk = inks[0] + inks[1] + inks[2];
+        if (colorInk + k > limit) {
+            const scale = Math.max(0, limit - k) / colorInk;
+            inks = inks.map(v => v * scale);
+        }
+
+        const recipe = { c: Math.round(inks[0] * 100), m: Math.round(inks[1] * 100), y: Math.round(inks[2] * 100), k: Math.round(k * 100) };
+        while (!this.withinLimit(recipe)) {
+            const largest = ['c', 'm', 'y'].reduce((a, b) => recipe[a] >= recipe[b] ? a : b);
+            recipe[largest]--;
+        }
+        return recipe;
+    }
+
+    /**
+     * C, M and Y (0-1) that print a LAB color with a fixed amount of black
+     * Damped Gauss-Newton on the printing model, starting from a guess
+     */
+    solveCmy(lab, start, k) {
+        const residual = (v) => {
+            const printed = this.cmykToLab({ c: v[0] * 100, m: v[1] * 100, y: v[2] * 100, k: k * 100 });
+            return [printed.l - lab.l, printed.a - lab.a, printed.b - lab.b];
+        };
+        let inks = start.slice();
+        for (let iteration = 0; iteration < 15; iteration++) {
+            const r = residual(inks);
+            if (Math.hypot(...r) < 0.05) break;
+            const jacobian = [[], [], []];
+            [0, 1, 2].forEach(i => {
+                const probe = inks.slice();
+                probe[i] += probe[i] > 0.99 ? -0.01 : 0.01;
+                const shifted = residual(probe);
+                shifted.forEach((value, j) => { jacobian[j][i] = (value - r[j]) / (probe[i] - inks[i]); });
+            });
+            // Normal equations with a little damping, so inks the color doesn't need stay put
+            const normal = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+                jacobian.reduce((sum, row) => sum + row[i] * row[j], 0)));
+            const damping = 1e-3 * Math.max(normal[0][0], normal[1][1], normal[2][2], 1e-6);
+            [0, 1, 2].forEach(i => { normal[i][i] += damping; });
+            const gradient = [0, 1, 2].map(i => jacobian.reduce((sum, row, j) => sum + row[i] * r[j], 0));
+            const step = solve3(normal, gradient);
+            if (!step) break;
+            inks = inks.map((v, i) => Math.max(0, Math.min(1, v - step[i])));
+        }
+        return inks;
+    }
+
+    /**
+     * Settings for saving; the profile itself is supplied again on restore
+     */
+    toJSON() {
+        return {
+            profile: this.profile ? this.profile.name : null,
+            intent: this.intent,
+            inkLimit: this.inkLimit,
+            blackGeneration: this.blackGeneration
+        };
+    }
+}
+
+/**
+ * Candidate strategies for the first round of a search, by ID. Each gets a whole-number share
+ * of the candidates in proportion to its weight (see strategyQuotas()); `settings` are its
+ * ranges, overridable per matcher. generate(matcher, count, settings) returns candidates;
+ * applies(matcher), when given, decides whether the strategy runs at all.
+ */
+const CANDIDATE_STRATEGIES = {
+    grid: {
+        label: 'RGB grid around the seed',
+        weight: 1,
+        settings: { step: 20, inkStep: 5 },
+        generate: (matcher, count, settings) => matcher.generateGridCandidates(count, settings)
+    },
+    random: {
+        label: 'Random RGB',
+        weight: 1,
+        generate: (matcher, count) => matcher.generateRandomCandidates(count)
+    },
+    lab: {
+        label: 'Random LAB around the target',
+        weight: 1,
+        settings: { lRange: 30, aRange: 50, bRange: 50 },
+        generate: (matcher, count, settings) => matcher.generateLabSpaceCandidates(count, settings)
+    },
+    gradient: {
+        label: 'RGB gradients from the seed',
+        weight: 1,
+        settings: { reach: 50 },
+        generate: (matcher, count, settings) => matcher.generateGradientCandidates(count, settings)
+    },
+    references: {
+        label: 'Nearest reference colors',
+        weight: 1,
+        applies: matcher => matcher.references.length > 0,
+        generate: (matcher, count) => matcher.generateReferenceCandidates(count)
+    }
+};
+
+/**
+ * Add a candidate strategy, or replace one with the same ID
+ * @param {string} id - Strategy ID
+ * @param {Object} strategy - {label, weight, settings, generate, applies} (see CANDIDATE_STRATEGIES)
+ */
+function registerCandidateStrategy(id, strategy) {
+    if (typeof strategy.generate !== 'function') throw new Error(`Strategy '${id}' has no generate()`);
+    CANDIDATE_STRATEGIES[id] = { weight: 1, settings: {}, ...strategy };
+}
+
+/**
+ * Remove a candidate strategy; matchers stop using it the next time they generate candidates
+ * @param {string} id - Strategy ID
+ */
+function unregisterCandidateStrategy(id) {
+    delete CANDIDATE_STRATEGIES[id];
+}
+
+/**
+ * Color Matcher Class
+ * Generates candidate colors and finds best matches using LAB space
+ */
+class ColorMatcher {
+    /**
+     * @param {Object} targetRgb - Target color {r, g, b} (0-255)
+     * @param {Object} [options]
+     * @param {DisplayModel} [options.displayModel] - Characterization of the control display;
+     *   candidates are then seeded from its prediction instead of assuming a perfect sRGB screen
+     * @param {string|Object} [options.metric='ciede2000'] - Color-difference metric for ranking (see COLOR_METRICS)
+     * @param {CmykSeparation} [options.separation] - Search printable CMYK recipes instead of screen colors;
+     *   every candidate then carries its recipe as `cmyk` and is shown as that recipe prints
+     * @param {string} [options.workingSpace='srgb'] - RGB space candidates are expressed and shown in
+     *   (key of RGB_SPACES); a display model only applies to sRGB, the space it was measured in
+     * @param {Object} [options.targetLab] - Measured LAB of the target, when it may lie outside the
+     *   RGB the target is given in (a wide-gamut camera sample)
+     * @param {Object[]} [options.references] - Named reference colors [{name, lab}] (e.g. from a
+     *   ReferenceLibrary); the nearest ones join the initial candidates, tagged with their `reference` name
+     * @param {Object} [options.strategies] - Per-strategy overrides by ID: {weight, settings}, false to leave
+     *   a strategy out, or a whole strategy (with generate()) used by this matcher only (see CANDIDATE_STRATEGIES)
+     * @param {number} [options.seed] - Seed for the random strategies and pair order, to replay a session
+     * @param {Function} [options.random] - Random source in [0, 1), in place of a seed
+     * @param {number} [options.targetSpread=0] - Uncertainty of the target itself (ΔE), e.g. the camera
+     *   sample's spread; widens the adaptive search's prior
+     */
+    constructor(targetRgb, options = {}) {
+        this.targetRgb = targetRgb;
+        this.targetLab = options.targetLab ? { ...options.targetLab } : rgbToLab(targetRgb.r, targetRgb.g, targetRgb.b);
+        this.workingSpace = options.workingSpace || 'srgb';
+        if (!RGB_SPACES[this.workingSpace]) throw new Error(`Unknown working space '${this.workingSpace}'`);
+        this.displayModel = this.workingSpace === 'srgb' ? options.displayModel || null : null;
+        this.metric = createColorMetric(options.metric);
+        this.separation = options.separation || null;
+        this.references = options.references || [];
+        this.strategyOptions = options.strategies || {};
+        this.targetSpread = options.targetSpread || 0;
+        this.random = options.random || (Number.isFinite(options.seed) ? createSeededRandom(options.seed) : Math.random);
+        this.seedCmyk = this.separation ? this.separation.separate(this.targetLab) : null;
+        if (this.seedCmyk) {
+            this.seedRgb = this.candidateForCmyk(this.seedCmyk).rgb;
+        } else {
+            this.seedRgb = this.displayModel || this.workingSpace !== 'srgb' || options.targetLab
+                ? this.rgbForLab(this.targetLab)
+                : { ...targetRgb };
+        }
+        this.candidates = [];
+        this.currentIndex = 0;
+        this.bestMatch = null;
+        // Predicted and camera ΔE of the best match; the two aren't on the same scale
+        this.bestDeltaE = Infinity;
+        this.bestMeasuredDeltaE = Infinity;
+        this.nextId = 1;
+        this.adaptive = null;
+        this.pairwise = null;
+        this.currentPair = null;
+        this.result = null;
+        this.history = [];
+        this.shownIds = [];
+        this.steps = {};
+        this.lastSigns = {};
+        Object.keys(FEEDBACK_STEPS).forEach(dimension => {
+            this.steps[dimension] = FEEDBACK_STEPS[dimension].initial;
+            this.lastSigns[dimension] = 0;
+        });
+    }
+
+    /**
+     * Difference of a color from the target in the chosen metric
+     * @param {Object} lab - LAB color {l, a, b}
+     */
+    difference(lab) {
+        return this.metric(this.targetLab, lab);
+    }
+
+    /**
+     * Switch the ranking metric and re-score every candidate with it
+     * @param {string|Object} spec - Metric ID or {id, params}
+     */
+    setMetric(spec) {
+        this.metric = createColorMetric(spec);
+        this.candidates.forEach(candidate => { candidate.deltaE = this.difference(candidate.lab); });
+        if (this.bestMatch) {
+            this.bestMatch.deltaE = this.difference(this.bestMatch.lab);
+            this.bestDeltaE = this.bestMatch.deltaE;
+        }
+    }
+
+    /**
+     * Stable ID for a candidate, assigned the first time it is asked for.
+     * Lets feedback from the control device refer to the exact candidate it showed.
+     * @param {Object} candidate - Candidate {rgb, lab, deltaE}
+     * @returns {string} Candidate ID
+     */
+    identify(candidate) {
+        if (!candidate.id) {
+            candidate.id = 'c' + (this.nextId++);
+        }
+        return candidate.id;
+    }
+
+    /**
+     * Find a candidate by ID
+     * @param {string} id - ID from identify()
+     * @returns {Object|null} Candidate
+     */
+    findCandidate(id) {
+        if (this.bestMatch && this.bestMatch.id === id) return this.bestMatch;
+        if (this.result && this.result.candidate.id === id) return this.result.candidate;
+        return this.candidates.find(candidate => candidate.id === id) || null;
+    }
+
+    /**
+     * LAB a device RGB renders as on the control display
+     * @param {Object} rgb - Device RGB {r, g, b} (0-255) in the working space
+     * @returns {Object} LAB color {l, a, b}
+     */
+    renderedLab(rgb) {
+        if (this.displayModel) {
+            return this.displayModel.rgbToLab(rgb);
+        }
+        return RGB_SPACES[this.workingSpace].toLab(rgb);
+    }
+
+    /**
+     * Whether the control display can show a LAB color
+     * @param {Object} lab - LAB color {l, a, b}
+     */
+    inGamut(lab) {
+        if (this.displayModel) {
+            return this.displayModel.inGamut(lab);
+        }
+        return isInGamut(lab, this.workingSpace);
+    }
+
+    /**
+     * Device RGB that renders a LAB color on the control display
+     * Colors the display can't show are first mapped into its gamut at constant hue and lightness.
+     * @param {Object} lab - LAB color {l, a, b}
+     * @returns {Object} Device RGB {r, g, b} (0-255) in the working space
+     */
+    rgbForLab(lab) {
+        const mapped = mapToGamut(lab, color => this.inGamut(color));
+        if (this.displayModel) {
+            return this.displayModel.labToRgb(mapped);
+        }
+        return RGB_SPACES[this.workingSpace].fromLab(mapped);
+    }
+
+    /**
+     * How closely the control display can show the target
+     * @returns {Object} {inGamut, lab, deltaE}: whether the target is inside the display gamut,
+     *   the nearest color that is (chroma reduced at constant hue and lightness) and its
+     *   difference from the target in the matcher's metric, the best any match can reach
+     */
+    targetGamut() {
+        const lab = mapToGamut(this.targetLab, color => this.inGamut(color));
+        return { inGamut: this.inGamut(this.targetLab), lab, deltaE: this.difference(lab) };
+    }
+
+    /**
+     * Candidate showing a LAB color. In CMYK mode the color is first separated into a
+     * printable recipe, and the candidate shows what that recipe prints.
+     * @param {Object} lab - LAB color {l, a, b}
+     * @returns {Object} Candidate {rgb, lab, deltaE, cmyk?} with the LAB the screen actually renders
+     */
+    candidateForLab(lab) {
+        if (this.separation) {
+            return this.candidateForCmyk(this.separation.separate(lab));
+        }
+        const rgb = this.rgbForLab(lab);
+        const rendered = this.renderedLab(rgb);
+        return { rgb, lab: rendered, deltaE: this.difference(rendered) };
+    }
+
+    /**
+     * Candidate for a device RGB; in CMYK mode, for the printable recipe nearest to it
+     */
+    candidateForRgb(rgb) {
+        const lab = this.renderedLab(rgb);
+        if (this.separation) {
+            return this.candidateForLab(lab);
+        }
+        return { rgb, lab, deltaE: this.difference(lab) };
+    }
+
+    /**
+     * Candidate for a CMYK recipe, shown on screen as it prints
+     * @param {Object} cmyk - CMYK color {c, m, y, k} (0-100)
+     */
+    candidateForCmyk(cmyk) {
+        const rgb = this.rgbForLab(this.separation.cmykToLab(cmyk));
+        const lab = this.renderedLab(rgb);
+        return { rgb, lab, cmyk: { ...cmyk }, deltaE: this.difference(lab) };
+    }
+
+    /**
+     * Recipes around a center recipe in ink space, nearest first, within the ink limit
+     * @param {Object} center - CMYK color {c, m, y, k} (0-100)
+     * @param {number} count - Number of candidates
+     * @param {number} step - Ink step in %
+     */
+    generateInkCandidates(center, count, step) {
+        const candidates = [];
+        const offsets = [];
+        for (let n = 1; n < 81; n++) {
+            offsets.push([0, 1, 2, 3].map(i => Math.floor(n / Math.pow(3, i)) % 3 - 1));
+        }
+        // One ink at a time first, then combinations
+        offsets.sort((a, b) => a.filter(Boolean).length - b.filter(Boolean).length);
+
+        for (let ring = 1; candidates.length < count && ring <= 4; ring++) {
+            for (const offset of offsets) {
+                if (candidates.length >= count) break;
+                const cmyk = {};
+                ['c', 'm', 'y', 'k'].forEach((ink, i) => {
+                    cmyk[ink] = Math.max(0, Math.min(100, center[ink] + offset[i] * step * ring));
+                });
+                if (this.separation.withinLimit(cmyk)) candidates.push(this.candidateForCmyk(cmyk));
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Generate initial candidate colors using smart search
+     * Uses LAB space to find perceptually similar colors
+     */
+    generateInitialCandidates(count = 50) {
+        this.candidates = [];
+        
+        // Start with the color predicted to reproduce the target
+        this.candidates.push(this.seedCmyk ? this.candidateForCmyk(this.seedCmyk) : {
+            rgb: { ...this.seedRgb },
+            lab: this.renderedLab(this.seedRgb),
+            deltaE: 0
+        });
+
+        // Generate candidates using each strategy's share
+        this.strategyQuotas(count).forEach(({ strategy, quota }) => {
+            const newCandidates = strategy.generate(this, quota, strategy.settings);
+            this.candidates.push(...newCandidates);
+        });
+
+        // Calculate Delta E for all candidates and sort
+        this.candidates.forEach(candidate => {
+            candidate.deltaE = this.difference(candidate.lab);
+        });
+
+        this.candidates.sort((a, b) => a.deltaE - b.deltaE);
+
+        // Remove duplicates (same RGB values)
+        this.candidates = this.candidates.filter((candidate, index, self) => {
+            return index === self.findIndex(c => 
+                c.rgb.r === candidate.rgb.r &&
+                c.rgb.g === candidate.rgb.g &&
+                c.rgb.b === candidate.rgb.b
+            );
+        });
+
+        // Limit to best candidates
+        this.candidates = this.candidates.slice(0, count);
+    }
+
+    /**
+     * Whole-number share of a candidate count for each strategy, in proportion to the weights
+     * and adding up to the count: each gets the whole part of its share, and what is left goes
+     * one apiece to the largest fractions (the largest-remainder method)
+     * @param {number} count - Candidates to share out
+     * @returns {Object[]} [{strategy, quota}] in the order of strategies()
+     */
+    strategyQuotas(count) {
+        const strategies = this.strategies();
+        const totalWeight = strategies.reduce((sum, strategy) => sum + strategy.weight, 0);
+        const shares = strategies.map((strategy, index) => {
+            const exact = count * strategy.weight / totalWeight;
+            return { strategy, index, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+        let left = count - shares.reduce((sum, share) => sum + share.quota, 0);
+        shares.slice()
+            .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+            .forEach(share => {
+                if (left > 0) { share.quota++; left--; }
+            });
+        return shares.map(({ strategy, quota }) => ({ strategy, quota }));
+    }
+
+    /**
+     * Strategies this matcher runs: the registry with its overrides applied, leaving out
+     * those switched off, weighted zero or not applicable
+     * @returns {Object[]} Strategies {id, label, weight, settings, generate}
+     */
+    strategies() {
+        const ids = [...new Set([...Object.keys(CANDIDATE_STRATEGIES), ...Object.keys(this.strategyOptions)])];
+        return ids.map(id => {
+            const override = this.strategyOptions[id];
+            if (override === false) return null;
+            const base = CANDIDATE_STRATEGIES[id] || {};
+            const strategy = {
+                id,
+                ...base,
+                ...override,
+                settings: { ...base.settings, ...(override && override.settings) }
+            };
+            if (typeof strategy.generate !== 'function') throw new Error(`Unknown candidate strategy '${id}'`);
+            if (strategy.weight === undefined) strategy.weight = 1;
+            if (!(strategy.weight > 0) || (strategy.applies && !strategy.applies(this))) return null;
+            return strategy;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Generate candidates using grid search around the seed RGB
+     * @param {Object} [settings] - {step} in RGB units, {inkStep} in ink percent when searching recipes
+     */
+    generateGridCandidates(count, settings = {}) {
+        if (this.separation) {
+            return this.generateInkCandidates(this.seedCmyk, count, settings.inkStep || 5);
+        }
+        const candidates = [];
+        const step = settings.step || 20; // Step size in RGB space
+        const range = Math.floor(Math.sqrt(count)) * step;
+
+        for (let r = Math.max(0, this.seedRgb.r - range); 
+             r <= Math.min(255, this.seedRgb.r + range); 
+             r += step) {
+            for (let g = Math.max(0, this.seedRgb.g - range); 
+                 g <= Math.min(255, this.seedRgb.g + range); 
+                 g += step) {
+                for (let b = Math.max(0, this.seedRgb.b - range); 
+                     b <= Math.min(255, this.seedRgb.b + range); 
+                     b += step) {
+                    if (candidates.length >= count) break;
+                    
+                    candidates.push(this.candidateForRgb({ r, g, b }));
+                }
+                if (candidates.length >= count) break;
+            }
+            if (candidates.length >= count) break;
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Generate random candidates in RGB space
+     */
+    generateRandomCandidates(count) {
+        const candidates = [];
+        for (let i = 0; i < count; i++) {
+            const r = Math.floor(this.random() * 256);
+            const g = Math.floor(this.random() * 256);
+            const b = Math.floor(this.random() * 256);
+            candidates.push(this.candidateForRgb({ r, g, b }));
+        }
+        return candidates;
+    }
+
+    /**
+     * Generate candidates in LAB space (more perceptually uniform)
+     * @param {Object} [settings] - {lRange, aRange, bRange}: full width of the box around the target
+     */
+    generateLabSpaceCandidates(count, settings = {}) {
+        const candidates = [];
+        const lRange = settings.lRange !== undefined ? settings.lRange : 30;
+        const aRange = settings.aRange !== undefined ? settings.aRange : 50;
+        const bRange = settings.bRange !== undefined ? settings.bRange : 50;
+
+        for (let i = 0; i < count; i++) {
+            // Generate in LAB space around target
+            const l = Math.max(0, Math.min(100, 
+                this.targetLab.l + (this.random() - 0.5) * lRange));
+            const a = this.targetLab.a + (this.random() - 0.5) * aRange;
+            const b = this.targetLab.b + (this.random() - 0.5) * bRange;
+
+            // Scored by what the screen renders, which differs from the point drawn when it is out of gamut
+            candidates.push(this.candidateForLab({ l, a, b }));
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Candidates showing the reference colors nearest the target
+     */
+    generateReferenceCandidates(count) {
+        return this.references
+            .map(reference => ({ reference, distance: this.difference(reference.lab) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, count)
+            .map(({ reference }) => ({ ...this.candidateForLab(reference.lab), reference: reference.name }));
+    }
+
+    /**
+     * Generate candidates along gradients from the seed
+     * @param {Object} [settings] - {reach}: farthest step from the seed in RGB units
+     */
+    generateGradientCandidates(count, settings = {}) {
+        const reach = settings.reach || 50;
         const candidates = [];
         const directions = [
             { r: 1, g: 0, b: 0 },   // Red direction
@@ -484,18 +1953,17 @@ class ColorMatcher {
             { r: 0, g: 1, b: 1 }    // Cyan direction
         ];
 
-        const stepsPerDirection = Math.floor(count / directions.length);
-
-        directions.forEach(dir => {
+        directions.forEach((dir, index) => {
+            // The first directions take one step more when the count doesn't divide evenly
+            const stepsPerDirection = Math.floor(count / directions.length) + (index < count % directions.length ? 1 : 0);
             for (let i = 1; i <= stepsPerDirection; i++) {
-                const factor = i / stepsPerDirection * 50; // Max 50 RGB units
+                const factor = i / stepsPerDirection * reach;
                 const r = clampRgb(
-                    this.targetRgb.r + dir.r * factor,
-                    this.targetRgb.g + dir.g * factor,
-                    this.targetRgb.b + dir.b * factor
+                    this.seedRgb.r + dir.r * factor,
+                    this.seedRgb.g + dir.g * factor,
+                    this.seedRgb.b + dir.b * factor
                 );
-                const lab = rgbToLab(r.r, r.g, r.b);
-                candidates.push({ rgb: r, lab });
+                candidates.push(this.candidateForRgb(r));
             }
         });
 
@@ -506,10 +1974,17 @@ class ColorMatcher {
      * Get next candidate color to test
      */
     getNextCandidate() {
+        if (this.adaptive && this.currentIndex >= this.candidates.length) {
+            this.candidates.push(this.adaptiveProbe());
+        }
         if (this.currentIndex >= this.candidates.length) {
             return null;
         }
-        return this.candidates[this.currentIndex++];
+        const candidate = this.candidates[this.currentIndex++];
+        // Remember the order candidates were shown in, for "closer/farther than previous"
+        this.shownIds.push(this.identify(candidate));
+        if (this.shownIds.length > 50) this.shownIds.shift();
+        return candidate;
     }
 
     /**
@@ -518,12 +1993,166 @@ class ColorMatcher {
      * @param {Object} candidate - The candidate that was tested
      */
     recordFeedback(isMatch, candidate) {
-        if (isMatch && candidate.deltaE < this.bestDeltaE) {
-            this.bestMatch = candidate;
-            this.bestDeltaE = candidate.deltaE;
+        this.addHistory(candidate, isMatch ? 'match' : 'no-match');
+        if (this.adaptive) {
+            this.adaptive.update(candidate.lab, isMatch ? 'match' : 'no-match');
+        }
+        if (isMatch) {
+            candidate.confirmed = true;
+            this.offerBestMatch(candidate);
         }
     }
 
+    /**
+     * Whether one candidate makes a better best match than another: one the operator confirmed
+     * beats one they didn't, then a measured one beats one only predicted; within a tier the
+     * camera ΔE ranks them when both were measured, the predicted ΔE otherwise
+     */
+    outranks(candidate, other) {
+        if (!other) return true;
+        if (!!candidate.confirmed !== !!other.confirmed) return !!candidate.confirmed;
+        const measured = Number.isFinite(candidate.measuredDeltaE);
+        const otherMeasured = Number.isFinite(other.measuredDeltaE);
+        if (measured !== otherMeasured) return measured;
+        return measured ? candidate.measuredDeltaE < other.measuredDeltaE : candidate.deltaE < other.deltaE;
+    }
+
+    /**
+     * Make a candidate the best match if it outranks the current one
+     */
+    offerBestMatch(candidate) {
+        if (candidate !== this.bestMatch && !this.outranks(candidate, this.bestMatch)) return;
+        this.bestMatch = candidate;
+        this.bestDeltaE = candidate.deltaE;
+        this.bestMeasuredDeltaE = Number.isFinite(candidate.measuredDeltaE) ? candidate.measuredDeltaE : Infinity;
+    }
+
+    addHistory(candidate, feedback) {
+        this.history.push({
+            candidateId: this.identify(candidate),
+            feedback,
+            rgb: { ...candidate.rgb },
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Candidate shown just before another one
+     */
+    previousShown(candidate) {
+        const index = this.shownIds.lastIndexOf(candidate.id);
+        return index > 0 ? this.findCandidate(this.shownIds[index - 1]) : null;
+    }
+
+    /**
+     * Step size for a dimension, adapted to the operator's answers:
+     * reversing direction means we overshot (halve), repeating means we are still far (grow)
+     */
+    adaptStep(dimension, sign) {
+        const limits = FEEDBACK_STEPS[dimension];
+        const last = this.lastSigns[dimension];
+        if (last === -sign) {
+            this.steps[dimension] = Math.max(limits.min, this.steps[dimension] * 0.5);
+        } else if (last === sign) {
+            this.steps[dimension] = Math.min(limits.max, this.steps[dimension] * 1.25);
+        }
+        this.lastSigns[dimension] = sign;
+        return this.steps[dimension];
+    }
+
+    /**
+     * Turn directional feedback into the next candidate, moved in LCh from the one judged.
+     * The new candidate is queued so getNextCandidate() returns it next.
+     * @param {Object} candidate - Candidate the operator was looking at
+     * @param {string} direction - Key of FEEDBACK_DIRECTIONS
+     * @returns {Object|null} New candidate {rgb, lab, deltaE}, or null if the direction can't be applied
+     */
+    applyDirectionalFeedback(candidate, direction) {
+        const spec = FEEDBACK_DIRECTIONS[direction];
+        if (!spec) throw new Error(`Unknown feedback direction '${direction}'`);
+        const previous = this.previousShown(candidate);
+        // A relative answer about the first color shown has nothing to compare with; don't record it
+        if (spec.relative && !previous && !this.adaptive) return null;
+        this.addHistory(candidate, direction);
+
+        if (this.adaptive) {
+            // The answer narrows the estimate; the next probe comes from the updated estimate
+            this.adaptive.update(candidate.lab, direction, previous ? previous.lab : null);
+            const probe = this.adaptiveProbe();
+            this.candidates.splice(this.currentIndex, 0, probe);
+            return probe;
+        }
+
+        let lab;
+        if (spec.relative) {
+            const d = {
+                l: candidate.lab.l - previous.lab.l,
+                a: candidate.lab.a - previous.lab.a,
+                b: candidate.lab.b - previous.lab.b
+            };
+            // Closer: keep going the same way. Farther: back up past the previous one, more cautiously.
+            const from = direction === 'closer' ? candidate.lab : previous.lab;
+            const scale = direction === 'closer' ? 1 : -0.5;
+            lab = { l: from.l + d.l * scale, a: from.a + d.a * scale, b: from.b + d.b * scale };
+        } else {
+            const lch = labToLch(candidate.lab);
+            if (spec.dimension === 'h') {
+                let diff = spec.hue - lch.h;
+                if (diff > 180) diff -= 360;
+                if (diff < -180) diff += 360;
+                const sign = diff >= 0 ? 1 : -1;
+                const step = this.adaptStep('h', sign);
+                if (lch.c < this.steps.c) {
+                    // Near-neutral colors have no meaningful hue to rotate: add some of the hue instead
+                    lch.h = spec.hue;
+                    lch.c = Math.max(lch.c, this.steps.c);
+                } else {
+                    lch.h = (lch.h + sign * Math.min(step, Math.abs(diff)) + 360) % 360;
+                }
+            } else {
+                const step = this.adaptStep(spec.dimension, spec.sign);
+                lch[spec.dimension] += spec.sign * step;
+            }
+            lch.l = Math.max(0, Math.min(100, lch.l));
+            lch.c = Math.max(0, lch.c);
+            lab = lchToLab(lch);
+        }
+
+        const next = { ...this.candidateForLab(lab), direction };
+        this.identify(next);
+        this.candidates.splice(this.currentIndex, 0, next);
+        return next;
+    }
+
+    /**
+     * Record a camera measurement for a candidate (closed-loop matching)
+     * The measured difference replaces the predicted one when ranking the best match (see outranks())
+     * @param {Object} candidate - The candidate that was shown
+     * @param {number} measuredDeltaE - Delta E between screen and sample as seen by the camera
+     */
+    recordMeasurement(candidate, measuredDeltaE) {
+        candidate.measuredDeltaE = measuredDeltaE;
+        this.offerBestMatch(candidate);
+    }
+
+    /**
+     * Create a corrected candidate from a measured error
+     * Shifts the candidate in LAB by the difference between sample and screen
+     * @param {Object} candidate - Candidate that was measured
+     * @param {Object} displayLab - LAB of the screen as seen by the camera
+     * @param {Object} sampleLab - LAB of the sample as seen by the camera
+     * @param {number} gain - Fraction of the error to correct (0-1)
+     * @returns {Object} New candidate {rgb, lab, deltaE}
+     */
+    correctCandidate(candidate, displayLab, sampleLab, gain = 1) {
+        const l = Math.max(0, Math.min(100,
+            candidate.lab.l + (sampleLab.l - displayLab.l) * gain));
+        const a = candidate.lab.a + (sampleLab.a - displayLab.a) * gain;
+        const b = candidate.lab.b + (sampleLab.b - displayLab.b) * gain;
+
+        return this.candidateForLab({ l, a, b });
+    }
+
     /**
      * Refine search around best match so far
      */
@@ -532,6 +2161,15 @@ class ColorMatcher {
             return;
         }
 
+        if (this.separation && this.bestMatch.cmyk) {
+            // Recipes a couple of percent of ink away from the best one
+            const recipes = this.generateInkCandidates(this.bestMatch.cmyk, count, 2);
+            recipes.sort((a, b) => a.deltaE - b.deltaE);
+            this.candidates.push(...recipes);
+            this.candidates.sort((a, b) => a.deltaE - b.deltaE);
+            return;
+        }
+
         const refined = [];
         const center = this.bestMatch.rgb;
         const range = 15; // Smaller range for refinement
@@ -548,10 +2186,7 @@ class ColorMatcher {
                      b += step) {
                     if (refined.length >= count) break;
                     
-                    const rgb = { r, g, b };
-                    const lab = rgbToLab(r, g, b);
-                    const deltaE = deltaE2000(this.targetLab, lab);
-                    refined.push({ rgb, lab, deltaE });
+                    refined.push(this.candidateForRgb({ r, g, b }));
                 }
                 if (refined.length >= count) break;
             }
@@ -563,10 +2198,172 @@ class ColorMatcher {
         this.candidates.sort((a, b) => a.deltaE - b.deltaE);
     }
 
+    /**
+     * Re-center the search on an earlier result, e.g. a match reopened from the library:
+     * the list restarts with that color and its neighbours, and adaptive or side-by-side
+     * searches start from it instead of the predicted match
+     * @param {Object} rgb - Device RGB of the earlier result {r, g, b}
+     */
+    refineFrom(rgb) {
+        const previous = this.candidateForRgb({ ...rgb });
+        this.identify(previous);
+        this.seedRgb = { ...previous.rgb };
+        if (previous.cmyk) this.seedCmyk = { ...previous.cmyk };
+        this.bestMatch = previous;
+        this.bestDeltaE = previous.deltaE;
+        this.bestMeasuredDeltaE = Infinity;
+        this.candidates = [previous];
+        this.currentIndex = 0;
+        this.refineSearch(20);
+    }
+
+    /**
+     * How far (ΔE76) the predicted match is likely to be from the one the operator sees: the
+     * display model's error (or a typical unprofiled screen's) combined with the target's spread
+     */
+    expectedSeedError() {
+        const displayError = this.displayModel && this.displayModel.meanError !== null
+            ? this.displayModel.meanError
+            : UNPROFILED_DISPLAY_ERROR;
+        return Math.hypot(displayError, this.targetSpread);
+    }
+
+    /**
+     * Switch to adaptive search: each candidate is chosen from everything answered so far
+     * @param {Object} [options] - AdaptiveSearch options; the prior is sized from expectedSeedError()
+     *   unless priorSpread is given
+     */
+    startAdaptive(options = {}) {
+        // A prior much wider than the seed's error spends answers ruling out colors that were never likely
+        const priorSpread = Math.max(2, Math.min(8, this.expectedSeedError()));
+        this.adaptive = new AdaptiveSearch(this.renderedLab(this.seedRgb), { random: this.random, priorSpread, ...options });
+        // Keep what was already shown so feedback on it still resolves
+        this.candidates = this.candidates.slice(0, this.currentIndex);
+    }
+
+    /**
+     * Build a candidate for the most informative probe of the adaptive search
+     */
+    adaptiveProbe() {
+        const probe = { ...this.candidateForLab(this.adaptive.nextProbe()), probe: true };
+        this.identify(probe);
+        return probe;
+    }
+
+    /**
+     * Current result of the adaptive search
+     * @returns {Object|null} {candidate, radius95, judgements, converged, done}
+     */
+    adaptiveResult() {
+        if (!this.adaptive) return null;
+        const estimate = this.adaptive.estimate();
+        const candidate = this.resultCandidate('adaptive:' + this.adaptive.judgements, estimate.lab);
+        candidate.radius95 = estimate.radius95;
+        return {
+            candidate,
+            radius95: estimate.radius95,
+            axes: estimate.axes,
+            judgements: this.adaptive.judgements,
+            converged: estimate.radius95 <= this.adaptive.tolerance,
+            done: this.adaptive.isDone()
+        };
+    }
+
+    /**
+     * Candidate showing a search's current result: the same one, with the same ID, until the
+     * result moves, and findable so that feedback on the shown result reaches the matcher
+     * @param {string} key - Identifies the state the result was computed in
+     * @param {Object} lab - LAB of the result
+     */
+    resultCandidate(key, lab) {
+        if (!this.result || this.result.key !== key) {
+            const candidate = this.candidateForLab(lab);
+            this.identify(candidate);
+            this.result = { key, candidate };
+        }
+        return this.result.candidate;
+    }
+
+    /**
+     * Switch to side-by-side comparison: the operator picks the closer of two patches
+     * @param {Object} [options] - PairwiseSearch options
+     */
+    startPairwise(options = {}) {
+        this.pairwise = new PairwiseSearch(this.renderedLab(this.seedRgb), options);
+        this.currentPair = null;
+    }
+
+    /**
+     * Next pair to show, with the patches in random order so a side preference averages out
+     * @returns {Object|null} {id, left, right} candidates, or null when the search is done
+     */
+    getNextPair() {
+        const pair = this.pairwise.nextPair();
+        if (!pair) return null;
+        const toCandidate = (lab) => {
+            const candidate = this.candidateForLab(lab);
+            this.identify(candidate);
+            return candidate;
+        };
+        const lower = toCandidate(pair.lower);
+        const upper = toCandidate(pair.upper);
+        lower.pairSign = -1;
+        upper.pairSign = 1;
+        const swap = this.random() < 0.5;
+        this.currentPair = {
+            id: 'p' + this.pairwise.comparisons,
+            axis: pair.axis,
+            left: swap ? upper : lower,
+            right: swap ? lower : upper
+        };
+        this.candidates.push(lower, upper);
+        return this.currentPair;
+    }
+
+    /**
+     * Record the operator's pick for the current pair
+     * @param {string} pairId - ID of the pair the choice was made on
+     * @param {string} candidateId - ID of the chosen patch
+     * @returns {boolean} Whether the choice applied (false for a stale or unknown pair)
+     */
+    recordChoice(pairId, candidateId) {
+        const pair = this.currentPair;
+        if (!pair || pair.id !== pairId) return false;
+        const chosen = [pair.left, pair.right].find(c => c.id === candidateId);
+        if (!chosen) return false;
+        const other = chosen === pair.left ? pair.right : pair.left;
+        this.addHistory(chosen, 'chosen');
+        this.addHistory(other, 'rejected');
+        this.pairwise.choose(pair.axis, chosen.pairSign);
+        this.currentPair = null;
+        return true;
+    }
+
+    /**
+     * Current result of the pairwise search
+     * @returns {Object|null} {candidate, uncertainty, comparisons, done}
+     */
+    pairwiseResult() {
+        if (!this.pairwise) return null;
+        const candidate = this.resultCandidate('pairwise:' + this.pairwise.comparisons, this.pairwise.center);
+        return {
+            candidate,
+            uncertainty: this.pairwise.uncertainty(),
+            comparisons: this.pairwise.comparisons,
+            done: this.pairwise.isDone()
+        };
+    }
+
     /**
      * Get best match found so far
      */
     getBestMatch() {
+        if (this.pairwise && this.pairwise.comparisons > 0) {
+            return this.pairwiseResult().candidate;
+        }
+        if (this.adaptive && this.adaptive.judgements > 0) {
+            return this.adaptiveResult().candidate;
+        }
         return this.bestMatch || this.candidates[0] || null;
     }
 
@@ -576,4 +2373,134 @@ class ColorMatcher {
     reset() {
         this.currentIndex = 0;
     }
+
+    /**
+     * Plain object of the matching state, for resuming after a reload
+     */
+    toJSON() {
+        return {
+            targetRgb: this.targetRgb,
+            targetLab: this.targetLab,
+            workingSpace: this.workingSpace,
+            metric: { id: this.metric.id, params: this.metric.params },
+            seedRgb: this.seedRgb,
+            separation: this.separation ? this.separation.toJSON() : null,
+            seedCmyk: this.seedCmyk,
+            targetSpread: this.targetSpread,
+            random: this.random.state ? { seed: this.random.seed, state: this.random.state() } : null,
+            candidates: this.candidates,
+            currentIndex: this.currentIndex,
+            bestMatch: this.bestMatch,
+            bestDeltaE: Number.isFinite(this.bestDeltaE) ? this.bestDeltaE : null,
+            bestMeasuredDeltaE: Number.isFinite(this.bestMeasuredDeltaE) ? this.bestMeasuredDeltaE : null,
+            nextId: this.nextId,
+            history: this.history,
+            shownIds: this.shownIds,
+            steps: this.steps,
+            lastSigns: this.lastSigns,
+            adaptive: this.adaptive ? this.adaptive.toJSON() : null,
+            result: this.result,
+            pairwise: this.pairwise ? this.pairwise.toJSON() : null,
+            currentPair: this.currentPair ? {
+                id: this.currentPair.id,
+                axis: this.currentPair.axis,
+                left: this.currentPair.left.id,
+                right: this.currentPair.right.id
+            } : null
+        };
+    }
+
+    /**
+     * Restore a matcher saved with toJSON()
+     * @param {Object} data - Saved state
+     * @param {Object} [options] - Constructor options (e.g. the display model or printer profile, which are not saved)
+     * @returns {ColorMatcher} Matcher positioned where it left off
+     */
+    static fromJSON(data, options = {}) {
+        const separation = data.separation ? new CmykSeparation({ ...data.separation, profile: null }) : null;
+        const matcher = new ColorMatcher(data.targetRgb, {
+            metric: data.metric,
+            separation,
+            workingSpace: data.workingSpace,
+            targetLab: data.targetLab,
+            targetSpread: data.targetSpread,
+            random: data.random ? createSeededRandom(data.random.seed, data.random.state) : undefined,
+            ...options
+        });
+        if (data.seedRgb) matcher.seedRgb = data.seedRgb;
+        if (data.seedCmyk && matcher.separation) matcher.seedCmyk = data.seedCmyk;
+        matcher.candidates = data.candidates || [];
+        matcher.currentIndex = data.currentIndex || 0;
+        matcher.bestMatch = data.bestMatch || null;
+        matcher.bestDeltaE = data.bestDeltaE !== null && data.bestDeltaE !== undefined ? data.bestDeltaE : Infinity;
+        matcher.bestMeasuredDeltaE = data.bestMeasuredDeltaE !== null && data.bestMeasuredDeltaE !== undefined
+            ? data.bestMeasuredDeltaE
+            : Infinity;
+        matcher.nextId = data.nextId || 1;
+        matcher.history = data.history || [];
+        matcher.shownIds = data.shownIds || [];
+        if (data.steps) matcher.steps = data.steps;
+        if (data.lastSigns) matcher.lastSigns = data.lastSigns;
+        if (data.adaptive) matcher.adaptive = AdaptiveSearch.fromJSON(data.adaptive, { random: matcher.random });
+        if (data.result) matcher.result = data.result;
+        if (data.pairwise) matcher.pairwise = PairwiseSearch.fromJSON(data.pairwise);
+        if (data.currentPair) {
+            const left = matcher.findCandidate(data.currentPair.left);
+            const right = matcher.findCandidate(data.currentPair.right);
+            if (left && right) matcher.currentPair = { ...data.currentPair, left, right };
+        }
+        return matcher;
+    }
+}
+
+// Node and bundlers: the same core as a CommonJS module (color-matcher.mjs re-exports it for ES imports)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WHITE_POINTS,
+        CHROMATIC_ADAPTATIONS,
+        adaptXyz,
+        labToWhite,
+        correspondingColor,
+        rgbToXyz,
+        xyzToLab,
+        rgbToLab,
+        labToXyz,
+        xyzToRgb,
+        labToRgb,
+        p3ToXyz,
+        xyzToP3,
+        p3ToLab,
+        labToP3,
+        RGB_SPACES,
+        rgbToCss,
+        isInGamut,
+        mapToGamut,
+        rgbToCmyk,
+        cmykToRgb,
+        deltaE2000,
+        deltaE,
+        deltaE94,
+        deltaECmc,
+        labToCam16Ucs,
+        deltaECam16Ucs,
+        COLOR_METRICS,
+        CANDIDATE_STRATEGIES,
+        registerCandidateStrategy,
+        unregisterCandidateStrategy,
+        createSeededRandom,
+        DEFAULT_METRIC,
+        createColorMetric,
+        labToLch,
+        lchToLab,
+        clampRgb,
+        rgbToHex,
+        hexToRgb,
+        parseColor,
+        AdaptiveSearch,
+        PairwiseSearch,
+        BLACK_GENERATION,
+        DEFAULT_INK_LIMIT,
+        CmykSeparation,
+        ColorMatcher
+    };
 }
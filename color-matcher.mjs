@@ -0,0 +1,58 @@
+/**
+ * Color Matcher (ES module)
+ * ES entry point for the color core; color-matcher.js stays a plain script so the
+ * browser pages can load it with a <script> tag.
+ */
+
+import core from './color-matcher.js';
+
+export const {
+    WHITE_POINTS,
+    CHROMATIC_ADAPTATIONS,
+    adaptXyz,
+    labToWhite,
+    correspondingColor,
+    rgbToXyz,
+    xyzToLab,
+    rgbToLab,
+    labToXyz,
+    xyzToRgb,
+    labToRgb,
+    p3ToXyz,
+    xyzToP3,
+    p3ToLab,
+    labToP3,
+    RGB_SPACES,
+    rgbToCss,
+    isInGamut,
+    mapToGamut,
+    rgbToCmyk,
+    cmykToRgb,
+    deltaE2000,
+    deltaE,
+    deltaE94,
+    deltaECmc,
+    labToCam16Ucs,
+    deltaECam16Ucs,
+    COLOR_METRICS,
+    CANDIDATE_STRATEGIES,
+    registerCandidateStrategy,
+    unregisterCandidateStrategy,
+    createSeededRandom,
+    DEFAULT_METRIC,
+    createColorMetric,
+    labToLch,
+    lchToLab,
+    clampRgb,
+    rgbToHex,
+    hexToRgb,
+    parseColor,
+    AdaptiveSearch,
+    PairwiseSearch,
+    BLACK_GENERATION,
+    DEFAULT_INK_LIMIT,
+    CmykSeparation,
+    ColorMatcher
+} = core;
+
+export default core;
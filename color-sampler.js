@@ -0,0 +1,226 @@
+/**
+ * Color Sampling
+ * Region-averaged, outlier-robust color measurement from camera frames
+ */
+
+/**
+ * Build a circular sampling region around a point
+ * @param {Object} center - Center point {x, y} in canvas pixels
+ * @param {number} radius - Radius in canvas pixels (0 = single pixel)
+ * @returns {Object} Region {x, y, width, height, radius}
+ */
+function circleRegion(center, radius) {
+    const r = Math.max(0, Math.round(radius));
+    return {
+        x: Math.round(center.x) - r,
+        y: Math.round(center.y) - r,
+        width: r * 2 + 1,
+        height: r * 2 + 1,
+        radius: r
+    };
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values (sorted in place)
+ * @returns {number} Median value
+ */
+function median(values) {
+    if (values.length === 0) return NaN;
+    values.sort((a, b) => a - b);
+    const mid = Math.floor(values.length / 2);
+    return values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+}
+
+/**
+ * Trimmed mean of a list of numbers
+ * @param {number[]} values - Values (sorted in place)
+ * @param {number} trim - Fraction removed from each end (0-0.5)
+ * @returns {number} Mean of the remaining values
+ */
+function trimmedMean(values, trim) {
+    if (values.length === 0) return NaN;
+    values.sort((a, b) => a - b);
+    const cut = Math.min(Math.floor(values.length * trim), Math.floor((values.length - 1) / 2));
+    const kept = values.slice(cut, values.length - cut);
+    return kept.reduce((sum, v) => sum + v, 0) / kept.length;
+}
+
+/**
+ * Reduce a set of LAB pixels to one robust color
+ * Outliers are pixels further from the median than the robust (MAD) spread allows
+ * @param {Object[]} labs - Pixel colors {l, a, b}
+ * @param {Object} options - {method: 'median' | 'trimmed', trim, outlierLimit}
+ * @returns {Object} Summary {lab, spread, count, outliers}
+ */
+function summarizeLabSamples(labs, options = {}) {
+    const method = options.method || 'median';
+    const trim = options.trim !== undefined ? options.trim : 0.2;
+    const outlierLimit = options.outlierLimit !== undefined ? options.outlierLimit : 3;
+
+    const center = {
+        l: median(labs.map(c => c.l)),
+        a: median(labs.map(c => c.a)),
+        b: median(labs.map(c => c.b))
+    };
+
+    // Robust cutoff: median distance plus a multiple of the scaled median absolute deviation
+    const distances = labs.map(c => deltaE(center, c));
+    const medianDistance = median(distances.slice());
+    const mad = median(distances.map(d => Math.abs(d - medianDistance))) * 1.4826;
+    const cutoff = medianDistance + outlierLimit * Math.max(mad, 0.5);
+    const kept = labs.filter((c, i) => distances[i] <= cutoff);
+
+    const reduce = method === 'trimmed' ? (values) => trimmedMean(values, trim) : median;
+    const lab = {
+        l: reduce(kept.map(c => c.l)),
+        a: reduce(kept.map(c => c.a)),
+        b: reduce(kept.map(c => c.b))
+    };
+
+    // Spread: root mean square Delta E of the kept pixels around the estimate
+    const sumSquares = kept.reduce((sum, c) => {
+        const d = deltaE(lab, c);
+        return sum + d * d;
+    }, 0);
+
+    return {
+        lab: lab,
+        spread: Math.sqrt(sumSquares / kept.length),
+        count: kept.length,
+        outliers: labs.length - kept.length
+    };
+}
+
+/**
+ * Color Sampler Class
+ * Collects pixels from a region over several consecutive frames, discards specular
+ * highlights and outliers, and reports a robust color with its spread
+ */
+class ColorSampler {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Context the camera frames are drawn into
+     * @param {Object} options
+     * @param {number} [options.frames=5] - Consecutive frames to combine
+     * @param {string} [options.method='median'] - 'median' or 'trimmed' (mean) in LAB
+     * @param {number} [options.trim=0.2] - Fraction trimmed from each end for 'trimmed'
+     * @param {number} [options.highlightThreshold=250] - Pixels with any channel at or above this are highlights
+     * @param {number} [options.outlierLimit=3] - Robust deviations beyond which a pixel is an outlier
+     * @param {number} [options.maxPixels=2000] - Pixels read per frame (larger regions are subsampled)
+     * @param {Function} [options.waitForFrame] - Resolves when the next frame has been drawn
+     * @param {Function} [options.transform] - Maps raw camera (r, g, b) to corrected sRGB {r, g, b}, e.g. a calibration
+     * @param {string} [options.colorSpace='srgb'] - Space pixels are read in ('srgb' or 'display-p3'); P3 keeps
+     *   saturated colors the camera sees beyond sRGB
+     */
+    constructor(ctx, options = {}) {
+        this.ctx = ctx;
+        this.frames = options.frames !== undefined ? options.frames : 5;
+        this.method = options.method || 'median';
+        this.trim = options.trim !== undefined ? options.trim : 0.2;
+        this.highlightThreshold = options.highlightThreshold !== undefined ? options.highlightThreshold : 250;
+        this.outlierLimit = options.outlierLimit !== undefined ? options.outlierLimit : 3;
+        this.maxPixels = options.maxPixels !== undefined ? options.maxPixels : 2000;
+        this.waitForFrame = options.waitForFrame || (() => new Promise(resolve => requestAnimationFrame(resolve)));
+        this.transform = options.transform || null;
+        this.colorSpace = options.colorSpace || 'srgb';
+    }
+
+    /**
+     * Sample a region over several frames
+     * @param {Object} region - Rectangle {x, y, width, height}, or circle with radius from circleRegion()
+     * @returns {Promise<Object>} Sample {rgb, p3, lab, spread, pixels, highlights, outliers, frames};
+     *   rgb and p3 are the sample in each space, clipped where it lies outside
+     */
+    async sample(region) {
+        let labs = [];
+        let highlightLabs = [];
+
+        for (let frame = 0; frame < this.frames; frame++) {
+            if (frame > 0) await this.waitForFrame();
+            this.collect(region, labs, highlightLabs);
+        }
+
+        // A region that is bright everywhere is a light surface, not a reflection
+        if (labs.length === 0) {
+            labs = highlightLabs;
+            highlightLabs = [];
+        }
+        if (labs.length === 0) {
+            throw new Error('Sampling region is outside the camera frame');
+        }
+
+        const summary = summarizeLabSamples(labs, {
+            method: this.method,
+            trim: this.trim,
+            outlierLimit: this.outlierLimit
+        });
+        const rgb = labToRgb(summary.lab.l, summary.lab.a, summary.lab.b);
+
+        return {
+            rgb: rgb,
+            p3: labToP3(summary.lab.l, summary.lab.a, summary.lab.b),
+            lab: summary.lab,
+            spread: summary.spread,
+            pixels: summary.count,
+            highlights: highlightLabs.length,
+            outliers: summary.outliers,
+            frames: this.frames
+        };
+    }
+
+    /**
+     * Read one frame of a region into LAB lists
+     * @param {Object} region - Region to read
+     * @param {Object[]} labs - Receives usable pixels
+     * @param {Object[]} highlightLabs - Receives specular highlight pixels
+     */
+    collect(region, labs, highlightLabs) {
+        const canvas = this.ctx.canvas;
+        const x0 = Math.max(0, region.x);
+        const y0 = Math.max(0, region.y);
+        const x1 = Math.min(canvas.width, region.x + region.width);
+        const y1 = Math.min(canvas.height, region.y + region.height);
+        if (x1 <= x0 || y1 <= y0) return;
+
+        const width = x1 - x0;
+        const height = y1 - y0;
+        const data = this.ctx.getImageData(x0, y0, width, height, { colorSpace: this.colorSpace }).data;
+        const stride = Math.max(1, Math.ceil(Math.sqrt((width * height) / this.maxPixels)));
+        const cx = region.x + region.width / 2;
+        const cy = region.y + region.height / 2;
+
+        for (let y = 0; y < height; y += stride) {
+            for (let x = 0; x < width; x += stride) {
+                if (region.radius !== undefined) {
+                    const dx = x0 + x + 0.5 - cx;
+                    const dy = y0 + y + 0.5 - cy;
+                    if (dx * dx + dy * dy > (region.radius + 0.5) * (region.radius + 0.5)) continue;
+                }
+
+                const i = (y * width + x) * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                let lab;
+                if (this.transform) {
+                    const corrected = this.transform(r, g, b);
+                    lab = rgbToLab(corrected.r, corrected.g, corrected.b);
+                } else {
+                    lab = RGB_SPACES[this.colorSpace].toLab({ r, g, b });
+                }
+                // Highlights are judged on the raw sensor values, where clipping happens
+                if (Math.max(r, g, b) >= this.highlightThreshold) {
+                    highlightLabs.push(lab);
+                } else {
+                    labs.push(lab);
+                }
+            }
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.circleRegion = circleRegion;
+    window.summarizeLabSamples = summarizeLabSamples;
+    window.ColorSampler = ColorSampler;
+}
@@ -0,0 +1,350 @@
+/**
+ * Display Characterization
+ * Measures ramps and primaries shown on the control device through the camera and
+ * builds a model of that screen: per-channel tone curves plus a 3x3 matrix
+ */
+
+const DISPLAY_MODEL_STORAGE_KEY = 'displayModels';
+const CHANNELS = ['r', 'g', 'b'];
+
+// Tone curves are interpolated on drive^(1/2.2) so that power-law screens are
+// reproduced closely between the few measured levels
+const CURVE_GAMMA = 2.2;
+
+/**
+ * Invert a 3x3 matrix
+ * @param {number[][]} m - Matrix rows
+ * @returns {number[][]} Inverse matrix rows
+ */
+function invert3x3(m) {
+    const [a, b, c] = m[0];
+    const [d, e, f] = m[1];
+    const [g, h, i] = m[2];
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (Math.abs(det) < 1e-12) {
+        throw new Error('Display primaries are not independent');
+    }
+    return [
+        [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+        [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+        [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+    ];
+}
+
+/**
+ * Linear interpolation in a sorted table of points
+ * @param {Object[]} points - Points sorted by the input key
+ * @param {string} from - Input key
+ * @param {string} to - Output key
+ * @param {number} value - Input value
+ * @returns {number} Interpolated output
+ */
+function interpolateTable(points, from, to, value) {
+    if (value <= points[0][from]) return points[0][to];
+    const last = points[points.length - 1];
+    if (value >= last[from]) return last[to];
+
+    for (let i = 1; i < points.length; i++) {
+        const p0 = points[i - 1];
+        const p1 = points[i];
+        if (value <= p1[from]) {
+            const span = p1[from] - p0[from];
+            const t = span > 0 ? (value - p0[from]) / span : 0;
+            return p0[to] + t * (p1[to] - p0[to]);
+        }
+    }
+    return last[to];
+}
+
+/**
+ * Build the patches shown during profiling
+ * @param {number} [steps=9] - Levels per ramp, including 0 and 255
+ * @returns {Object[]} Patches {rgb, channel} ('k' black, 'w' white, 'r'/'g'/'b' ramps, 'gray' check ramp)
+ */
+function buildProfilingPatches(steps = 9) {
+    const levels = [];
+    for (let i = 1; i < steps; i++) {
+        levels.push(Math.round(i * 255 / (steps - 1)));
+    }
+
+    const patches = [{ rgb: { r: 0, g: 0, b: 0 }, channel: 'k' }];
+    CHANNELS.forEach(channel => {
+        levels.forEach(level => {
+            const rgb = { r: 0, g: 0, b: 0 };
+            rgb[channel] = level;
+            patches.push({ rgb, channel });
+        });
+    });
+    levels.forEach(level => {
+        patches.push({ rgb: { r: level, g: level, b: level }, channel: level === 255 ? 'w' : 'gray' });
+    });
+    return patches;
+}
+
+/**
+ * Display Model Class
+ * Forward: device RGB -> tone curves -> linear channel drive -> matrix -> XYZ (as seen by the camera)
+ * Inverse: XYZ -> inverse matrix -> inverse tone curves -> device RGB
+ */
+class DisplayModel {
+    /**
+     * @param {Object} data
+     * @param {string} data.name - Control device name
+     * @param {Object} data.black - XYZ of the black level {x, y, z}
+     * @param {number[][]} data.matrix - 3x3 matrix whose columns are the full-drive R, G, B XYZ above black
+     * @param {Object} data.curves - Tone curves per channel: [{v, t}] with v device level and t drive (0-1)
+     */
+    constructor(data) {
+        this.name = data.name;
+        this.black = data.black;
+        this.matrix = data.matrix;
+        this.curves = data.curves;
+        this.meanError = data.meanError !== undefined ? data.meanError : null;
+        this.createdAt = data.createdAt || Date.now();
+        this.inverse = invert3x3(this.matrix);
+        this.encodedCurves = {};
+        CHANNELS.forEach(channel => {
+            this.encodedCurves[channel] = this.curves[channel].map(p => ({
+                v: p.v,
+                u: Math.pow(p.t, 1 / CURVE_GAMMA)
+            }));
+        });
+    }
+
+    /**
+     * Build a model from profiling measurements
+     * @param {string} name - Control device name
+     * @param {Object[]} measurements - [{rgb, channel, lab}] for the patches of buildProfilingPatches()
+     * @returns {DisplayModel} Fitted model
+     */
+    static fromMeasurements(name, measurements) {
+        const toXyz = (m) => labToXyz(m.lab.l, m.lab.a, m.lab.b);
+        const blackPatch = measurements.find(m => m.channel === 'k');
+        if (!blackPatch) throw new Error('Profiling needs a black patch');
+        const black = toXyz(blackPatch);
+        const aboveBlack = (xyz) => [xyz.x - black.x, xyz.y - black.y, xyz.z - black.z];
+
+        const columns = [];
+        const curves = {};
+        CHANNELS.forEach(channel => {
+            const ramp = measurements
+                .filter(m => m.channel === channel)
+                .sort((p, q) => p.rgb[channel] - q.rgb[channel]);
+            const full = ramp[ramp.length - 1];
+            if (!full || full.rgb[channel] !== 255) {
+                throw new Error(`Profiling needs a full ${channel.toUpperCase()} patch`);
+            }
+
+            const fullXyz = aboveBlack(toXyz(full));
+            columns.push(fullXyz);
+            const norm = fullXyz.reduce((sum, v) => sum + v * v, 0);
+
+            // Drive at each level: projection of its XYZ onto the full-drive primary
+            let previous = 0;
+            curves[channel] = [{ v: 0, t: 0 }];
+            ramp.forEach(m => {
+                const xyz = aboveBlack(toXyz(m));
+                let t = xyz.reduce((sum, v, i) => sum + v * fullXyz[i], 0) / norm;
+                t = Math.min(1, Math.max(previous, t));
+                previous = t;
+                curves[channel].push({ v: m.rgb[channel] / 255, t });
+            });
+            curves[channel][curves[channel].length - 1].t = 1;
+        });
+
+        const matrix = [0, 1, 2].map(row => columns.map(column => column[row]));
+        const model = new DisplayModel({ name, black, matrix, curves });
+
+        // Check the model against the gray ramp it was not fitted to
+        const checks = measurements.filter(m => m.channel === 'gray' || m.channel === 'w');
+        if (checks.length > 0) {
+            const errors = checks.map(m => deltaE2000(m.lab, model.rgbToLab(m.rgb)));
+            model.meanError = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+        }
+        return model;
+    }
+
+    /**
+     * Predict the XYZ the camera sees for a device RGB
+     * @param {Object} rgb - Device RGB {r, g, b} (0-255)
+     * @returns {Object} XYZ color {x, y, z}
+     */
+    rgbToXyz(rgb) {
+        const drive = CHANNELS.map(channel => Math.pow(
+            interpolateTable(this.encodedCurves[channel], 'v', 'u', rgb[channel] / 255), CURVE_GAMMA));
+        const [x, y, z] = this.matrix.map(row =>
+            row.reduce((sum, w, i) => sum + w * drive[i], 0));
+        return { x: x + this.black.x, y: y + this.black.y, z: z + this.black.z };
+    }
+
+    /**
+     * Predict the LAB the camera sees for a device RGB
+     */
+    rgbToLab(rgb) {
+        const xyz = this.rgbToXyz(rgb);
+        return xyzToLab(xyz.x, xyz.y, xyz.z);
+    }
+
+    /**
+     * Channel drives (0-1 inside the gamut) needed to show an XYZ color
+     * @param {Object} xyz - XYZ color {x, y, z}
+     * @returns {number[]} Drives [r, g, b], unclamped
+     */
+    xyzToDrive(xyz) {
+        const v = [xyz.x - this.black.x, xyz.y - this.black.y, xyz.z - this.black.z];
+        return this.inverse.map(row => row.reduce((sum, w, i) => sum + w * v[i], 0));
+    }
+
+    /**
+     * Whether this screen can show a LAB color: every channel drive within 0-1
+     * @param {Object} lab - LAB color {l, a, b}
+     * @returns {boolean}
+     */
+    inGamut(lab) {
+        return this.xyzToDrive(labToXyz(lab.l, lab.a, lab.b)).every(v => v >= -GAMUT_EPSILON && v <= 1 + GAMUT_EPSILON);
+    }
+
+    /**
+     * Device RGB that shows an XYZ color on this screen (clamped to the screen gamut)
+     * @param {Object} xyz - XYZ color {x, y, z}
+     * @returns {Object} Device RGB {r, g, b} (0-255)
+     */
+    xyzToRgb(xyz) {
+        const drive = this.xyzToDrive(xyz);
+        const rgb = {};
+        CHANNELS.forEach((channel, i) => {
+            const u = Math.pow(Math.max(0, Math.min(1, drive[i])), 1 / CURVE_GAMMA);
+            rgb[channel] = Math.round(interpolateTable(this.encodedCurves[channel], 'u', 'v', u) * 255);
+        });
+        return rgb;
+    }
+
+    /**
+     * Device RGB that shows a LAB color on this screen
+     */
+    labToRgb(lab) {
+        return this.xyzToRgb(labToXyz(lab.l, lab.a, lab.b));
+    }
+
+    /**
+     * Plain object for storage
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            black: this.black,
+            matrix: this.matrix,
+            curves: this.curves,
+            meanError: this.meanError,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+/**
+ * Display Profiler Class
+ * Shows each profiling patch on the control device and measures it through the camera
+ */
+class DisplayProfiler {
+    /**
+     * @param {Object} options
+     * @param {Function} options.showPatch - Shows an RGB color {r, g, b} on the control device
+     * @param {Function} options.measure - Resolves to a camera sample {lab} of the screen region
+     * @param {number} [options.settleTime=800] - Milliseconds to wait for screen and camera to settle
+     */
+    constructor(options) {
+        this.showPatch = options.showPatch;
+        this.measure = options.measure;
+        this.settleTime = options.settleTime !== undefined ? options.settleTime : 800;
+        this.running = false;
+        this.onProgressCallback = null;
+    }
+
+    /**
+     * Measure every patch
+     * @param {Object[]} patches - Patches from buildProfilingPatches()
+     * @returns {Promise<Object[]|null>} Measurements [{rgb, channel, lab}], or null when stopped
+     */
+    async run(patches) {
+        this.running = true;
+        const measurements = [];
+
+        for (let i = 0; i < patches.length; i++) {
+            if (!this.running) return null;
+            const patch = patches[i];
+            this.showPatch(patch.rgb);
+            await new Promise(resolve => setTimeout(resolve, this.settleTime));
+            const sample = await this.measure();
+            measurements.push({ rgb: patch.rgb, channel: patch.channel, lab: sample.lab });
+            if (this.onProgressCallback) {
+                this.onProgressCallback(i + 1, patches.length);
+            }
+        }
+
+        this.running = false;
+        return measurements;
+    }
+
+    /**
+     * Stop after the current patch
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Set callback for each measured patch (done, total)
+     */
+    onProgress(callback) {
+        this.onProgressCallback = callback;
+    }
+}
+
+/**
+ * Load all saved display models
+ * @returns {DisplayModel[]} Models
+ */
+function loadDisplayModels() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DISPLAY_MODEL_STORAGE_KEY)) || [];
+        return stored.map(data => new DisplayModel(data));
+    } catch (e) {
+        console.error('Error reading display models:', e);
+        return [];
+    }
+}
+
+/**
+ * Save a display model (replaces an existing one with the same name)
+ * @param {DisplayModel} model - Model to store
+ */
+function saveDisplayModel(model) {
+    const models = loadDisplayModels().filter(m => m.name !== model.name);
+    models.push(model);
+    localStorage.setItem(DISPLAY_MODEL_STORAGE_KEY, JSON.stringify(models));
+}
+
+/**
+ * Find a saved display model by name
+ */
+function getDisplayModel(name) {
+    return loadDisplayModels().find(m => m.name === name) || null;
+}
+
+/**
+ * Delete a saved display model
+ */
+function deleteDisplayModel(name) {
+    const models = loadDisplayModels().filter(m => m.name !== name);
+    localStorage.setItem(DISPLAY_MODEL_STORAGE_KEY, JSON.stringify(models));
+}
+
+if (typeof window !== 'undefined') {
+    window.buildProfilingPatches = buildProfilingPatches;
+    window.DisplayModel = DisplayModel;
+    window.DisplayProfiler = DisplayProfiler;
+    window.loadDisplayModels = loadDisplayModels;
+    window.saveDisplayModel = saveDisplayModel;
+    window.getDisplayModel = getDisplayModel;
+    window.deleteDisplayModel = deleteDisplayModel;
+}
@@ -0,0 +1,444 @@
+/**
+ * ICC Output Profiles
+ * Reads ICC v2/v4 CMYK printer profiles (e.g. FOGRA or GRACoL characterizations) and
+ * converts between LAB and CMYK through the profile's lookup tables, so the CMYK we hand
+ * to print vendors describes what their press will actually print.
+ */
+
+const iccCore = typeof module !== 'undefined' && module.exports
+    ? require('./color-matcher.js')
+    : { WHITE_POINTS, adaptXyz, xyzToLab, labToXyz };
+
+const CMYK_PROFILE_STORAGE_KEY = 'cmykProfile';
+
+/**
+ * Rendering intents we convert with, and the A2Bn/B2An tag number of each
+ */
+const RENDERING_INTENTS = {
+    perceptual: { label: 'Perceptual', tag: 0 },
+    relative: { label: 'Relative colorimetric', tag: 1 }
+};
+
+// ICC profile connection space white
+const PCS_WHITE = iccCore.WHITE_POINTS['D50/2'];
+
+function multiply3(m, v) {
+    return [
+        m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+        m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+        m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+    ];
+}
+
+/**
+ * One-dimensional curve from a 'curv' or 'para' element
+ * @returns {Function} Maps 0-1 to 0-1
+ */
+function readCurve(view, offset) {
+    const type = readSignature(view, offset);
+    if (type === 'curv') {
+        const count = view.getUint32(offset + 8);
+        if (count === 0) return v => v;
+        if (count === 1) {
+            const gamma = view.getUint16(offset + 12) / 256;
+            return v => Math.pow(v, gamma);
+        }
+        const table = new Float64Array(count);
+        for (let i = 0; i < count; i++) table[i] = view.getUint16(offset + 12 + i * 2) / 65535;
+        return v => interpolateCurve(table, v);
+    }
+    if (type === 'para') {
+        const kind = view.getUint16(offset + 8);
+        const counts = [1, 3, 4, 5, 7];
+        if (kind >= counts.length) throw new Error(`Unsupported parametric curve type ${kind}`);
+        const p = [];
+        for (let i = 0; i < counts[kind]; i++) p.push(view.getInt32(offset + 12 + i * 4) / 65536);
+        const [g, a = 1, b = 0, c = 0, d = 0, e = 0, f = 0] = p;
+        switch (kind) {
+            case 0: return v => Math.pow(v, g);
+            case 1: return v => v >= -b / a ? Math.pow(a * v + b, g) : 0;
+            case 2: return v => v >= -b / a ? Math.pow(a * v + b, g) + c : c;
+            case 3: return v => v >= d ? Math.pow(a * v + b, g) : c * v;
+            default: return v => v >= d ? Math.pow(a * v + b, g) + e : c * v + f;
+        }
+    }
+    throw new Error(`Unsupported curve type '${type}'`);
+}
+
+/**
+ * Byte length of a curve element, padded to 4 bytes as curves are packed in lutAtoB/BtoA
+ */
+function curveLength(view, offset) {
+    const type = readSignature(view, offset);
+    const length = type === 'curv'
+        ? 12 + view.getUint32(offset + 8) * 2
+        : 12 + [1, 3, 4, 5, 7][view.getUint16(offset + 8)] * 4;
+    return Math.ceil(length / 4) * 4;
+}
+
+function readCurves(view, offset, count) {
+    const curves = [];
+    for (let i = 0; i < count; i++) {
+        curves.push(readCurve(view, offset));
+        offset += curveLength(view, offset);
+    }
+    return values => values.map((v, i) => curves[i](clamp01(v)));
+}
+
+function interpolateCurve(table, v) {
+    const position = clamp01(v) * (table.length - 1);
+    const i = Math.min(Math.floor(position), table.length - 2);
+    const t = position - i;
+    return table[i] + t * (table[i + 1] - table[i]);
+}
+
+function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+}
+
+function readSignature(view, offset) {
+    let text = '';
+    for (let i = 0; i < 4; i++) text += String.fromCharCode(view.getUint8(offset + i));
+    return text;
+}
+
+/**
+ * Multilinear interpolation in a color lookup table
+ * @param {number[]} grid - Grid points per input channel
+ * @param {number} outputs - Output channels
+ * @param {Float64Array} data - Table values (0-1); the last input channel varies fastest
+ * @returns {Function} Maps input values (0-1) to output values (0-1)
+ */
+function clutStage(grid, outputs, data) {
+    const strides = [];
+    let stride = outputs;
+    for (let i = grid.length - 1; i >= 0; i--) {
+        strides[i] = stride;
+        stride *= grid[i];
+    }
+    return values => {
+        const base = [];
+        const fraction = [];
+        grid.forEach((points, i) => {
+            const position = clamp01(values[i]) * (points - 1);
+            const index = Math.min(Math.floor(position), points - 2);
+            base.push(Math.max(index, 0));
+            fraction.push(points > 1 ? position - index : 0);
+        });
+        const result = new Array(outputs).fill(0);
+        for (let corner = 0; corner < (1 << grid.length); corner++) {
+            let weight = 1;
+            let offset = 0;
+            for (let i = 0; i < grid.length; i++) {
+                const upper = (corner >> i) & 1;
+                weight *= upper ? fraction[i] : 1 - fraction[i];
+                offset += (base[i] + (grid[i] > 1 ? upper : 0)) * strides[i];
+            }
+            if (weight === 0) continue;
+            for (let o = 0; o < outputs; o++) result[o] += weight * data[offset + o];
+        }
+        return result;
+    };
+}
+
+/**
+ * lut8Type / lut16Type ('mft1', 'mft2') element
+ * @returns {Object} {inputs, outputs, stages, encoding: 'legacy' | 'v4'}
+ */
+function readLegacyLut(view, offset, type) {
+    const inputs = view.getUint8(offset + 8);
+    const outputs = view.getUint8(offset + 9);
+    const points = view.getUint8(offset + 10);
+    const matrix = [];
+    for (let i = 0; i < 9; i++) matrix.push(view.getInt32(offset + 12 + i * 4) / 65536);
+    const wide = type === 'mft2';
+    const inputEntries = wide ? view.getUint16(offset + 48) : 256;
+    const outputEntries = wide ? view.getUint16(offset + 50) : 256;
+    const size = wide ? 2 : 1;
+    const max = wide ? 65535 : 255;
+    let position = offset + (wide ? 52 : 48);
+
+    const readTable = (count) => {
+        const table = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            table[i] = (wide ? view.getUint16(position) : view.getUint8(position)) / max;
+            position += size;
+        }
+        return table;
+    };
+
+    const inputTables = [];
+    for (let i = 0; i < inputs; i++) inputTables.push(readTable(inputEntries));
+    const clut = readTable(Math.pow(points, inputs) * outputs);
+    const outputTables = [];
+    for (let i = 0; i < outputs; i++) outputTables.push(readTable(outputEntries));
+
+    const stages = [
+        values => values.map((v, i) => interpolateCurve(inputTables[i], v)),
+        clutStage(new Array(inputs).fill(points), outputs, clut),
+        values => values.map((v, i) => interpolateCurve(outputTables[i], v))
+    ];
+    return { inputs, outputs, stages, matrix, encoding: wide ? 'legacy' : 'v4' };
+}
+
+/**
+ * lutAtoBType / lutBtoAType ('mAB ', 'mBA ') element
+ */
+function readModernLut(view, offset, type) {
+    const inputs = view.getUint8(offset + 8);
+    const outputs = view.getUint8(offset + 9);
+    const at = field => {
+        const relative = view.getUint32(offset + field);
+        return relative ? offset + relative : 0;
+    };
+    const bOffset = at(12);
+    const matrixOffset = at(16);
+    const mOffset = at(20);
+    const clutOffset = at(24);
+    const aOffset = at(28);
+    const pcsChannels = type === 'mAB ' ? outputs : inputs;
+    const deviceChannels = type === 'mAB ' ? inputs : outputs;
+
+    let matrix = null;
+    if (matrixOffset) {
+        const m = [];
+        for (let i = 0; i < 12; i++) m.push(view.getInt32(matrixOffset + i * 4) / 65536);
+        matrix = values => [0, 1, 2].map(row =>
+            m[row * 3] * values[0] + m[row * 3 + 1] * values[1] + m[row * 3 + 2] * values[2] + m[9 + row]);
+    }
+
+    let clut = null;
+    if (clutOffset) {
+        const grid = [];
+        for (let i = 0; i < inputs; i++) grid.push(view.getUint8(clutOffset + i));
+        const precision = view.getUint8(clutOffset + 16);
+        const count = grid.reduce((product, points) => product * points, outputs);
+        const data = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            data[i] = precision === 2
+                ? view.getUint16(clutOffset + 20 + i * 2) / 65535
+                : view.getUint8(clutOffset + 20 + i) / 255;
+        }
+        clut = clutStage(grid, outputs, data);
+    }
+
+    const b = bOffset ? readCurves(view, bOffset, pcsChannels) : null;
+    const m = mOffset ? readCurves(view, mOffset, pcsChannels) : null;
+    const a = aOffset ? readCurves(view, aOffset, deviceChannels) : null;
+    const stages = type === 'mAB '
+        ? [a, clut, m, matrix, b]
+        : [b, matrix, m, clut, a];
+    return { inputs, outputs, stages: stages.filter(Boolean), matrix: null, encoding: 'v4' };
+}
+
+/**
+ * Text of a 'desc' (v2) or 'mluc' (v4) element
+ */
+function readDescription(view, offset) {
+    const type = readSignature(view, offset);
+    if (type === 'desc') {
+        const length = view.getUint32(offset + 8);
+        let text = '';
+        for (let i = 0; i < length - 1; i++) text += String.fromCharCode(view.getUint8(offset + 12 + i));
+        return text;
+    }
+    if (type === 'mluc' && view.getUint32(offset + 8) > 0) {
+        const length = view.getUint32(offset + 20);
+        const start = offset + view.getUint32(offset + 24);
+        let text = '';
+        for (let i = 0; i < length; i += 2) text += String.fromCharCode(view.getUint16(start + i));
+        return text;
+    }
+    return null;
+}
+
+/**
+ * ICC Profile Class
+ * A parsed CMYK output profile. The profile connection space is D50; our LAB is D65,
+ * so colors are Bradford-adapted on the way in and out.
+ */
+class IccProfile {
+    /**
+     * @param {ArrayBuffer|Uint8Array} data - Profile file contents
+     * @param {string} [fileName] - Used as the name when the profile has no description
+     */
+    constructor(data, fileName) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        if (this.bytes.byteLength < 132 || readSignature(view, 36) !== 'acsp') {
+            throw new Error('Not an ICC profile');
+        }
+
+        this.version = view.getUint8(8) + '.' + (view.getUint8(9) >> 4);
+        this.deviceClass = readSignature(view, 12);
+        this.colorSpace = readSignature(view, 16);
+        this.pcs = readSignature(view, 20);
+        if (this.colorSpace !== 'CMYK') {
+            throw new Error(`Not a CMYK profile (color space '${this.colorSpace.trim()}')`);
+        }
+        if (this.pcs !== 'Lab ' && this.pcs !== 'XYZ ') {
+            throw new Error(`Unsupported profile connection space '${this.pcs.trim()}'`);
+        }
+
+        this.tags = {};
+        const count = view.getUint32(128);
+        for (let i = 0; i < count; i++) {
+            const entry = 132 + i * 12;
+            this.tags[readSignature(view, entry)] = view.getUint32(entry + 4);
+        }
+        this.name = (this.tags.desc && readDescription(view, this.tags.desc)) || fileName || 'CMYK profile';
+
+        this.luts = {};
+        ['A2B0', 'A2B1', 'B2A0', 'B2A1'].forEach(tag => {
+            if (this.tags[tag] === undefined) return;
+            const offset = this.tags[tag];
+            const type = readSignature(view, offset);
+            if (type === 'mft1' || type === 'mft2') {
+                this.luts[tag] = readLegacyLut(view, offset, type);
+            } else if (type === 'mAB ' || type === 'mBA ') {
+                this.luts[tag] = readModernLut(view, offset, type);
+            } else {
+                throw new Error(`Unsupported lookup table type '${type}' in ${tag}`);
+            }
+        });
+        if (!this.luts.A2B0 || !this.luts.B2A0) {
+            throw new Error('Profile has no CMYK lookup tables (A2B0/B2A0)');
+        }
+    }
+
+    /**
+     * Lookup table for a direction and intent; profiles without colorimetric tables fall back to perceptual
+     */
+    lut(direction, intent) {
+        const spec = RENDERING_INTENTS[intent];
+        if (!spec) throw new Error(`Unknown rendering intent '${intent}'`);
+        return this.luts[direction + spec.tag] || this.luts[direction + '0'];
+    }
+
+    /**
+     * D65 LAB to the profile connection space, encoded for a table (0-1 per channel)
+     */
+    encodePcs(lab, lut) {
+        const xyz = iccCore.adaptXyz(iccCore.labToXyz(lab.l, lab.a, lab.b), iccCore.WHITE_POINTS['D65/2'], PCS_WHITE);
+        if (this.pcs === 'XYZ ') {
+            // 1.0 is stored as 0x8000
+            let values = [xyz.x, xyz.y, xyz.z].map(v => v / 100 * 32768 / 65535);
+            if (lut.matrix) values = multiply3([lut.matrix.slice(0, 3), lut.matrix.slice(3, 6), lut.matrix.slice(6, 9)], values);
+            return values;
+        }
+        const pcsLab = iccCore.xyzToLab(xyz.x, xyz.y, xyz.z, PCS_WHITE);
+        if (lut.encoding === 'legacy') {
+            // lut16Type keeps the ICC v2 encoding, where L* 100 is 0xFF00
+            return [pcsLab.l * 652.8 / 65535, (pcsLab.a + 128) * 256 / 65535, (pcsLab.b + 128) * 256 / 65535];
+        }
+        return [pcsLab.l / 100, (pcsLab.a + 128) / 255, (pcsLab.b + 128) / 255];
+    }
+
+    /**
+     * Profile connection space values from a table back to D65 LAB
+     */
+    decodePcs(values, lut) {
+        let xyz;
+        if (this.pcs === 'XYZ ') {
+            const [x, y, z] = values.map(v => v * 65535 / 32768 * 100);
+            xyz = { x, y, z };
+        } else {
+            const pcsLab = lut.encoding === 'legacy'
+                ? { l: values[0] * 65535 / 652.8, a: values[1] * 65535 / 256 - 128, b: values[2] * 65535 / 256 - 128 }
+                : { l: values[0] * 100, a: values[1] * 255 - 128, b: values[2] * 255 - 128 };
+            xyz = iccCore.labToXyz(pcsLab.l, pcsLab.a, pcsLab.b, PCS_WHITE);
+        }
+        const adapted = iccCore.adaptXyz(xyz, PCS_WHITE, iccCore.WHITE_POINTS['D65/2']);
+        return iccCore.xyzToLab(adapted.x, adapted.y, adapted.z);
+    }
+
+    /**
+     * Convert LAB to a CMYK recipe for this printing condition
+     * @param {Object} lab - LAB color {l, a, b} (D65)
+     * @param {string} [intent='relative'] - Key of RENDERING_INTENTS
+     * @returns {Object} CMYK color {c, m, y, k} (0-100)
+     */
+    labToCmyk(lab, intent = 'relative') {
+        const lut = this.lut('B2A', intent);
+        const values = lut.stages.reduce((v, stage) => stage(v), this.encodePcs(lab, lut));
+        const [c, m, y, k] = values.map(v => Math.round(clamp01(v) * 100));
+        return { c, m, y, k };
+    }
+
+    /**
+     * LAB a CMYK recipe prints as
+     * @param {Object} cmyk - CMYK color {c, m, y, k} (0-100)
+     * @param {string} [intent='relative'] - Key of RENDERING_INTENTS
+     * @returns {Object} LAB color {l, a, b} (D65)
+     */
+    cmykToLab(cmyk, intent = 'relative') {
+        const lut = this.lut('A2B', intent);
+        const input = [cmyk.c, cmyk.m, cmyk.y, cmyk.k].map(v => v / 100);
+        return this.decodePcs(lut.stages.reduce((v, stage) => stage(v), input), lut);
+    }
+
+    toBase64() {
+        let binary = '';
+        this.bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static fromBase64(text, fileName) {
+        return new IccProfile(Uint8Array.from(atob(text), c => c.charCodeAt(0)), fileName);
+    }
+}
+
+/**
+ * Remember the chosen profile and intent for the next session
+ * @returns {boolean} false when the profile is too large for local storage
+ */
+function saveCmykProfile(profile, intent) {
+    try {
+        localStorage.setItem(CMYK_PROFILE_STORAGE_KEY, JSON.stringify({
+            name: profile.name,
+            intent,
+            data: profile.toBase64()
+        }));
+        return true;
+    } catch (e) {
+        console.warn('Could not store CMYK profile:', e);
+        localStorage.setItem(CMYK_PROFILE_STORAGE_KEY, JSON.stringify({ name: profile.name, intent, data: null }));
+        return false;
+    }
+}
+
+/**
+ * @returns {Object|null} {profile, intent, name} saved by saveCmykProfile(); profile is null
+ *   when only the name could be stored
+ */
+function loadCmykProfile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CMYK_PROFILE_STORAGE_KEY));
+        if (!stored) return null;
+        return {
+            name: stored.name,
+            intent: stored.intent || 'relative',
+            profile: stored.data ? IccProfile.fromBase64(stored.data, stored.name) : null
+        };
+    } catch (e) {
+        console.warn('Ignoring stored CMYK profile:', e);
+        return null;
+    }
+}
+
+function clearCmykProfile() {
+    localStorage.removeItem(CMYK_PROFILE_STORAGE_KEY);
+}
+
+if (typeof window !== 'undefined') {
+    window.RENDERING_INTENTS = RENDERING_INTENTS;
+    window.IccProfile = IccProfile;
+    window.saveCmykProfile = saveCmykProfile;
+    window.loadCmykProfile = loadCmykProfile;
+    window.clearCmykProfile = clearCmykProfile;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RENDERING_INTENTS, IccProfile };
+}
@@ -0,0 +1,198 @@
+/**
+ * Match Library
+ * Keeps past matches in IndexedDB: the sampled target with a thumbnail of the camera crop,
+ * the final color, the judgement history and the matcher state needed to keep refining.
+ */
+
+const libraryCore = typeof module !== 'undefined' && module.exports
+    ? require('./color-matcher.js')
+    : { DEFAULT_METRIC, createColorMetric };
+
+const MATCH_LIBRARY_DB = 'colorMatcher';
+const MATCH_LIBRARY_VERSION = 1;
+const MATCH_STORE = 'matches';
+
+/**
+ * Resolve or reject with an IndexedDB request's outcome
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Crop a region of a canvas into a small JPEG data URL
+ * @param {HTMLCanvasElement} source - Camera canvas
+ * @param {Object} region - Region {x, y, width, height}
+ * @param {number} [size=64] - Thumbnail edge in pixels
+ * @param {number} [margin=2] - Crop this many region sizes around the region, for context
+ * @returns {string} Data URL
+ */
+function captureThumbnail(source, region, size = 64, margin = 2) {
+    const side = Math.max(region.width, region.height) * margin;
+    const cx = region.x + region.width / 2;
+    const cy = region.y + region.height / 2;
+    const thumb = document.createElement('canvas');
+    thumb.width = size;
+    thumb.height = size;
+    thumb.getContext('2d').drawImage(source, cx - side / 2, cy - side / 2, side, side, 0, 0, size, size);
+    return thumb.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Match Library Class
+ * Every method opens the database on first use, so callers never wait for setup.
+ */
+class MatchLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether this browser has IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(MATCH_LIBRARY_DB, MATCH_LIBRARY_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(MATCH_STORE, { keyPath: 'id' });
+            };
+            // A failed open (e.g. storage refused in a private window) is retried next time
+            this.dbPromise = idbRequest(request).catch(err => {
+                this.dbPromise = null;
+                throw err;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction(MATCH_STORE, mode).objectStore(MATCH_STORE);
+    }
+
+    /**
+     * Add or update an entry
+     * @param {Object} entry - Library entry {id?, name, tags, target, thumbnail, result, matches,
+     *   history, matcherState, devices}; fields not given keep their stored values
+     *   and an id is assigned when missing
+     * @returns {Promise<Object>} The stored entry
+     */
+    async save(entry) {
+        const now = Date.now();
+        const existing = entry.id ? await this.get(entry.id) : null;
+        const given = Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined));
+        const stored = {
+            tags: [],
+            ...existing,
+            ...given,
+            id: entry.id || `m${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        await idbRequest((await this.store('readwrite')).put(stored));
+        return stored;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Entry by ID
+     */
+    async get(id) {
+        return (await idbRequest((await this.store('readonly')).get(id))) || null;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} All entries, most recently updated first
+     */
+    async list() {
+        const entries = await idbRequest((await this.store('readonly')).getAll());
+        return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Search entries
+     * @param {Object} [query]
+     * @param {string} [query.text] - Matched against name and tags; "#word" matches tags only
+     * @param {Object} [query.nearLab] - Order by the color difference between this LAB color {l, a, b}
+     *   and each entry's sampled target; entries without a target LAB are left out
+     * @param {string|Object} [query.metric] - With nearLab: metric spec for createColorMetric();
+     *   without one each entry is measured in the metric it was matched with
+     * @param {number} [query.maxDeltaE] - With nearLab: drop entries farther than this
+     * @param {number} [query.limit] - Return at most this many entries
+     * @returns {Promise<Object[]>} Entries; with nearLab each carries a `distance`
+     */
+    async search(query = {}) {
+        let entries = await this.list();
+
+        const text = (query.text || '').trim().toLowerCase();
+        if (text) {
+            const tagOnly = text.startsWith('#');
+            const word = tagOnly ? text.substring(1) : text;
+            entries = entries.filter(entry =>
+                (!tagOnly && entry.name.toLowerCase().includes(word)) ||
+                entry.tags.some(tag => tag.toLowerCase() === word || (!tagOnly && tag.toLowerCase().includes(word))));
+        }
+
+        if (query.nearLab) {
+            const queryMetric = query.metric ? libraryCore.createColorMetric(query.metric) : null;
+            entries = entries
+                .filter(entry => entry.target && entry.target.lab)
+                .map(entry => {
+                    const metric = queryMetric || entryMetric(entry);
+                    return { ...entry, distance: metric(query.nearLab, entry.target.lab) };
+                })
+                .filter(entry => query.maxDeltaE === undefined || entry.distance <= query.maxDeltaE)
+                .sort((a, b) => a.distance - b.distance);
+        }
+
+        return query.limit ? entries.slice(0, query.limit) : entries;
+    }
+
+    /**
+     * Change an entry's name and, optionally, its tags
+     * @returns {Promise<Object>} Updated entry
+     */
+    async rename(id, name, tags) {
+        const entry = await this.get(id);
+        if (!entry) throw new Error(`No library entry '${id}'`);
+        entry.name = name;
+        if (tags) entry.tags = tags;
+        return this.save(entry);
+    }
+
+    async delete(id) {
+        await idbRequest((await this.store('readwrite')).delete(id));
+    }
+}
+
+/**
+ * Metric an entry was matched with, from its saved matcher state; entries without one use the default
+ */
+function entryMetric(entry) {
+    const saved = entry.matcherState && entry.matcherState.metric;
+    return libraryCore.createColorMetric(saved || libraryCore.DEFAULT_METRIC);
+}
+
+/**
+ * Split "red, Batch 7 ,#spring" into clean tags
+ */
+function parseTags(text) {
+    return (text || '').split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean);
+}
+
+if (typeof window !== 'undefined') {
+    window.captureThumbnail = captureThumbnail;
+    window.MatchLibrary = MatchLibrary;
+    window.parseTags = parseTags;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MatchLibrary, parseTags };
+}
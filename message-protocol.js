@@ -0,0 +1,336 @@
+/**
+ * Message Protocol
+ * Typed, acknowledged messages over the data channel.
+ *
+ * Every message travels in an envelope:
+ *   {v, type, id, seq, from, lo?, re?, r?, payload}
+ * v - protocol version; type - message type from MESSAGE_SCHEMAS; id - unique message ID;
+ * seq - sender's sequence number; from - sender instance ID (changes when a page reloads);
+ * lo - the sender will never resend any seq up to this one (acknowledged, superseded or unreliable);
+ * re - ID of the message this one answers (acks and responses); r - 1 when an ack is wanted.
+ */
+
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Payload fields per message type. A trailing '?' marks an optional field.
+ */
+const MESSAGE_SCHEMAS = {
+    hello: { version: 'number', instanceId: 'string', role: 'string' },
+    color: { rgb: 'object', cmyk: 'object', mode: 'string', bare: 'boolean?', candidateId: 'string?', space: 'string?', relative: 'boolean?' },
+    feedback: { isMatch: 'boolean', candidateId: 'string?' },
+    adjust: { direction: 'string', candidateId: 'string' },
+    pair: { pairId: 'string', left: 'object', right: 'object', mode: 'string' },
+    choice: { pairId: 'string', candidateId: 'string' },
+    palette: { targets: 'array', active: 'number', matched: 'number', total: 'number' },
+    export: { filename: 'string', mimeType: 'string', encoding: 'string', data: 'string' }
+};
+
+/**
+ * Check a payload against its schema
+ * @param {string} type - Message type
+ * @param {Object} payload - Payload
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateMessage(type, payload) {
+    const schema = MESSAGE_SCHEMAS[type];
+    if (!schema) return [`unknown message type '${type}'`];
+    if (!payload || typeof payload !== 'object') return ['payload must be an object'];
+
+    const problems = [];
+    Object.keys(schema).forEach(field => {
+        const optional = schema[field].endsWith('?');
+        const expected = schema[field].replace('?', '');
+        const value = payload[field];
+        if (value === undefined || value === null) {
+            if (!optional) problems.push(`missing '${field}'`);
+            return;
+        }
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== expected) problems.push(`'${field}' should be ${expected}, got ${actual}`);
+    });
+    return problems;
+}
+
+/**
+ * Note a sender's sequence number, keeping only a low-water mark (every seq up to it has been
+ * handled or will never come) and the seqs seen above it, so long sessions don't grow the record
+ * @param {Object} record - {low, above: Set}, updated in place
+ * @param {number} seq - Sequence number of the incoming message
+ * @param {number} [settled] - The envelope's lo: seqs the sender will never resend
+ * @returns {boolean} True the first time a seq is seen
+ */
+function markSeen(record, seq, settled) {
+    const fresh = Number.isInteger(seq) && seq > record.low && !record.above.has(seq);
+    if (fresh) record.above.add(seq);
+    // A gap closes only once the sender says it won't fill it: a reliable message still being
+    // retried keeps its gap open however many newer messages arrive
+    if (Number.isInteger(settled) && settled > record.low) {
+        record.low = settled;
+        record.above.forEach(seen => { if (seen <= record.low) record.above.delete(seen); });
+    }
+    while (record.above.delete(record.low + 1)) record.low++;
+    return fresh;
+}
+
+/**
+ * Random instance ID for this page load
+ */
+function generateInstanceId() {
+    return Math.random().toString(36).substring(2, 10);
+}
+
+/**
+ * Message Protocol Class
+ * Wraps a link (WebRTCConnection or PeerSession) with sequence numbers, acknowledgements,
+ * retransmission, de-duplication, request/response correlation and per-type subscribers.
+ */
+class MessageProtocol {
+    /**
+     * @param {Object} link - Anything with sendMessage(data), isReady() and onMessage(callback)
+     * @param {Object} [options]
+     * @param {string} [options.role='peer'] - This side's role, announced in the handshake
+     * @param {number} [options.ackTimeout=2000] - Milliseconds before an unacknowledged message is resent
+     */
+    constructor(link, options = {}) {
+        this.link = link;
+        this.role = options.role || 'peer';
+        this.ackTimeout = options.ackTimeout || 2000;
+        this.instanceId = generateInstanceId();
+        this.seq = 0;
+        this.outbox = new Map();      // id -> {envelope, sentAt}
+        this.pending = new Map();     // request id -> {resolve, reject, timer}
+        this.received = new Map();    // peer instance ID -> {low, above}, see markSeen()
+        this.handlers = new Map();    // type -> [handler]
+        this.peer = null;
+        this.onPeerCallbacks = [];
+        this.retryTimer = null;
+
+        link.onMessage((data) => this.receive(data));
+        this.on('hello', (payload, envelope) => this.handleHello(payload, envelope));
+    }
+
+    /**
+     * Link (re)opened: introduce ourselves and resend anything not yet acknowledged
+     */
+    start() {
+        this.request('hello', { version: PROTOCOL_VERSION, instanceId: this.instanceId, role: this.role })
+            .then(payload => this.setPeer(payload))
+            .catch(err => console.warn('Handshake failed:', err.message));
+        this.flush();
+    }
+
+    /**
+     * Send a message
+     * @param {string} type - Message type
+     * @param {Object} payload - Payload (validated against MESSAGE_SCHEMAS)
+     * @param {Object} [options]
+     * @param {boolean} [options.reliable=true] - Keep resending until acknowledged
+     * @param {boolean} [options.latestOnly=false] - Drop unacknowledged older messages of the same type
+     * @param {string} [options.re] - ID of the message this one responds to
+     * @returns {string} Message ID
+     */
+    send(type, payload, options = {}) {
+        const problems = validateMessage(type, payload);
+        if (problems.length > 0) {
+            throw new Error(`Invalid ${type} message: ${problems.join(', ')}`);
+        }
+
+        const seq = ++this.seq;
+        const envelope = {
+            v: PROTOCOL_VERSION,
+            type,
+            id: `${this.instanceId}:${seq}`,
+            seq,
+            from: this.instanceId,
+            payload
+        };
+        if (options.re) envelope.re = options.re;
+
+        if (options.reliable !== false) {
+            envelope.r = 1;
+            if (options.latestOnly) {
+                this.outbox.forEach((entry, id) => {
+                    if (entry.envelope.type === type) this.outbox.delete(id);
+                });
+            }
+            this.outbox.set(envelope.id, { envelope, sentAt: Date.now() });
+            this.scheduleRetry();
+        }
+        this.transmit(envelope);
+        return envelope.id;
+    }
+
+    /**
+     * Send a request and wait for the response that refers to it
+     * @param {string} type - Message type
+     * @param {Object} payload - Payload
+     * @param {number} [timeout=10000] - Milliseconds to wait for the response
+     * @returns {Promise<Object>} Response payload
+     */
+    request(type, payload, timeout = 10000) {
+        const id = this.send(type, payload);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`No response to ${type}`));
+            }, timeout);
+            this.pending.set(id, { resolve, reject, timer });
+        });
+    }
+
+    /**
+     * Respond to a received message
+     * @param {Object} envelope - Envelope of the message being answered
+     * @param {string} type - Response message type
+     * @param {Object} payload - Response payload
+     */
+    respond(envelope, type, payload) {
+        return this.send(type, payload, { re: envelope.id });
+    }
+
+    /**
+     * Subscribe to a message type
+     * @param {string} type - Message type
+     * @param {Function} handler - Called with (payload, envelope)
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) this.handlers.set(type, []);
+        this.handlers.get(type).push(handler);
+        return () => {
+            const list = this.handlers.get(type);
+            const index = list.indexOf(handler);
+            if (index !== -1) list.splice(index, 1);
+        };
+    }
+
+    /**
+     * Subscribe to handshake results: called with {instanceId, role, version, compatible, reloaded}
+     */
+    onPeer(callback) {
+        this.onPeerCallbacks.push(callback);
+    }
+
+    transmit(envelope) {
+        envelope.lo = this.settledSeq();
+        if (this.link.isReady()) {
+            this.link.sendMessage(envelope);
+        }
+    }
+
+    /**
+     * Highest seq up to which nothing will be resent: just below the oldest unacknowledged message
+     */
+    settledSeq() {
+        let oldest = this.seq + 1;
+        this.outbox.forEach(entry => { oldest = Math.min(oldest, entry.envelope.seq); });
+        return oldest - 1;
+    }
+
+    /**
+     * Resend every unacknowledged message (e.g. after reconnecting)
+     */
+    flush() {
+        this.outbox.forEach(entry => {
+            entry.sentAt = Date.now();
+            this.transmit(entry.envelope);
+        });
+        this.scheduleRetry();
+    }
+
+    scheduleRetry() {
+        if (this.retryTimer || this.outbox.size === 0) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            const cutoff = Date.now() - this.ackTimeout;
+            this.outbox.forEach(entry => {
+                if (entry.sentAt <= cutoff) {
+                    entry.sentAt = Date.now();
+                    this.transmit(entry.envelope);
+                }
+            });
+            this.scheduleRetry();
+        }, this.ackTimeout);
+    }
+
+    /**
+     * Handle raw data from the link
+     */
+    receive(data) {
+        if (!data || typeof data !== 'object' || data.v === undefined) {
+            console.warn('Ignoring message without protocol envelope:', data);
+            return;
+        }
+
+        if (data.type === 'ack') {
+            this.outbox.delete(data.re);
+            return;
+        }
+        if (data.r) {
+            this.link.sendMessage({ v: PROTOCOL_VERSION, type: 'ack', re: data.id });
+        }
+        if (data.v !== PROTOCOL_VERSION && data.type !== 'hello') {
+            console.warn(`Ignoring ${data.type} message of protocol version ${data.v}`);
+            return;
+        }
+
+        // Retransmissions whose ack got lost arrive twice; handle each seq once per sender instance
+        if (!this.received.has(data.from)) this.received.set(data.from, { low: 0, above: new Set() });
+        if (!markSeen(this.received.get(data.from), data.seq, data.lo)) return;
+
+        const problems = validateMessage(data.type, data.payload);
+        if (problems.length > 0) {
+            console.warn(`Dropping invalid ${data.type} message: ${problems.join(', ')}`);
+            return;
+        }
+
+        if (data.re && this.pending.has(data.re)) {
+            const request = this.pending.get(data.re);
+            this.pending.delete(data.re);
+            clearTimeout(request.timer);
+            request.resolve(data.payload, data);
+            return;
+        }
+
+        (this.handlers.get(data.type) || []).slice().forEach(handler => {
+            try {
+                handler(data.payload, data);
+            } catch (err) {
+                console.error(`Error handling ${data.type} message:`, err);
+            }
+        });
+    }
+
+    handleHello(payload, envelope) {
+        this.setPeer(payload);
+        if (!envelope.re) {
+            this.respond(envelope, 'hello', { version: PROTOCOL_VERSION, instanceId: this.instanceId, role: this.role });
+        }
+    }
+
+    setPeer(payload) {
+        const reloaded = !!(this.peer && this.peer.instanceId !== payload.instanceId);
+        if (this.peer && !reloaded) return;
+        this.peer = {
+            instanceId: payload.instanceId,
+            role: payload.role,
+            version: payload.version,
+            compatible: payload.version === PROTOCOL_VERSION,
+            reloaded
+        };
+        this.onPeerCallbacks.forEach(callback => callback(this.peer));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PROTOCOL_VERSION = PROTOCOL_VERSION;
+    window.MESSAGE_SCHEMAS = MESSAGE_SCHEMAS;
+    window.validateMessage = validateMessage;
+    window.MessageProtocol = MessageProtocol;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROTOCOL_VERSION, MESSAGE_SCHEMAS, validateMessage, markSeen, MessageProtocol };
+}
@@ -0,0 +1,190 @@
+/**
+ * Palette Session
+ * Matches several targets from the same product in turn. Each target keeps its own
+ * ColorMatcher, and the finished palette is checked for relationships the match lost:
+ * two parts that looked clearly different should not end up nearly the same.
+ */
+
+const paletteCore = typeof module !== 'undefined' && module.exports
+    ? require('./color-matcher.js')
+    : { ColorMatcher, createColorMetric, labToWhite };
+
+// Matched colors may be this much (in the session's metric) closer together than their targets before we warn
+const PALETTE_SEPARATION_TOLERANCE = 1.5;
+
+/**
+ * D65 LAB of an export entry; entries saved before labD65 existed are adapted back from their report white
+ */
+function resultLabD65(entry) {
+    if (entry.labD65) return entry.labD65;
+    if (!entry.whitePoint || entry.whitePoint === 'D65/2') return entry.lab;
+    return paletteCore.labToWhite(entry.lab, 'D65/2', { from: entry.whitePoint, method: entry.adaptation || 'bradford' });
+}
+
+class PaletteSession {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.matcherOptions] - ColorMatcher options for new targets (e.g. display model)
+     * @param {number} [options.separationTolerance=1.5] - See PALETTE_SEPARATION_TOLERANCE
+     */
+    constructor(options = {}) {
+        this.matcherOptions = options.matcherOptions || {};
+        this.separationTolerance = options.separationTolerance !== undefined
+            ? options.separationTolerance
+            : PALETTE_SEPARATION_TOLERANCE;
+        this.targets = [];
+        this.activeIndex = -1;
+        this.nextNumber = 1;
+    }
+
+    /**
+     * Add a target and make it the active one
+     * @param {Object} rgb - Sampled target color {r, g, b}
+     * @param {Object} [details] - {name, thumbnail, lab, spread, source}; lab is the measured color when it lies
+     *   outside sRGB, spread the sample's uncertainty (ΔE), source a key of TARGET_SOURCES
+     * @returns {Object} Target {id, name, rgb, lab, thumbnail, source, matcher, result, libraryEntryId}
+     */
+    addTarget(rgb, details = {}) {
+        const number = this.nextNumber++;
+        const options = { ...this.matcherOptions, targetLab: details.lab, targetSpread: details.spread };
+        // Each part gets its own seed, so parts don't all see the same candidate sequence
+        if (Number.isFinite(options.seed)) options.seed += number - 1;
+        const matcher = new paletteCore.ColorMatcher(rgb, options);
+        matcher.generateInitialCandidates(50);
+        const target = {
+            id: 't' + number,
+            name: details.name || 'Part ' + number,
+            rgb: { ...rgb },
+            lab: matcher.targetLab,
+            thumbnail: details.thumbnail || null,
+            source: details.source || 'camera',
+            matcher,
+            result: null,
+            libraryEntryId: null
+        };
+        this.targets.push(target);
+        this.activeIndex = this.targets.length - 1;
+        return target;
+    }
+
+    removeTarget(index) {
+        this.targets.splice(index, 1);
+        if (this.activeIndex >= this.targets.length) this.activeIndex = this.targets.length - 1;
+    }
+
+    /**
+     * Target being matched, or null for an empty palette
+     */
+    active() {
+        return this.targets[this.activeIndex] || null;
+    }
+
+    select(index) {
+        if (index < 0 || index >= this.targets.length) throw new Error(`No palette target ${index}`);
+        this.activeIndex = index;
+        return this.active();
+    }
+
+    /**
+     * Store the match for the active target
+     * @param {Object} entry - Export entry from createExportEntry()
+     */
+    setResult(entry) {
+        const target = this.active();
+        if (target) target.result = entry;
+    }
+
+    /**
+     * Make the first target without a match active
+     * @returns {Object|null} That target, or null when every target is matched
+     */
+    advance() {
+        const index = this.targets.findIndex(target => !target.result);
+        if (index === -1) return null;
+        this.activeIndex = index;
+        return this.targets[index];
+    }
+
+    /**
+     * Progress summary for the control view
+     * @returns {Object} {matched, total, active, targets: [{name, rgb, matched}]}
+     */
+    progress() {
+        return {
+            matched: this.targets.filter(target => target.result).length,
+            total: this.targets.length,
+            active: this.activeIndex,
+            targets: this.targets.map(target => ({
+                name: target.name,
+                rgb: target.result ? target.result.rgb : target.rgb,
+                matched: !!target.result
+            }))
+        };
+    }
+
+    /**
+     * Pairs of matched targets whose matches are noticeably closer together than the targets
+     * Every pair is measured in the session's metric, whatever metric each part was matched with,
+     * so the differences and the tolerance are on one scale.
+     * @returns {Object[]} [{first, second, targetDeltaE, matchDeltaE}] with target names
+     */
+    separationWarnings() {
+        const warnings = [];
+        const metric = paletteCore.createColorMetric(this.matcherOptions.metric);
+        const matched = this.targets.filter(target => target.result);
+        for (let i = 0; i < matched.length; i++) {
+            for (let j = i + 1; j < matched.length; j++) {
+                const targetDeltaE = metric(matched[i].lab, matched[j].lab);
+                // Targets are D65; so is labD65 whatever white the result is reported in
+                const matchDeltaE = metric(resultLabD65(matched[i].result), resultLabD65(matched[j].result));
+                if (matchDeltaE < targetDeltaE - this.separationTolerance) {
+                    warnings.push({ first: matched[i].name, second: matched[j].name, targetDeltaE, matchDeltaE });
+                }
+            }
+        }
+        return warnings;
+    }
+
+    /**
+     * Matched colors as export entries named after their targets, in palette order
+     */
+    exportEntries() {
+        return this.targets
+            .filter(target => target.result)
+            .map(target => ({ ...target.result, name: target.name }));
+    }
+
+    toJSON() {
+        return {
+            separationTolerance: this.separationTolerance,
+            activeIndex: this.activeIndex,
+            nextNumber: this.nextNumber,
+            targets: this.targets.map(target => ({ ...target, matcher: target.matcher.toJSON() }))
+        };
+    }
+
+    /**
+     * Restore a session saved with toJSON()
+     * @param {Object} data - Saved session
+     * @param {Object} [options] - Constructor options (the display model is not saved)
+     */
+    static fromJSON(data, options = {}) {
+        const session = new PaletteSession({ ...options, separationTolerance: data.separationTolerance });
+        session.targets = data.targets.map(target => ({
+            ...target,
+            matcher: paletteCore.ColorMatcher.fromJSON(target.matcher, session.matcherOptions)
+        }));
+        session.activeIndex = data.activeIndex;
+        session.nextNumber = data.nextNumber;
+        return session;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PaletteSession = PaletteSession;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PALETTE_SEPARATION_TOLERANCE, PaletteSession };
+}
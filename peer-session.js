@@ -0,0 +1,256 @@
+/**
+ * Peer Session
+ * Keeps a data channel up for the lifetime of a session ID. When the channel drops
+ * (device sleeps, Wi-Fi changes, tab reloads) the offerer publishes a fresh offer as
+ * a new generation under the same session ID and the answerer picks it up.
+ *
+ * Records: 'generation' under the session ID says which generation is current;
+ * generation N > 0 keeps its offer, answer and ICE records under "<sessionId>~N".
+ */
+
+const DISCONNECT_GRACE = 5000; // 'disconnected' often recovers by itself; wait before renegotiating
+
+/**
+ * Signaling session ID for one generation (generation 0 uses the plain session ID)
+ */
+function generationSessionId(sessionId, generation) {
+    return generation === 0 ? sessionId : `${sessionId}~${generation}`;
+}
+
+class PeerSession {
+    /**
+     * @param {SignalingTransport} transport - Signaling transport
+     * @param {string} sessionId - Session ID shared by both devices
+     * @param {boolean} isOfferer - Whether this side creates the offers (control device)
+     * @param {Object} [options]
+     * @param {number} [options.initialDelay=1000] - First polling delay in milliseconds
+     * @param {number} [options.maxDelay=10000] - Polling delay cap in milliseconds
+     */
+    constructor(transport, sessionId, isOfferer, options = {}) {
+        this.transport = transport;
+        this.sessionId = sessionId;
+        this.isOfferer = isOfferer;
+        this.initialDelay = options.initialDelay || 1000;
+        this.maxDelay = options.maxDelay || 10000;
+        this.generation = -1;
+        this.connection = null;
+        this.state = 'idle';
+        this.closed = false;
+        this.disconnectTimer = null;
+        this.onMessageCallbacks = [];
+        this.onStateCallback = null;
+        this.onDataChannelCallback = null;
+    }
+
+    /**
+     * Start the session
+     * @param {number} [generation] - Offerer only: first generation to publish (e.g. after a reload)
+     */
+    async start(generation) {
+        if (this.isOfferer) {
+            await this.offer(generation !== undefined ? generation : 0);
+        } else {
+            await this.answerNextGeneration();
+        }
+    }
+
+    /**
+     * Repeat an async step with growing delays until it returns a truthy value
+     * @param {Function} step - Async function; a truthy result ends polling
+     * @param {number} generation - Generation the polling belongs to; stops when superseded
+     * @returns {Promise<*>} The step's result, or null if the session moved on
+     */
+    async poll(step, generation) {
+        let delay = this.initialDelay;
+        while (!this.closed && generation === this.generation) {
+            const result = await step();
+            if (result) return result;
+            await new Promise(r => setTimeout(r, delay));
+            delay = Math.min(this.maxDelay, delay * 1.5);
+        }
+        return null;
+    }
+
+    /**
+     * Create a connection for a generation with the session's callbacks attached
+     */
+    createConnection(generation) {
+        const connection = new WebRTCConnection({ waitForIceGathering: false });
+        connection.onMessage((data) => {
+            this.onMessageCallbacks.forEach(callback => callback(data));
+        });
+        connection.onDataChannelStateChange((isOpen) => {
+            if (generation !== this.generation) return;
+            if (isOpen) {
+                this.setState('connected');
+            } else {
+                this.connectionLost(generation);
+            }
+            if (this.onDataChannelCallback) this.onDataChannelCallback(isOpen);
+        });
+        connection.onConnectionStateChange((state) => {
+            if (generation !== this.generation) return;
+            clearTimeout(this.disconnectTimer);
+            if (state === 'failed' || state === 'closed') {
+                this.connectionLost(generation);
+            } else if (state === 'disconnected') {
+                this.disconnectTimer = setTimeout(() => this.connectionLost(generation), DISCONNECT_GRACE);
+            }
+        });
+        return connection;
+    }
+
+    /**
+     * Trickle candidates both ways until the connection is up
+     */
+    async exchangeCandidates(connection, scopedId, generation) {
+        const exchange = new IceCandidateExchange(this.transport, scopedId, this.isOfferer);
+        connection.onIceCandidate((candidate) => exchange.send(candidate));
+        await this.poll(async () => {
+            for (const candidate of await exchange.fetchNew()) {
+                await connection.addIceCandidate(candidate);
+            }
+            return this.state === 'connected' || exchange.remoteComplete;
+        }, generation);
+    }
+
+    /**
+     * Offerer: publish a generation and wait for its answer
+     */
+    async offer(generation) {
+        this.generation = generation;
+        this.setState(generation === 0 ? 'connecting' : 'reconnecting');
+        const scopedId = generationSessionId(this.sessionId, generation);
+        const connection = this.createConnection(generation);
+        this.connection = connection;
+
+        const offer = await connection.initAsOfferer();
+        const published = await this.poll(async () =>
+            await this.transport.putSdp(scopedId, 'offer', offer) &&
+            await this.transport.put(this.sessionId, 'generation', { generation, timestamp: Date.now() }),
+        generation);
+        if (!published) return;
+
+        this.exchangeCandidates(connection, scopedId, generation);
+        const answer = await this.poll(() => this.transport.getSdp(scopedId, 'answer', 1), generation);
+        if (answer && !connection.pc.remoteDescription) {
+            await connection.setRemoteDescription(answer);
+        }
+    }
+
+    /**
+     * Answerer: answer the current generation, or wait for a newer one if it was already answered
+     * @param {number} [after=-1] - Only answer generations newer than this
+     */
+    async answerNextGeneration(after = -1) {
+        const waitingFor = this.generation;
+        this.setState(after < 0 ? 'connecting' : 'reconnecting');
+
+        const target = await this.poll(async () => {
+            const record = await this.transport.get(this.sessionId, 'generation').catch(() => null);
+            const generation = record ? record.generation : 0;
+            if (generation <= after) return null;
+            const scopedId = generationSessionId(this.sessionId, generation);
+            // An existing answer means another tab (or this one before a reload) took it
+            const answered = await this.transport.get(scopedId, 'answer').catch(() => null);
+            if (answered) {
+                after = generation;
+                return null;
+            }
+            const offer = await this.transport.getSdp(scopedId, 'offer', 1);
+            return offer ? { generation, offer } : null;
+        }, waitingFor);
+        if (!target) return;
+
+        this.generation = target.generation;
+        const scopedId = generationSessionId(this.sessionId, target.generation);
+        const connection = this.createConnection(target.generation);
+        this.connection = connection;
+
+        const answer = await connection.initAsAnswerer(target.offer);
+        await this.poll(() => this.transport.putSdp(scopedId, 'answer', answer), target.generation);
+        this.exchangeCandidates(connection, scopedId, target.generation);
+    }
+
+    /**
+     * The current generation's channel is gone: renegotiate
+     */
+    connectionLost(generation) {
+        if (this.closed || generation !== this.generation) return;
+        clearTimeout(this.disconnectTimer);
+        const old = this.connection;
+        this.connection = null;
+        if (old) old.close();
+
+        if (this.isOfferer) {
+            this.offer(generation + 1).catch(err => console.error('Reconnect failed:', err));
+        } else {
+            // Claim a placeholder generation so callbacks of the old connection are ignored
+            this.generation = generation + 0.5;
+            this.answerNextGeneration(generation).catch(err => console.error('Reconnect failed:', err));
+        }
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.onStateCallback) this.onStateCallback(state);
+    }
+
+    /**
+     * Send message through the current data channel
+     */
+    sendMessage(data) {
+        if (!this.connection) {
+            console.warn('Data channel not ready');
+            return false;
+        }
+        return this.connection.sendMessage(data);
+    }
+
+    /**
+     * Check if the current data channel is open
+     */
+    isReady() {
+        return !!(this.connection && this.connection.isReady());
+    }
+
+    /**
+     * Add a callback for incoming messages (kept across reconnections)
+     * @returns {Function} Unsubscribe function
+     */
+    onMessage(callback) {
+        this.onMessageCallbacks.push(callback);
+        return () => {
+            this.onMessageCallbacks = this.onMessageCallbacks.filter(c => c !== callback);
+        };
+    }
+
+    /**
+     * Set callback for session state: 'connecting', 'connected', 'reconnecting'
+     */
+    onStateChange(callback) {
+        this.onStateCallback = callback;
+    }
+
+    /**
+     * Set callback for data channel open/close (fires for every generation)
+     */
+    onDataChannelStateChange(callback) {
+        this.onDataChannelCallback = callback;
+    }
+
+    /**
+     * End the session for good
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.disconnectTimer);
+        if (this.connection) this.connection.close();
+        this.connection = null;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PeerSession = PeerSession;
+}
@@ -0,0 +1,335 @@
+/**
+ * Offline QR Pairing
+ * Exchanges the offer and answer directly between the two screens: each description is
+ * reduced to the fields a data-channel connection needs, compressed, and shown as one or
+ * more QR codes that the other device scans with its camera. No server sees the session.
+ */
+
+const PAIRING_PREFIX = 'CM1';
+const PAIRING_CHUNK_SIZE = 300; // Characters per QR code; small enough to scan off a screen
+
+/**
+ * Reduce a session description to the essential fields
+ * TCP candidates and candidate extensions (generation, network-id, ...) are dropped;
+ * the rest of the SDP is the same for every data-channel-only session.
+ * @param {Object} description - RTCSessionDescription {type, sdp}
+ * @returns {Object} Minified description {t, u, p, f, s, m, x, c}
+ */
+function minifySdp(description) {
+    const lines = description.sdp.split(/\r?\n/);
+    const value = (prefix) => {
+        const line = lines.find(l => l.startsWith(prefix));
+        return line ? line.substring(prefix.length).trim() : null;
+    };
+
+    const fingerprint = value('a=fingerprint:');
+    if (!fingerprint) throw new Error('Session description has no DTLS fingerprint');
+    const [hash, digest] = fingerprint.split(' ');
+
+    const candidates = lines
+        .filter(l => l.startsWith('a=candidate:'))
+        .map(l => l.substring('a=candidate:'.length).split(' '))
+        .filter(parts => parts[2].toLowerCase() === 'udp')
+        .map(parts => {
+            // foundation component protocol priority address port typ type [raddr a rport p]
+            const compact = [parts[0], parts[1], parts[3], parts[4], parts[5], parts[7]];
+            const raddr = parts.indexOf('raddr');
+            const rport = parts.indexOf('rport');
+            if (raddr !== -1 && rport !== -1) compact.push(parts[raddr + 1], parts[rport + 1]);
+            return compact.join(' ');
+        });
+
+    return {
+        t: description.type === 'offer' ? 'o' : 'a',
+        u: value('a=ice-ufrag:'),
+        p: value('a=ice-pwd:'),
+        f: hash + ' ' + digest.replace(/:/g, ''),
+        s: value('a=setup:'),
+        m: value('a=mid:') || '0',
+        x: parseInt(value('a=max-message-size:') || '262144', 10),
+        c: candidates
+    };
+}
+
+/**
+ * Rebuild a session description from its minified form
+ * @param {Object} min - Minified description from minifySdp()
+ * @returns {Object} Session description init {type, sdp}
+ */
+function expandSdp(min) {
+    const [hash, hex] = min.f.split(' ');
+    const fingerprint = hex.match(/../g).join(':').toUpperCase();
+    const sessionVersion = Math.floor(Math.random() * 1e15);
+
+    const lines = [
+        'v=0',
+        `o=- ${sessionVersion} 2 IN IP4 127.0.0.1`,
+        's=-',
+        't=0 0',
+        `a=group:BUNDLE ${min.m}`,
+        'a=msid-semantic: WMS',
+        'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+        'c=IN IP4 0.0.0.0'
+    ];
+    min.c.forEach(candidate => {
+        const [foundation, component, priority, address, port, type, raddr, rport] = candidate.split(' ');
+        let line = `a=candidate:${foundation} ${component} udp ${priority} ${address} ${port} typ ${type}`;
+        if (raddr !== undefined) line += ` raddr ${raddr} rport ${rport}`;
+        lines.push(line);
+    });
+    lines.push(
+        `a=ice-ufrag:${min.u}`,
+        `a=ice-pwd:${min.p}`,
+        `a=fingerprint:${hash} ${fingerprint}`,
+        `a=setup:${min.s}`,
+        `a=mid:${min.m}`,
+        'a=sctp-port:5000',
+        `a=max-message-size:${min.x}`,
+        'a=end-of-candidates'
+    );
+
+    return { type: min.t === 'o' ? 'offer' : 'answer', sdp: lines.join('\r\n') + '\r\n' };
+}
+
+/**
+ * Base64url helpers for binary data
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ */
+async function pipeThroughStream(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode a session description for QR exchange
+ * Uses deflate when the browser has CompressionStream; the leading character says which.
+ * @param {Object} description - RTCSessionDescription {type, sdp}
+ * @returns {Promise<string>} Payload text
+ */
+async function encodePairingPayload(description) {
+    const json = new TextEncoder().encode(JSON.stringify(minifySdp(description)));
+    if (typeof CompressionStream !== 'undefined') {
+        const compressed = await pipeThroughStream(json, new CompressionStream('deflate-raw'));
+        return 'z' + bytesToBase64Url(compressed);
+    }
+    return 'j' + bytesToBase64Url(json);
+}
+
+/**
+ * Decode a payload from encodePairingPayload()
+ * @param {string} payload - Payload text
+ * @returns {Promise<Object>} Session description init {type, sdp}
+ */
+async function decodePairingPayload(payload) {
+    let bytes = base64UrlToBytes(payload.substring(1));
+    if (payload[0] === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed pairing codes');
+        }
+        bytes = await pipeThroughStream(bytes, new DecompressionStream('deflate-raw'));
+    } else if (payload[0] !== 'j') {
+        throw new Error('Unknown pairing code format');
+    }
+    return expandSdp(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+/**
+ * Split a payload into numbered QR chunks ("CM1:2/3:...")
+ * @param {string} payload - Payload text
+ * @param {number} [size=PAIRING_CHUNK_SIZE] - Payload characters per chunk
+ * @returns {string[]} Chunks
+ */
+function splitPairingPayload(payload, size = PAIRING_CHUNK_SIZE) {
+    const count = Math.max(1, Math.ceil(payload.length / size));
+    const chunks = [];
+    for (let i = 0; i < count; i++) {
+        chunks.push(`${PAIRING_PREFIX}:${i + 1}/${count}:${payload.substring(i * size, (i + 1) * size)}`);
+    }
+    return chunks;
+}
+
+/**
+ * Pairing Chunk Collector
+ * Gathers scanned chunks in any order, ignoring repeats and unrelated QR codes
+ */
+class PairingChunkCollector {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.total = 0;
+        this.parts = new Map();
+    }
+
+    /**
+     * Add scanned text
+     * @param {string} text - QR code contents (or a pasted chunk)
+     * @returns {string|null} The full payload once every chunk is in, otherwise null
+     */
+    add(text) {
+        const match = /^CM1:(\d+)\/(\d+):(.+)$/.exec(text.trim());
+        if (!match) return null;
+        const index = parseInt(match[1], 10);
+        const total = parseInt(match[2], 10);
+        if (index < 1 || index > total) return null;
+
+        // A different chunk count means the other side started over
+        if (total !== this.total) {
+            this.reset();
+            this.total = total;
+        }
+        this.parts.set(index, match[3]);
+
+        if (this.parts.size < this.total) return null;
+        let payload = '';
+        for (let i = 1; i <= this.total; i++) payload += this.parts.get(i);
+        return payload;
+    }
+
+    /**
+     * Chunks received so far and expected
+     */
+    progress() {
+        return { received: this.parts.size, total: this.total };
+    }
+}
+
+/**
+ * QR Code Rotator
+ * Shows the chunks of a payload one after another so a camera can pick them all up
+ */
+class QrCodeRotator {
+    /**
+     * @param {HTMLElement} container - Element the codes are drawn into
+     * @param {string[]} chunks - Chunks from splitPairingPayload()
+     * @param {Object} [options]
+     * @param {number} [options.interval=1000] - Milliseconds each code stays on screen
+     * @param {number} [options.size=260] - Code size in pixels
+     */
+    constructor(container, chunks, options = {}) {
+        this.container = container;
+        this.chunks = chunks;
+        this.interval = options.interval || 1000;
+        this.size = options.size || 260;
+        this.index = 0;
+        this.timer = null;
+    }
+
+    start() {
+        this.show();
+        if (this.chunks.length > 1) {
+            this.timer = setInterval(() => {
+                this.index = (this.index + 1) % this.chunks.length;
+                this.show();
+            }, this.interval);
+        }
+    }
+
+    show() {
+        this.container.innerHTML = '';
+        if (window.QRCode) {
+            new QRCode(this.container, {
+                text: this.chunks[this.index], width: this.size, height: this.size,
+                correctLevel: 1, colorDark: '#000', colorLight: '#fff'
+            });
+        } else {
+            const notice = document.createElement('div');
+            notice.textContent = 'QR library unavailable, use the paste code';
+            this.container.appendChild(notice);
+        }
+        if (this.chunks.length > 1) {
+            const label = document.createElement('div');
+            label.textContent = `${this.index + 1} / ${this.chunks.length}`;
+            this.container.appendChild(label);
+        }
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * QR Scanner
+ * Reads QR codes from a playing video element with the BarcodeDetector API
+ */
+class QrScanner {
+    /**
+     * @param {HTMLVideoElement} video - Camera preview
+     * @param {Function} onText - Called with the text of every detected code
+     * @param {number} [interval=200] - Milliseconds between detection attempts
+     */
+    constructor(video, onText, interval = 200) {
+        this.video = video;
+        this.onText = onText;
+        this.interval = interval;
+        this.running = false;
+        this.detector = QrScanner.isSupported() ? new BarcodeDetector({ formats: ['qr_code'] }) : null;
+    }
+
+    /**
+     * Whether this browser can detect QR codes
+     */
+    static isSupported() {
+        return typeof BarcodeDetector !== 'undefined';
+    }
+
+    start() {
+        if (!this.detector) throw new Error('QR scanning is not supported in this browser');
+        this.running = true;
+        this.scan();
+    }
+
+    async scan() {
+        if (!this.running) return;
+        if (this.video.readyState >= 2) {
+            try {
+                const codes = await this.detector.detect(this.video);
+                codes.forEach(code => this.onText(code.rawValue));
+            } catch (e) {
+                console.warn('QR detection failed:', e);
+            }
+        }
+        setTimeout(() => this.scan(), this.interval);
+    }
+
+    stop() {
+        this.running = false;
+    }
+}
+
+/**
+ * Whether this page was opened to pair by QR code (?pair=qr)
+ */
+function isQrPairingUrl() {
+    return new URLSearchParams(window.location.search).get('pair') === 'qr';
+}
+
+if (typeof window !== 'undefined') {
+    window.minifySdp = minifySdp;
+    window.expandSdp = expandSdp;
+    window.encodePairingPayload = encodePairingPayload;
+    window.decodePairingPayload = decodePairingPayload;
+    window.splitPairingPayload = splitPairingPayload;
+    window.PairingChunkCollector = PairingChunkCollector;
+    window.QrCodeRotator = QrCodeRotator;
+    window.QrScanner = QrScanner;
+    window.isQrPairingUrl = isQrPairingUrl;
+}
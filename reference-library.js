@@ -0,0 +1,241 @@
+/**
+ * Reference Library
+ * Named color collections (CSS named colors built in; RAL, brand palettes or a material
+ * library loaded from JSON or CSV files) and k-nearest lookup in any color-difference metric.
+ */
+
+const referenceCore = typeof module !== 'undefined' && module.exports
+    ? { ...require('./color-matcher.js'), splitCsvLine: require('./spectral-import.js').splitCsvLine }
+    : { WHITE_POINTS, labToWhite, labToRgb, rgbToHex, parseColor, createColorMetric, splitCsvLine };
+
+const REFERENCE_STORAGE_KEY = 'referenceCollections';
+
+/**
+ * CSS Color 4 named colors (the "grey" spellings left out, they duplicate "gray")
+ */
+const CSS_NAMED_COLORS = {
+    aliceblue: '#F0F8FF', antiquewhite: '#FAEBD7', aqua: '#00FFFF', aquamarine: '#7FFFD4', azure: '#F0FFFF',
+    beige: '#F5F5DC', bisque: '#FFE4C4', black: '#000000', blanchedalmond: '#FFEBCD', blue: '#0000FF',
+    blueviolet: '#8A2BE2', brown: '#A52A2A', burlywood: '#DEB887', cadetblue: '#5F9EA0', chartreuse: '#7FFF00',
+    chocolate: '#D2691E', coral: '#FF7F50', cornflowerblue: '#6495ED', cornsilk: '#FFF8DC', crimson: '#DC143C',
+    cyan: '#00FFFF', darkblue: '#00008B', darkcyan: '#008B8B', darkgoldenrod: '#B8860B', darkgray: '#A9A9A9',
+    darkgreen: '#006400', darkkhaki: '#BDB76B', darkmagenta: '#8B008B', darkolivegreen: '#556B2F',
+    darkorange: '#FF8C00', darkorchid: '#9932CC', darkred: '#8B0000', darksalmon: '#E9967A',
+    darkseagreen: '#8FBC8F', darkslateblue: '#483D8B', darkslategray: '#2F4F4F', darkturquoise: '#00CED1',
+    darkviolet: '#9400D3', deeppink: '#FF1493', deepskyblue: '#00BFFF', dimgray: '#696969', dodgerblue: '#1E90FF',
+    firebrick: '#B22222', floralwhite: '#FFFAF0', forestgreen: '#228B22', fuchsia: '#FF00FF', gainsboro: '#DCDCDC',
+    ghostwhite: '#F8F8FF', gold: '#FFD700', goldenrod: '#DAA520', gray: '#808080', green: '#008000',
+    greenyellow: '#ADFF2F', honeydew: '#F0FFF0', hotpink: '#FF69B4', indianred: '#CD5C5C', indigo: '#4B0082',
+    ivory: '#FFFFF0', khaki: '#F0E68C', lavender: '#E6E6FA', lavenderblush: '#FFF0F5', lawngreen: '#7CFC00',
+    lemonchiffon: '#FFFACD', lightblue: '#ADD8E6', lightcoral: '#F08080', lightcyan: '#E0FFFF',
+    lightgoldenrodyellow: '#FAFAD2', lightgray: '#D3D3D3', lightgreen: '#90EE90', lightpink: '#FFB6C1',
+    lightsalmon: '#FFA07A', lightseagreen: '#20B2AA', lightskyblue: '#87CEFA', lightslategray: '#778899',
+    lightsteelblue: '#B0C4DE', lightyellow: '#FFFFE0', lime: '#00FF00', limegreen: '#32CD32', linen: '#FAF0E6',
+    magenta: '#FF00FF', maroon: '#800000', mediumaquamarine: '#66CDAA', mediumblue: '#0000CD',
+    mediumorchid: '#BA55D3', mediumpurple: '#9370DB', mediumseagreen: '#3CB371', mediumslateblue: '#7B68EE',
+    mediumspringgreen: '#00FA9A', mediumturquoise: '#48D1CC', mediumvioletred: '#C71585', midnightblue: '#191970',
+    mintcream: '#F5FFFA', mistyrose: '#FFE4E1', moccasin: '#FFE4B5', navajowhite: '#FFDEAD', navy: '#000080',
+    oldlace: '#FDF5E6', olive: '#808000', olivedrab: '#6B8E23', orange: '#FFA500', orangered: '#FF4500',
+    orchid: '#DA70D6', palegoldenrod: '#EEE8AA', palegreen: '#98FB98', paleturquoise: '#AFEEEE',
+    palevioletred: '#DB7093', papayawhip: '#FFEFD5', peachpuff: '#FFDAB9', peru: '#CD853F', pink: '#FFC0CB',
+    plum: '#DDA0DD', powderblue: '#B0E0E6', purple: '#800080', rebeccapurple: '#663399', red: '#FF0000',
+    rosybrown: '#BC8F8F', royalblue: '#4169E1', saddlebrown: '#8B4513', salmon: '#FA8072', sandybrown: '#F4A460',
+    seagreen: '#2E8B57', seashell: '#FFF5EE', sienna: '#A0522D', silver: '#C0C0C0', skyblue: '#87CEEB',
+    slateblue: '#6A5ACD', slategray: '#708090', snow: '#FFFAFA', springgreen: '#00FF7F', steelblue: '#4682B4',
+    tan: '#D2B48C', teal: '#008080', thistle: '#D8BFD8', tomato: '#FF6347', turquoise: '#40E0D0',
+    violet: '#EE82EE', wheat: '#F5DEB3', white: '#FFFFFF', whitesmoke: '#F5F5F5', yellow: '#FFFF00',
+    yellowgreen: '#9ACD32'
+};
+
+/**
+ * Fields of each row of CSV text, leaving out blank lines and # comments
+ * (a line starting with a hex color such as #FF0000 is data, not a comment)
+ */
+function csvRows(text) {
+    return text.split(/\r?\n/)
+        .filter(line => line.trim() && !/^\s*#(?![0-9a-f]{6}\s*(,|$))/i.test(line))
+        .map(referenceCore.splitCsvLine);
+}
+
+/**
+ * Rows of CSV text as objects keyed by the lower-cased header row
+ */
+function csvRecords(text) {
+    const rows = csvRows(text);
+    const header = (rows.shift() || []).map(field => field.toLowerCase());
+    return rows.map(cells => Object.fromEntries(header.map((field, i) => [field, cells[i] || ''])));
+}
+
+/**
+ * The color of a collection record: a color, hex, rgb, lab or cmyk field, as text
+ * ("62 35 70" under lab is LAB) or as an object ({l, a, b})
+ * @returns {Object|null} Parsed color {space, value, lab} (see parseColor())
+ */
+function colorFromRecord(record) {
+    for (const key of ['color', 'hex', 'rgb', 'lab', 'cmyk']) {
+        const value = record[key];
+        if (value === undefined || value === null || value === '') continue;
+        const space = key === 'color' || key === 'hex' ? null : key;
+        if (typeof value === 'object') return referenceCore.parseColor(`${space || 'rgb'}(${Object.values(value).join(' ')})`);
+        const text = String(value);
+        return referenceCore.parseColor(space && !text.includes('(') ? `${space}(${text})` : text);
+    }
+    return null;
+}
+
+/**
+ * Read a color collection file
+ * JSON: [{name, code?, color|hex|rgb|lab|cmyk}], {name: color}, or {name, whitePoint?, colors: [...]};
+ * CSV: a name column (and optionally code) with a color, hex, rgb, lab or cmyk column.
+ * LAB given for another white (e.g. "whitePoint": "D50/2") is adapted to D65.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Names the collection when the file doesn't
+ * @returns {Object} Collection {name, entries: [{name, code, hex, lab, space, value}]}
+ */
+function parseCollection(text, fileName = 'Collection') {
+    let name = fileName.replace(/\.(json|csv|txt)$/i, '');
+    let whitePoint = 'D65/2';
+    let records;
+    if (/^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) {
+            records = data;
+        } else if (Array.isArray(data.colors)) {
+            name = data.name || name;
+            whitePoint = data.whitePoint || whitePoint;
+            records = data.colors;
+        } else {
+            records = Object.entries(data).map(([key, color]) => ({ name: key, color }));
+        }
+    } else {
+        records = csvRecords(text);
+    }
+    if (!referenceCore.WHITE_POINTS[whitePoint]) throw new Error(`Unknown white point '${whitePoint}'`);
+
+    const entries = records.map((record, index) => {
+        const color = colorFromRecord(record);
+        if (!color) throw new Error(`No color in entry ${index + 1}`);
+        const lab = color.space === 'lab' && whitePoint !== 'D65/2'
+            ? referenceCore.labToWhite(color.lab, 'D65/2', { from: whitePoint })
+            : color.lab;
+        const rgb = referenceCore.labToRgb(lab.l, lab.a, lab.b);
+        return {
+            name: String(record.name || record.code || `#${index + 1}`),
+            code: record.code ? String(record.code) : null,
+            hex: referenceCore.rgbToHex(rgb.r, rgb.g, rgb.b),
+            ...color,
+            lab
+        };
+    });
+    if (entries.length === 0) throw new Error('No colors in file');
+    return { name, entries };
+}
+
+/**
+ * Reference Library Class
+ * The built-in CSS colors plus any loaded collections, each of which can be switched off.
+ */
+class ReferenceLibrary {
+    constructor() {
+        this.collections = [{
+            id: 'css',
+            name: 'CSS named colors',
+            builtIn: true,
+            enabled: true,
+            entries: parseCollection(JSON.stringify(CSS_NAMED_COLORS)).entries
+        }];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a collection
+     * @param {Object} collection - {name, entries} from parseCollection()
+     * @returns {Object} The stored collection {id, name, builtIn, enabled, entries}
+     */
+    add(collection) {
+        const stored = { id: 'r' + (this.nextId++), builtIn: false, enabled: true, ...collection };
+        this.collections.push(stored);
+        return stored;
+    }
+
+    remove(id) {
+        this.collections = this.collections.filter(collection => collection.builtIn || collection.id !== id);
+    }
+
+    setEnabled(id, enabled) {
+        const collection = this.collections.find(c => c.id === id);
+        if (collection) collection.enabled = enabled;
+    }
+
+    /**
+     * @returns {Object[]} Entries of every enabled collection, each with its `collection` name
+     */
+    entries() {
+        return this.collections
+            .filter(collection => collection.enabled)
+            .flatMap(collection => collection.entries.map(entry => ({ ...entry, collection: collection.name })));
+    }
+
+    /**
+     * The k nearest entries to a color
+     * @param {Object} lab - LAB color {l, a, b}
+     * @param {Object} [options]
+     * @param {number} [options.count=5] - How many to return
+     * @param {Function} [options.metric] - Color-difference function (e.g. a matcher's metric); CIEDE2000 by default
+     * @returns {Object[]} Entries nearest first, each with its `deltaE`
+     */
+    nearest(lab, options = {}) {
+        const metric = options.metric || referenceCore.createColorMetric();
+        return this.entries()
+            .map(entry => ({ ...entry, deltaE: metric(lab, entry.lab) }))
+            .sort((a, b) => a.deltaE - b.deltaE)
+            .slice(0, options.count || 5);
+    }
+
+    /**
+     * Remember the loaded collections and which are switched on
+     * @returns {boolean} Whether they all fit in storage
+     */
+    save() {
+        const state = {
+            disabled: this.collections.filter(c => !c.enabled).map(c => c.id),
+            collections: this.collections.filter(c => !c.builtIn)
+                .map(({ id, name, enabled, entries }) => ({ id, name, enabled, entries }))
+        };
+        try {
+            localStorage.setItem(REFERENCE_STORAGE_KEY, JSON.stringify(state));
+            return true;
+        } catch (e) {
+            console.warn('Could not store reference collections:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Bring back what save() stored
+     */
+    restore() {
+        try {
+            const state = JSON.parse(localStorage.getItem(REFERENCE_STORAGE_KEY));
+            if (!state) return;
+            state.collections.forEach(collection => {
+                this.collections.push({ ...collection, builtIn: false });
+                this.nextId = Math.max(this.nextId, parseInt(collection.id.substring(1), 10) + 1);
+            });
+            state.disabled.forEach(id => this.setEnabled(id, false));
+        } catch (e) {
+            console.warn('Could not restore reference collections:', e);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.CSS_NAMED_COLORS = CSS_NAMED_COLORS;
+    window.parseCollection = parseCollection;
+    window.ReferenceLibrary = ReferenceLibrary;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CSS_NAMED_COLORS, csvRows, csvRecords, parseCollection, ReferenceLibrary };
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Local Signaling Relay
+ * Small dependency-free HTTP relay for networks without internet access.
+ * Stores signaling records in memory and also serves the app itself, so a
+ * laptop on the lab network is all both devices need.
+ *
+ * Usage: node relay-server.js [port]    (default 8787, or $PORT)
+ * Then open http://<laptop-ip>:8787/index.html?transport=relay on the control device.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const ROOT = __dirname;
+const RECORD_TTL = 60 * 60 * 1000; // Records expire after an hour
+const MAX_BODY = 64 * 1024;
+// A pairing takes a few dozen records; this is many sessions, and bounds the memory held to roughly 64 MB
+const MAX_RECORDS = 1000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Only the app's own pages, scripts and assets are served (not .git, package.json or other folders)
+const STATIC_FILE = /^(vendor\/)?[\w-][\w.-]*\.(html|m?js|css|png|svg)$/;
+
+const records = new Map();
+
+/**
+ * Forget records older than RECORD_TTL
+ */
+function dropExpired() {
+    const cutoff = Date.now() - RECORD_TTL;
+    records.forEach((record, id) => {
+        if (record.storedAt < cutoff) records.delete(id);
+    });
+}
+
+/**
+ * Send a response with CORS headers (the app may be served from elsewhere)
+ */
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
+
+/**
+ * GET/POST /signal/<session>/<key>
+ */
+function handleSignal(req, res, sessionId, key) {
+    const id = `${sessionId}/${key}`;
+
+    if (req.method === 'GET') {
+        const record = records.get(id);
+        if (!record) {
+            send(res, 404, JSON.stringify({ error: 'not found' }));
+            return;
+        }
+        send(res, 200, record.body);
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                send(res, 413, JSON.stringify({ error: 'too large' }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                JSON.parse(body);
+            } catch (e) {
+                send(res, 400, JSON.stringify({ error: 'invalid JSON' }));
+                return;
+            }
+            if (!records.has(id) && records.size >= MAX_RECORDS) {
+                dropExpired();
+                if (records.size >= MAX_RECORDS) {
+                    send(res, 503, JSON.stringify({ error: 'relay full' }));
+                    return;
+                }
+            }
+            records.set(id, { body, storedAt: Date.now() });
+            send(res, 200, JSON.stringify({ ok: true }));
+        });
+        return;
+    }
+
+    send(res, 405, JSON.stringify({ error: 'method not allowed' }));
+}
+
+/**
+ * Serve the app's static files from this directory
+ */
+function handleStatic(req, res, pathname) {
+    const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const file = path.resolve(ROOT, relative);
+    if (!STATIC_FILE.test(relative) || !file.startsWith(ROOT + path.sep)) {
+        send(res, 403, 'Forbidden', 'text/plain');
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            send(res, 404, 'Not found', 'text/plain');
+            return;
+        }
+        send(res, 200, data, MIME_TYPES[path.extname(file)] || 'application/octet-stream');
+    });
+}
+
+/**
+ * Dispatch a request to the signaling store or the static files
+ */
+function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204, '');
+        return;
+    }
+
+    const match = url.pathname.match(/^\/signal\/([^/]+)\/([^/]+)$/);
+    if (match) {
+        handleSignal(req, res, decodeURIComponent(match[1]), decodeURIComponent(match[2]));
+        return;
+    }
+
+    if (req.method === 'GET') {
+        handleStatic(req, res, url.pathname);
+        return;
+    }
+
+    send(res, 405, JSON.stringify({ error: 'method not allowed' }));
+}
+
+const server = http.createServer((req, res) => {
+    try {
+        route(req, res);
+    } catch (e) {
+        // A malformed path (e.g. a broken %-escape) must not take the relay down
+        send(res, 400, JSON.stringify({ error: 'bad request' }));
+    }
+});
+
+setInterval(dropExpired, 60 * 1000).unref();
+
+server.listen(PORT, () => {
+    console.log(`Color Matcher relay listening on http://0.0.0.0:${PORT}`);
+    console.log(`Open http://<this-machine-ip>:${PORT}/index.html?transport=relay on the control device`);
+});
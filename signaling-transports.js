@@ -0,0 +1,419 @@
+/**
+ * Signaling Transports
+ * Interchangeable stores the two devices use to exchange SDP and ICE candidates
+ * before the peer-to-peer data channel is up
+ */
+
+const SIGNALING_SETTINGS_KEY = 'signalingSettings';
+
+/**
+ * Signaling Transport Base Class
+ * Subclasses implement put() and get() for a session-scoped key/value store;
+ * SDP and ICE exchange are built on top of those two operations
+ */
+class SignalingTransport {
+    /**
+     * Store a value for a session
+     * @param {string} sessionId - Session ID
+     * @param {string} key - Record name (e.g. 'offer', 'ice-offerer')
+     * @param {Object} value - JSON-serializable value
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    async put(sessionId, key, value) {
+        throw new Error('put() not implemented');
+    }
+
+    /**
+     * Read a value for a session
+     * @param {string} sessionId - Session ID
+     * @param {string} key - Record name
+     * @returns {Promise<Object|null>} Stored value, or null if there is none
+     */
+    async get(sessionId, key) {
+        throw new Error('get() not implemented');
+    }
+
+    /**
+     * Publish an offer or answer
+     */
+    async putSdp(sessionId, type, sdp) {
+        return this.put(sessionId, type, {
+            type: type,
+            sdp: encodeSdp(sdp),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Read an offer or answer.
+     * Retries a few times to handle propagation delay or transient failures.
+     */
+    async getSdp(sessionId, type, maxRetries = 5) {
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                const content = await this.get(sessionId, type);
+                const sdpEncoded = content && (content.sdp || content.offer);
+                if (sdpEncoded) {
+                    return decodeSdp(sdpEncoded);
+                }
+            } catch (err) {
+                console.warn('Signaling fetch attempt ' + attempt + ' failed:', err.message);
+            }
+            if (attempt < maxRetries) {
+                await new Promise(r => setTimeout(r, 1500));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Release any resources held by the transport
+     */
+    close() {}
+}
+
+/** CORS proxy when dweet.cc is blocked from browser (e.g. GitHub Pages). */
+function dweetProxyUrl(url) {
+    return 'https://corsproxy.org/?' + encodeURIComponent(url);
+}
+
+/**
+ * dweet.cc Transport
+ * Public internet store; tries direct requests, then the CORS proxy if blocked
+ */
+class DweetTransport extends SignalingTransport {
+    thingName(sessionId, key) {
+        return `colormatch-${encodeURIComponent(sessionId)}-${key}`;
+    }
+
+    async request(url, opts) {
+        try {
+            return await fetch(url, opts);
+        } catch (err) {
+            return await fetch(dweetProxyUrl(url), opts);
+        }
+    }
+
+    async put(sessionId, key, value) {
+        try {
+            const response = await this.request(`https://dweet.cc/dweet/for/${this.thingName(sessionId, key)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(value)
+            });
+            if (!response.ok) throw new Error('Failed to store on dweet.cc');
+            return true;
+        } catch (err) {
+            console.error('Error storing on dweet.cc:', err);
+            return false;
+        }
+    }
+
+    async get(sessionId, key) {
+        const response = await this.request(`https://dweet.cc/get/latest/dweet/for/${this.thingName(sessionId, key)}`);
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        const dweet = (data.with && data.with[0]) ? data.with[0] : data;
+        const content = (dweet && dweet.content) ? dweet.content : dweet;
+        if (content && typeof content === 'object' && content.timestamp === undefined && dweet.created) {
+            content.timestamp = Date.parse(dweet.created);
+        }
+        return content || null;
+    }
+}
+
+/**
+ * Local Relay Transport
+ * Talks to relay-server.js running on a machine both devices can reach (no internet needed)
+ */
+class RelayTransport extends SignalingTransport {
+    /**
+     * @param {string} baseUrl - Relay address, e.g. "http://192.168.1.20:8787"
+     */
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    url(sessionId, key) {
+        return `${this.baseUrl}/signal/${encodeURIComponent(sessionId)}/${encodeURIComponent(key)}`;
+    }
+
+    async put(sessionId, key, value) {
+        try {
+            const response = await fetch(this.url(sessionId, key), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(value)
+            });
+            return response.ok;
+        } catch (err) {
+            console.error('Error storing on relay:', err);
+            return false;
+        }
+    }
+
+    async get(sessionId, key) {
+        const response = await fetch(this.url(sessionId, key));
+        if (response.status === 404 || !response.ok) return null;
+        return await response.json();
+    }
+}
+
+/**
+ * BroadcastChannel Transport
+ * Two tabs of the same browser on one machine. Each tab keeps what it has seen and
+ * answers requests for it, so a tab opened later still finds the offer.
+ */
+class BroadcastChannelTransport extends SignalingTransport {
+    /**
+     * @param {string} [channelName='colormatch-signaling'] - BroadcastChannel name
+     * @param {number} [timeout=500] - Milliseconds to wait for another tab to answer a request
+     */
+    constructor(channelName = 'colormatch-signaling', timeout = 500) {
+        super();
+        this.values = new Map();
+        this.pending = new Map();
+        this.timeout = timeout;
+        this.channel = new BroadcastChannel(channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        if (message.kind === 'put') {
+            this.values.set(message.key, message.value);
+        } else if (message.kind === 'get' && this.values.has(message.key)) {
+            this.channel.postMessage({
+                kind: 'value',
+                requestId: message.requestId,
+                key: message.key,
+                value: this.values.get(message.key)
+            });
+        } else if (message.kind === 'value' && this.pending.has(message.requestId)) {
+            this.values.set(message.key, message.value);
+            this.pending.get(message.requestId)(message.value);
+            this.pending.delete(message.requestId);
+        }
+    }
+
+    async put(sessionId, key, value) {
+        const fullKey = `${sessionId}/${key}`;
+        this.values.set(fullKey, value);
+        this.channel.postMessage({ kind: 'put', key: fullKey, value: value });
+        return true;
+    }
+
+    async get(sessionId, key) {
+        const fullKey = `${sessionId}/${key}`;
+        // Puts are broadcast, so a cached value is already the latest one
+        if (this.values.has(fullKey)) {
+            return this.values.get(fullKey);
+        }
+        const requestId = Math.random().toString(36).substring(2);
+
+        return new Promise((resolve) => {
+            this.pending.set(requestId, resolve);
+            this.channel.postMessage({ kind: 'get', key: fullKey, requestId: requestId });
+            setTimeout(() => {
+                if (this.pending.has(requestId)) {
+                    this.pending.delete(requestId);
+                    resolve(this.values.has(fullKey) ? this.values.get(fullKey) : null);
+                }
+            }, this.timeout);
+        });
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+/**
+ * Convert an RTCIceCandidate to a plain object for storage
+ */
+function serializeIceCandidate(candidate) {
+    return {
+        candidate: candidate.candidate || candidate,
+        sdpMLineIndex: candidate.sdpMLineIndex !== undefined ? candidate.sdpMLineIndex : null,
+        sdpMid: candidate.sdpMid || null
+    };
+}
+
+/**
+ * ICE Candidate Exchange
+ * Trickles candidates through a transport without losing any. Each candidate gets its
+ * own record keyed by sequence number ('ice-offerer-0', 'ice-offerer-1', ...), and a
+ * count record ('ice-offerer-count') says how many exist and whether gathering is done.
+ */
+class IceCandidateExchange {
+    /**
+     * @param {SignalingTransport} transport - Signaling transport
+     * @param {string} sessionId - Session ID
+     * @param {boolean} isOfferer - Whether the local side created the offer
+     */
+    constructor(transport, sessionId, isOfferer) {
+        this.transport = transport;
+        this.sessionId = sessionId;
+        this.localSide = isOfferer ? 'offerer' : 'answerer';
+        this.remoteSide = isOfferer ? 'answerer' : 'offerer';
+        this.sent = 0;
+        this.applied = 0;
+        this.remoteComplete = false;
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Publish a local candidate, or null for end-of-candidates.
+     * Writes are serialized so the count record never runs ahead of the candidates.
+     * @returns {Promise<boolean>} Whether the write succeeded
+     */
+    send(candidate) {
+        const write = async () => {
+            if (candidate) {
+                const seq = this.sent;
+                const stored = await this.putWithRetry(`ice-${this.localSide}-${seq}`, {
+                    candidate: serializeIceCandidate(candidate),
+                    timestamp: Date.now()
+                });
+                if (!stored) return false;
+                this.sent = seq + 1;
+            }
+            return this.putWithRetry(`ice-${this.localSide}-count`, {
+                count: this.sent,
+                complete: !candidate,
+                timestamp: Date.now()
+            });
+        };
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => false);
+        return result;
+    }
+
+    async putWithRetry(key, value, attempts = 3) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                if (await this.transport.put(this.sessionId, key, value)) return true;
+            } catch (err) {
+                console.warn('Storing ' + key + ' failed:', err.message);
+            }
+            if (attempt < attempts) await new Promise(r => setTimeout(r, 500 * attempt));
+        }
+        console.error('Giving up on storing ' + key);
+        return false;
+    }
+
+    /**
+     * Fetch every remote candidate not returned before, in order.
+     * A null entry at the end means the other side finished gathering (returned once).
+     * @returns {Promise<Array<Object|null>>} Candidate inits for addIceCandidate()
+     */
+    async fetchNew() {
+        if (this.remoteComplete) return [];
+        const candidates = [];
+        try {
+            const status = await this.transport.get(this.sessionId, `ice-${this.remoteSide}-count`);
+            if (!status) return candidates;
+
+            while (this.applied < status.count) {
+                const record = await this.transport.get(this.sessionId, `ice-${this.remoteSide}-${this.applied}`);
+                // Not visible yet (store still propagating); pick it up on the next fetch
+                if (!record || !record.candidate) break;
+                candidates.push(record.candidate);
+                this.applied++;
+            }
+            if (status.complete && this.applied >= status.count) {
+                this.remoteComplete = true;
+                candidates.push(null);
+            }
+        } catch (err) {
+            console.error('Error retrieving ICE candidates:', err);
+        }
+        return candidates;
+    }
+}
+
+/**
+ * Available transports for the settings screen
+ */
+const SIGNALING_TRANSPORTS = {
+    dweet: { label: 'dweet.cc (internet)' },
+    relay: { label: 'Local relay server' },
+    local: { label: 'Same browser (two tabs)' },
+    qr: { label: 'QR codes only (offline, no server)', manual: true }
+};
+
+/**
+ * Read the signaling settings: URL parameters first (?transport=relay&relay=http://host:8787),
+ * then the saved settings, then dweet.cc
+ * @returns {Object} Settings {transport, relayUrl}
+ */
+function getSignalingSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(SIGNALING_SETTINGS_KEY)) || {};
+    } catch (e) {
+        console.warn('Ignoring unreadable signaling settings:', e);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const transport = params.get('transport') || saved.transport || 'dweet';
+    const relayUrl = params.get('relay') || saved.relayUrl || window.location.origin;
+    return {
+        transport: SIGNALING_TRANSPORTS[transport] ? transport : 'dweet',
+        relayUrl: relayUrl
+    };
+}
+
+/**
+ * Save signaling settings for future sessions
+ */
+function saveSignalingSettings(settings) {
+    localStorage.setItem(SIGNALING_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Create the transport for a set of settings
+ * @param {Object} settings - Settings from getSignalingSettings()
+ * @returns {SignalingTransport} Transport
+ */
+function createSignalingTransport(settings) {
+    if (SIGNALING_TRANSPORTS[settings.transport] && SIGNALING_TRANSPORTS[settings.transport].manual) {
+        throw new Error('QR pairing exchanges descriptions directly and has no signaling store');
+    }
+    if (settings.transport === 'relay') {
+        return new RelayTransport(settings.relayUrl);
+    }
+    if (settings.transport === 'local') {
+        return new BroadcastChannelTransport();
+    }
+    return new DweetTransport();
+}
+
+/**
+ * URL parameters that make the other device use the same transport
+ * @param {Object} settings - Settings from getSignalingSettings()
+ * @returns {string} Query string fragment starting with '&', or '' for the default
+ */
+function signalingUrlParams(settings) {
+    if (settings.transport === 'relay') {
+        return '&transport=relay&relay=' + encodeURIComponent(settings.relayUrl);
+    }
+    if (settings.transport !== 'dweet') {
+        return '&transport=' + encodeURIComponent(settings.transport);
+    }
+    return '';
+}
+
+if (typeof window !== 'undefined') {
+    window.SignalingTransport = SignalingTransport;
+    window.DweetTransport = DweetTransport;
+    window.RelayTransport = RelayTransport;
+    window.BroadcastChannelTransport = BroadcastChannelTransport;
+    window.IceCandidateExchange = IceCandidateExchange;
+    window.SIGNALING_TRANSPORTS = SIGNALING_TRANSPORTS;
+    window.getSignalingSettings = getSignalingSettings;
+    window.saveSignalingSettings = saveSignalingSettings;
+    window.createSignalingTransport = createSignalingTransport;
+    window.signalingUrlParams = signalingUrlParams;
+}
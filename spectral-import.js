@@ -0,0 +1,502 @@
+/**
+ * Spectral Import
+ * Reads spectrophotometer measurements (CGATS/IT8 text, CxF XML, CSV of reflectance) and
+ * computes their XYZ and LAB under a chosen illuminant and observer, so an instrument
+ * reading can stand in for the camera as the matching target.
+ */
+
+const spectralCore = typeof module !== 'undefined' && module.exports
+    ? require('./color-matcher.js')
+    : { WHITE_POINTS, adaptXyz, xyzToLab, labToXyz };
+
+/**
+ * Wavelength grid every computation runs on (nm)
+ */
+const SPECTRAL_START = 380;
+const SPECTRAL_END = 780;
+const SPECTRAL_STEP = 10;
+
+/**
+ * CIE standard observers: color-matching functions [x̄, ȳ, z̄] at 10 nm from 380 to 780 nm
+ */
+const OBSERVERS = {
+    2: {
+        label: '2° (CIE 1931)',
+        cmf: [
+            [0.001368, 0.000039, 0.006450], [0.004243, 0.000120, 0.020050], [0.014310, 0.000396, 0.067850],
+            [0.043510, 0.001210, 0.207400], [0.134380, 0.004000, 0.645600], [0.283900, 0.011600, 1.385600],
+            [0.348280, 0.023000, 1.747060], [0.336200, 0.038000, 1.772110], [0.290800, 0.060000, 1.669200],
+            [0.195360, 0.090980, 1.287640], [0.095640, 0.139020, 0.812950], [0.032010, 0.208020, 0.465180],
+            [0.004900, 0.323000, 0.272000], [0.009300, 0.503000, 0.158200], [0.063270, 0.710000, 0.078250],
+            [0.165500, 0.862000, 0.042160], [0.290400, 0.954000, 0.020300], [0.433450, 0.994950, 0.008750],
+            [0.594500, 0.995000, 0.003900], [0.762100, 0.952000, 0.002100], [0.916300, 0.870000, 0.001650],
+            [1.026300, 0.757000, 0.001100], [1.062200, 0.631000, 0.000800], [1.002600, 0.503000, 0.000340],
+            [0.854450, 0.381000, 0.000190], [0.642400, 0.265000, 0.000050], [0.447900, 0.175000, 0.000020],
+            [0.283500, 0.107000, 0.000000], [0.164900, 0.061000, 0], [0.087400, 0.032000, 0],
+            [0.046770, 0.017000, 0], [0.022700, 0.008210, 0], [0.011359, 0.004102, 0],
+            [0.005790, 0.002091, 0], [0.002899, 0.001047, 0], [0.001440, 0.000520, 0],
+            [0.000690, 0.000249, 0], [0.000332, 0.000120, 0], [0.000166, 0.000060, 0],
+            [0.000083, 0.000030, 0], [0.000042, 0.000015, 0]
+        ]
+    },
+    10: {
+        label: '10° (CIE 1964)',
+        cmf: [
+            [0.000160, 0.000017, 0.000705], [0.002362, 0.000253, 0.010482], [0.019110, 0.002004, 0.086011],
+            [0.084736, 0.008756, 0.389366], [0.204492, 0.021391, 0.972542], [0.314679, 0.038676, 1.553480],
+            [0.383734, 0.062077, 1.967280], [0.370702, 0.089456, 1.994800], [0.302273, 0.128201, 1.745370],
+            [0.195618, 0.185190, 1.317560], [0.080507, 0.253589, 0.772125], [0.016172, 0.339133, 0.415254],
+            [0.003816, 0.460777, 0.218502], [0.037465, 0.606741, 0.112044], [0.117749, 0.761757, 0.060709],
+            [0.236491, 0.875211, 0.030451], [0.376772, 0.961988, 0.013676], [0.529826, 0.991761, 0.003988],
+            [0.705224, 0.997340, 0], [0.878655, 0.955552, 0], [1.014160, 0.868934, 0],
+            [1.118520, 0.777405, 0], [1.123990, 0.658341, 0], [1.030480, 0.527963, 0],
+            [0.856297, 0.398057, 0], [0.647467, 0.283493, 0], [0.431567, 0.179828, 0],
+            [0.268329, 0.107633, 0], [0.152568, 0.060281, 0], [0.081261, 0.031800, 0],
+            [0.040851, 0.015905, 0], [0.019941, 0.007749, 0], [0.009577, 0.003718, 0],
+            [0.004553, 0.001768, 0], [0.002175, 0.000846, 0], [0.001045, 0.000407, 0],
+            [0.000508, 0.000199, 0], [0.000251, 0.000098, 0], [0.000126, 0.000050, 0],
+            [0.000065, 0.000025, 0], [0.000033, 0.000013, 0]
+        ]
+    }
+};
+
+/**
+ * CIE daylight basis functions [S0, S1, S2] at 10 nm from 380 to 780 nm
+ */
+const DAYLIGHT_BASIS = [
+    [63.4, 38.5, 3.0], [65.8, 35.0, 1.2], [94.8, 43.4, -1.1], [104.8, 46.3, -0.5], [105.9, 43.9, -0.7],
+    [96.8, 37.1, -1.2], [113.9, 36.7, -2.6], [125.6, 35.9, -2.9], [125.5, 32.6, -2.8], [121.3, 27.9, -2.6],
+    [121.3, 24.3, -2.6], [113.5, 20.1, -1.8], [113.1, 16.2, -1.5], [110.8, 13.2, -1.3], [106.5, 8.6, -1.2],
+    [108.8, 6.1, -1.0], [105.3, 4.2, -0.5], [104.4, 1.9, -0.3], [100.0, 0.0, 0.0], [96.0, -1.6, 0.2],
+    [95.1, -3.5, 0.5], [89.1, -3.5, 2.1], [90.5, -5.8, 3.2], [90.3, -7.2, 4.1], [88.4, -8.6, 4.7],
+    [84.0, -9.5, 5.1], [85.1, -10.9, 6.7], [81.9, -10.7, 7.3], [82.6, -12.0, 8.6], [84.9, -14.0, 9.8],
+    [81.3, -13.6, 10.2], [71.9, -12.0, 8.3], [74.3, -13.3, 9.6], [76.4, -12.9, 8.5], [63.3, -10.6, 7.0],
+    [71.7, -11.6, 7.6], [77.0, -12.2, 8.0], [65.2, -10.2, 6.7], [47.7, -7.8, 5.2], [68.6, -11.2, 7.4],
+    [65.0, -10.4, 6.8]
+];
+
+/**
+ * Wavelengths of the grid (nm)
+ */
+function spectralWavelengths() {
+    const wavelengths = [];
+    for (let wl = SPECTRAL_START; wl <= SPECTRAL_END; wl += SPECTRAL_STEP) wavelengths.push(wl);
+    return wavelengths;
+}
+
+/**
+ * CIE daylight spectrum for a correlated color temperature (CIE 15 method)
+ * @param {number} cct - Correlated color temperature in K (4000-25000)
+ * @returns {number[]} Relative power on the grid (100 at 560 nm)
+ */
+function daylightSpd(cct) {
+    const t = cct;
+    const x = t <= 7000
+        ? -4.6070e9 / (t * t * t) + 2.9678e6 / (t * t) + 0.09911e3 / t + 0.244063
+        : -2.0064e9 / (t * t * t) + 1.9018e6 / (t * t) + 0.24748e3 / t + 0.237040;
+    const y = -3.000 * x * x + 2.870 * x - 0.275;
+    const m = 0.0241 + 0.2562 * x - 0.7341 * y;
+    // The published tables round the weights to three decimals
+    const m1 = Math.round((-1.3515 - 1.7703 * x + 5.9114 * y) / m * 1000) / 1000;
+    const m2 = Math.round((0.0300 - 31.4424 * x + 30.0717 * y) / m * 1000) / 1000;
+    return DAYLIGHT_BASIS.map(([s0, s1, s2]) => s0 + m1 * s1 + m2 * s2);
+}
+
+/**
+ * Planckian radiator, as CIE illuminant A is defined
+ * @param {number} temperature - Temperature in K
+ * @returns {number[]} Relative power on the grid (100 at 560 nm)
+ */
+function planckianSpd(temperature) {
+    const c2 = 1.435e7;  // nm·K, the value illuminant A was defined with
+    return spectralWavelengths().map(wl =>
+        100 * Math.pow(560 / wl, 5) * (Math.exp(c2 / (temperature * 560)) - 1) / (Math.exp(c2 / (temperature * wl)) - 1));
+}
+
+/**
+ * CIE fluorescent illuminants at 5 nm from 380 to 780 nm (CIE 15 tables)
+ */
+const FLUORESCENT_SPDS = {
+    F2: [
+        1.18, 1.48, 1.84, 2.15, 3.44, 15.69, 3.85, 3.74, 4.19, 4.62,
+        5.06, 34.98, 11.81, 6.27, 6.63, 6.93, 7.19, 7.40, 7.54, 7.62,
+        7.65, 7.62, 7.62, 7.45, 7.28, 7.15, 7.05, 7.04, 7.16, 7.47,
+        8.04, 8.88, 10.01, 24.88, 16.64, 14.59, 16.16, 17.56, 18.62, 21.47,
+        22.79, 19.29, 18.66, 17.73, 16.54, 15.21, 13.80, 12.36, 10.95, 9.65,
+        8.40, 7.32, 6.31, 5.43, 4.68, 4.02, 3.45, 2.96, 2.55, 2.19,
+        1.89, 1.64, 1.53, 1.27, 1.10, 0.99, 0.88, 0.76, 0.68, 0.61,
+        0.56, 0.54, 0.51, 0.47, 0.47, 0.43, 0.46, 0.47, 0.40, 0.33,
+        0.27
+    ],
+    F11: [
+        0.91, 0.63, 0.46, 0.37, 1.29, 12.68, 1.59, 1.79, 2.46, 3.33,
+        4.49, 33.94, 12.13, 6.95, 7.19, 7.12, 6.72, 6.13, 5.46, 4.79,
+        5.66, 14.29, 14.96, 8.97, 4.72, 2.33, 1.47, 1.10, 0.89, 0.83,
+        1.18, 4.90, 39.59, 72.84, 32.61, 7.52, 2.83, 1.96, 1.67, 4.43,
+        11.28, 14.76, 12.73, 9.74, 7.33, 9.72, 55.27, 42.58, 13.18, 13.16,
+        12.26, 5.11, 2.07, 2.34, 3.58, 3.01, 2.48, 2.14, 1.54, 1.33,
+        1.46, 1.94, 2.00, 1.20, 1.35, 4.10, 5.58, 2.51, 0.57, 0.27,
+        0.23, 0.21, 0.24, 0.24, 0.20, 0.24, 0.32, 0.26, 0.16, 0.12,
+        0.09
+    ]
+};
+
+/**
+ * Fluorescent spectrum on the grid. The mercury lines are narrower than the grid, so each
+ * 10 nm value is the triangle-weighted mean of its 5 nm neighbours rather than a sample,
+ * which would drop or double the lines depending on where they fall. Even so the whites
+ * come out up to about 0.7 ΔE from the CIE's 5 nm values, against 0.1 for smooth spectra.
+ * @param {string} id - Key of FLUORESCENT_SPDS
+ * @returns {number[]} Relative power on the grid
+ */
+function fluorescentSpd(id) {
+    const table = FLUORESCENT_SPDS[id];
+    return spectralWavelengths().map((wl, i) => {
+        const j = 2 * i;
+        const below = j > 0 ? table[j - 1] : table[j];
+        const above = j < table.length - 1 ? table[j + 1] : table[j];
+        return 0.25 * below + 0.5 * table[j] + 0.25 * above;
+    });
+}
+
+/**
+ * Illuminants a measurement can be evaluated under
+ */
+const ILLUMINANTS = {
+    D65: { label: 'D65 (daylight)', spd: () => daylightSpd(6504) },
+    D50: { label: 'D50 (graphic arts)', spd: () => daylightSpd(5003) },
+    D55: { label: 'D55', spd: () => daylightSpd(5503) },
+    D75: { label: 'D75 (north sky)', spd: () => daylightSpd(7504) },
+    A: { label: 'A (tungsten)', spd: () => planckianSpd(2848) },
+    F2: { label: 'F2 (cool white fluorescent)', spd: () => fluorescentSpd('F2') },
+    F11: { label: 'F11 (narrow-band fluorescent)', spd: () => fluorescentSpd('F11') }
+};
+
+/**
+ * Resample a spectrum onto the 10 nm grid: linear between samples, end values held beyond the
+ * measured range (as ASTM E308 recommends for instruments that stop at 400 or 700 nm)
+ * @param {Object} spectrum - {start, step, values} in nm; reflectance 0-1
+ * @returns {number[]} Reflectance on the grid
+ */
+function resampleSpectrum(spectrum) {
+    const { start, step, values } = spectrum;
+    const last = values.length - 1;
+    return spectralWavelengths().map(wl => {
+        const position = (wl - start) / step;
+        if (position <= 0) return values[0];
+        if (position >= last) return values[last];
+        const i = Math.floor(position);
+        const t = position - i;
+        return values[i] * (1 - t) + values[i + 1] * t;
+    });
+}
+
+/**
+ * Tristimulus values of a reflectance spectrum
+ * @param {Object} spectrum - {start, step, values} in nm; reflectance 0-1
+ * @param {Object} [options]
+ * @param {string} [options.illuminant='D65'] - Key of ILLUMINANTS
+ * @param {number|string} [options.observer=2] - Key of OBSERVERS
+ * @returns {Object} {x, y, z, white} with white the illuminant's own XYZ (Y = 100)
+ */
+function spectrumToXyz(spectrum, options = {}) {
+    const illuminant = ILLUMINANTS[options.illuminant || 'D65'];
+    const observer = OBSERVERS[options.observer || 2];
+    if (!illuminant) throw new Error(`Unknown illuminant '${options.illuminant}'`);
+    if (!observer) throw new Error(`Unknown observer '${options.observer}'`);
+
+    const spd = illuminant.spd();
+    const reflectance = resampleSpectrum(spectrum);
+    const sample = [0, 0, 0];
+    const white = [0, 0, 0];
+    observer.cmf.forEach((cmf, i) => {
+        for (let c = 0; c < 3; c++) {
+            white[c] += spd[i] * cmf[c];
+            sample[c] += spd[i] * cmf[c] * reflectance[i];
+        }
+    });
+    const k = 100 / white[1];
+    return {
+        x: sample[0] * k,
+        y: sample[1] * k,
+        z: sample[2] * k,
+        white: { x: white[0] * k, y: 100, z: white[2] * k }
+    };
+}
+
+/**
+ * Everything the app shows for a measurement, under an illuminant and observer
+ * @param {Object} measurement - From parseMeasurements(): {name, spectrum?, lab?, whitePoint?}
+ * @param {Object} [options]
+ * @param {string} [options.illuminant='D65'] - Key of ILLUMINANTS
+ * @param {number|string} [options.observer=2] - Key of OBSERVERS
+ * @param {string} [options.adaptation='bradford'] - Key of CHROMATIC_ADAPTATIONS
+ * @returns {Object} {xyz, lab, targetLab, approximate}: XYZ and LAB under the chosen light, and
+ *   targetLab, the D65 / 2° LAB of the color as it appears under that light, for matching on the
+ *   screen; approximate when 10° LAB without a spectrum had to stand in for 2°
+ */
+function evaluateMeasurement(measurement, options = {}) {
+    const d65 = spectralCore.WHITE_POINTS['D65/2'];
+    const method = options.adaptation || 'bradford';
+    if (!measurement.spectrum) {
+        // Colorimetric data only: it stays under the light it was measured for
+        const white = spectralCore.WHITE_POINTS[measurement.whitePoint || 'D50/2'];
+        const lab = { ...measurement.lab };
+        const xyz = spectralCore.labToXyz(lab.l, lab.a, lab.b, white);
+        // Adaptation can't change the observer, so 10° LAB without a spectrum is only approximately 2°
+        const adapted = spectralCore.adaptXyz(xyz, white, d65, method);
+        return { xyz, lab, targetLab: spectralCore.xyzToLab(adapted.x, adapted.y, adapted.z), approximate: white.observer !== 2 };
+    }
+
+    const { white, ...xyz } = spectrumToXyz(measurement.spectrum, options);
+    // The screen is matched for the 2° observer, whichever observer the values are reported for
+    const { white: white2, ...xyz2 } = String(options.observer || 2) === '2'
+        ? { white, ...xyz }
+        : spectrumToXyz(measurement.spectrum, { ...options, observer: 2 });
+    const adapted = spectralCore.adaptXyz(xyz2, white2, d65, method);
+    return {
+        xyz,
+        lab: spectralCore.xyzToLab(xyz.x, xyz.y, xyz.z, white),
+        targetLab: spectralCore.xyzToLab(adapted.x, adapted.y, adapted.z)
+    };
+}
+
+/**
+ * Percent reflectance (any value above 1.5) scaled to 0-1
+ */
+function normalizeReflectance(values) {
+    return values.some(v => v > 1.5) ? values.map(v => v / 100) : values;
+}
+
+/**
+ * Spectrum from wavelength → value pairs: at least 3, evenly spaced
+ */
+function spectrumFromPairs(pairs) {
+    pairs.sort((a, b) => a[0] - b[0]);
+    if (pairs.length < 3) throw new Error(`A spectrum needs at least 3 bands, found ${pairs.length}`);
+    const step = pairs[1][0] - pairs[0][0];
+    if (!(step > 0) || pairs.some(([wl], i) => wl !== pairs[0][0] + i * step)) {
+        throw new Error('Spectral bands must be evenly spaced');
+    }
+    return { start: pairs[0][0], step, values: normalizeReflectance(pairs.map(pair => pair[1])) };
+}
+
+/**
+ * Fields of a CSV line; quoted fields may hold commas
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted && c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = !quoted;
+        else if (c === ',' && !quoted) { fields.push(field.trim()); field = ''; }
+        else field += c;
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Whitespace-separated CGATS tokens; quoted strings may hold spaces
+ */
+function cgatsTokens(text) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    return tokens;
+}
+
+/**
+ * CGATS.17 / IT8 text: one measurement per data set, with SPECTRAL_NMxxx fields (any of the
+ * usual spellings) or, without spectra, LAB_L/LAB_A/LAB_B (D50 / 2°, the ISO 13655 default)
+ */
+function parseCgats(text) {
+    const format = text.match(/BEGIN_DATA_FORMAT([\s\S]*?)END_DATA_FORMAT/);
+    const data = text.match(/BEGIN_DATA\b(?!_FORMAT)([\s\S]*?)END_DATA\b/);
+    if (!format || !data) throw new Error('No data in CGATS file');
+
+    const fields = cgatsTokens(format[1]).map(field => field.toUpperCase());
+    const values = cgatsTokens(data[1]);
+    const spectral = fields
+        .map((field, index) => ({ index, match: field.match(/^(?:SPECTRAL_?NM_?|SPECTRAL_|NM_?|R_?)(\d{3})$/) }))
+        .filter(field => field.match)
+        .map(field => ({ index: field.index, wavelength: parseInt(field.match[1], 10) }));
+    const column = name => fields.indexOf(name);
+    const nameColumn = [column('SAMPLE_NAME'), column('SAMPLE_ID')].find(index => index !== -1);
+
+    const measurements = [];
+    for (let offset = 0; offset + fields.length <= values.length; offset += fields.length) {
+        const row = values.slice(offset, offset + fields.length);
+        const name = nameColumn !== undefined ? row[nameColumn] : `#${measurements.length + 1}`;
+        if (spectral.length > 0) {
+            measurements.push({ name, spectrum: spectrumFromPairs(spectral.map(s => [s.wavelength, parseFloat(row[s.index])])) });
+        } else if (column('LAB_L') !== -1) {
+            const [l, a, b] = ['LAB_L', 'LAB_A', 'LAB_B'].map(field => parseFloat(row[column(field)]));
+            measurements.push({ name, lab: { l, a, b }, whitePoint: 'D50/2' });
+        }
+    }
+    return measurements;
+}
+
+/**
+ * CxF3 XML: each Object's ReflectanceSpectrum, with the wavelength range of its
+ * ColorSpecification; objects with only ColorCIELab keep that, in their specification's white
+ */
+function parseCxf(text) {
+    const tag = name => `<(?:[\\w-]+:)?${name}\\b([^>]*)>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${name}>`;
+    const attribute = (attributes, name) => {
+        const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+        return match ? match[1] : null;
+    };
+
+    const specifications = {};
+    const specPattern = new RegExp(tag('ColorSpecification'), 'g');
+    let match;
+    while ((match = specPattern.exec(text)) !== null) {
+        const range = match[2].match(/<(?:[\w-]+:)?WavelengthRange\b([^>]*)\/?>/);
+        const illuminant = match[2].match(/<(?:[\w-]+:)?Illuminant>([^<]*)</);
+        const observer = match[2].match(/<(?:[\w-]+:)?Observer>(\d+)/);
+        specifications[attribute(match[1], 'Id')] = {
+            start: range ? parseFloat(attribute(range[1], 'StartWL')) : null,
+            step: range ? parseFloat(attribute(range[1], 'Increment')) : null,
+            whitePoint: illuminant ? `${illuminant[1].trim()}/${observer ? observer[1] : 2}` : null
+        };
+    }
+
+    const measurements = [];
+    const objectPattern = new RegExp(tag('Object'), 'g');
+    while ((match = objectPattern.exec(text)) !== null) {
+        const name = attribute(match[1], 'Name') || attribute(match[1], 'Id') || `#${measurements.length + 1}`;
+        const spectrum = match[2].match(new RegExp(tag('ReflectanceSpectrum')));
+        const lab = match[2].match(new RegExp(tag('ColorCIELab')));
+        if (spectrum) {
+            const spec = specifications[attribute(spectrum[1], 'ColorSpecification')] || {};
+            const start = parseFloat(attribute(spectrum[1], 'StartWL')) || spec.start || 380;
+            const step = spec.step || 10;
+            const values = spectrum[2].trim().split(/\s+/).map(parseFloat);
+            measurements.push({ name, spectrum: { start, step, values: normalizeReflectance(values) } });
+        } else if (lab) {
+            const spec = specifications[attribute(lab[1], 'ColorSpecification')] || {};
+            const [l, a, b] = ['L', 'A', 'B'].map(axis => parseFloat((lab[2].match(new RegExp(tag(axis))) || [])[2]));
+            const whitePoint = spectralCore.WHITE_POINTS[spec.whitePoint] ? spec.whitePoint : 'D50/2';
+            measurements.push({ name, lab: { l, a, b }, whitePoint });
+        }
+    }
+    return measurements;
+}
+
+/**
+ * CSV of reflectance: a row per sample with wavelength columns ("name,400,410,…"), or a
+ * column per sample with wavelengths down the first column ("nm,Red,Blue").
+ * A value that is missing or not a number is an error naming its line.
+ */
+function parseSpectralCsv(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() && !line.trim().startsWith('#')) lines.push({ number: index + 1, cells: splitCsvLine(line) });
+    });
+    if (lines.length < 2) throw new Error('No data in CSV file');
+    const header = lines.shift().cells;
+    const number = (line, index) => {
+        const value = parseFloat(line.cells[index]);
+        if (!Number.isFinite(value)) throw new Error(`Line ${line.number} of the CSV has no number in column ${index + 1}`);
+        return value;
+    };
+    const wavelength = field => {
+        const match = String(field).match(/^\D*?(\d{3})(?:\s*nm)?$/i);
+        return match ? parseInt(match[1], 10) : null;
+    };
+
+    const bands = header.map((field, index) => ({ index, wavelength: wavelength(field) }))
+        .filter(band => band.wavelength >= 300 && band.wavelength <= 830);
+    if (bands.length >= 3) {
+        const nameColumn = header.findIndex(field => /^(name|sample|id)/i.test(field));
+        return lines.map((line, i) => ({
+            name: nameColumn !== -1 ? line.cells[nameColumn] : `#${i + 1}`,
+            spectrum: spectrumFromPairs(bands.map(band => [band.wavelength, number(line, band.index)]))
+        }));
+    }
+
+    return header.slice(1).map((name, column) => ({
+        name: name || `#${column + 1}`,
+        spectrum: spectrumFromPairs(lines.map(line => [number(line, 0), number(line, column + 1)]))
+    }));
+}
+
+/**
+ * Read a measurement file in whichever supported format it is
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Used to tell CSV from CGATS when the contents don't
+ * @returns {Object[]} Measurements [{name, spectrum?: {start, step, values}, lab?, whitePoint?}]
+ */
+function parseMeasurements(text, fileName = '') {
+    let measurements;
+    if (/<(?:[\w-]+:)?CxF\b/.test(text)) {
+        measurements = parseCxf(text);
+    } else if (/BEGIN_DATA_FORMAT/.test(text)) {
+        measurements = parseCgats(text);
+    } else if (/\.(csv|txt)$/i.test(fileName) || text.includes(',')) {
+        measurements = parseSpectralCsv(text);
+    } else {
+        throw new Error('Not a CGATS, CxF or CSV measurement file');
+    }
+    measurements = measurements.filter(m => m.spectrum
+        ? m.spectrum.values.every(Number.isFinite)
+        : [m.lab.l, m.lab.a, m.lab.b].every(Number.isFinite));
+    if (measurements.length === 0) throw new Error('No readable measurements in file');
+    return measurements;
+}
+
+/**
+ * Plot a reflectance curve
+ * @param {HTMLCanvasElement} canvas - Target canvas (drawn at its current size)
+ * @param {Object} spectrum - {start, step, values}
+ * @param {string} [color='#fff'] - Line color, e.g. the measurement's own color
+ */
+function drawSpectrum(canvas, spectrum, color = '#fff') {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = 4;
+    const x = wl => pad + (wl - SPECTRAL_START) / (SPECTRAL_END - SPECTRAL_START) * (width - 2 * pad);
+    const y = r => height - pad - Math.max(0, Math.min(1, r)) * (height - 2 * pad);
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+    ctx.lineWidth = 1;
+    [400, 500, 600, 700].forEach(wl => {
+        ctx.beginPath();
+        ctx.moveTo(x(wl), pad);
+        ctx.lineTo(x(wl), height - pad);
+        ctx.stroke();
+    });
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    spectrum.values.forEach((value, i) => {
+        const wl = spectrum.start + i * spectrum.step;
+        if (i === 0) ctx.moveTo(x(wl), y(value));
+        else ctx.lineTo(x(wl), y(value));
+    });
+    ctx.stroke();
+}
+
+if (typeof window !== 'undefined') {
+    window.OBSERVERS = OBSERVERS;
+    window.ILLUMINANTS = ILLUMINANTS;
+    window.spectrumToXyz = spectrumToXyz;
+    window.evaluateMeasurement = evaluateMeasurement;
+    window.parseMeasurements = parseMeasurements;
+    window.drawSpectrum = drawSpectrum;
+}
+
+// Node: a module as well
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OBSERVERS, ILLUMINANTS, splitCsvLine, spectrumToXyz, evaluateMeasurement, parseMeasurements };
+}
@@ -0,0 +1,135 @@
+/**
+ * Adaptive search against a simulated operator whose match lies some way from the predicted one
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColorMatcher, createSeededRandom, deltaE, labToLch } = require('../color-matcher.js');
+
+const NAMED_HUES = { redder: 30, yellower: 90, greener: 150, bluer: 270 };
+
+function hueDifference(to, from) {
+    let d = to - from;
+    if (d > 180) d -= 360;
+    if (d < -180) d += 360;
+    return d;
+}
+
+/**
+ * Operator who sees a match within about 2.5 ΔE (with a few careless answers) and, when
+ * steering, asks for the dimension that is furthest off
+ */
+function simulatedOperator(truth, random, steers) {
+    return (shown) => {
+        const distance = deltaE(truth, shown);
+        const p = 0.02 + 0.96 * Math.exp(-Math.LN2 * Math.pow(distance / 2.5, 2));
+        if (random() < p) return 'match';
+        if (!steers) return 'no-match';
+
+        const t = labToLch(truth);
+        const s = labToLch(shown);
+        const moved = hueDifference(t.h, s.h);
+        const offsets = [
+            ['l', t.l - s.l],
+            ['c', t.c - s.c],
+            ['h', moved * Math.PI / 180 * (t.c + s.c) / 2]
+        ].sort((x, y) => Math.abs(y[1]) - Math.abs(x[1]));
+        const [dimension, offset] = offsets[0];
+        if (dimension === 'l') return offset > 0 ? 'lighter' : 'darker';
+        if (dimension === 'c') return offset > 0 ? 'more-saturated' : 'less-saturated';
+        const towards = Object.keys(NAMED_HUES)
+            .filter(name => Math.sign(hueDifference(NAMED_HUES[name], s.h)) === Math.sign(moved))
+            .sort((x, y) => Math.abs(hueDifference(NAMED_HUES[x], s.h)) - Math.abs(hueDifference(NAMED_HUES[y], s.h)));
+        return towards[0] || 'no-match';
+    };
+}
+
+/**
+ * Run adaptive searches whose true match is `offset` ΔE from the predicted one, in random directions
+ * @returns {Object[]} Per run {judgements, error, radius95, converged, resultFound}
+ */
+function simulate(offset, steers, runs = 10) {
+    const results = [];
+    for (let run = 0; run < runs; run++) {
+        const random = createSeededRandom(1000 + run);
+        const matcher = new ColorMatcher({ r: 200, g: 120, b: 60 }, { seed: run });
+        matcher.startAdaptive();
+        const seed = matcher.renderedLab(matcher.seedRgb);
+        const theta = random() * 2 * Math.PI;
+        const phi = Math.acos(2 * random() - 1);
+        const truth = {
+            l: seed.l + offset * Math.cos(phi),
+            a: seed.a + offset * Math.sin(phi) * Math.cos(theta),
+            b: seed.b + offset * Math.sin(phi) * Math.sin(theta)
+        };
+        const operator = simulatedOperator(truth, random, steers);
+
+        let result = matcher.adaptiveResult();
+        while (!result.done) {
+            const candidate = matcher.getNextCandidate();
+            const answer = operator(candidate.lab);
+            if (answer === 'match' || answer === 'no-match') {
+                matcher.recordFeedback(answer === 'match', candidate);
+            } else {
+                matcher.applyDirectionalFeedback(candidate, answer);
+            }
+            result = matcher.adaptiveResult();
+        }
+        results.push({
+            judgements: result.judgements,
+            error: deltaE(result.candidate.lab, truth),
+            radius95: result.radius95,
+            converged: result.converged,
+            resultFound: matcher.findCandidate(result.candidate.id) === result.candidate
+        });
+    }
+    return results;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+test('the prior is sized from the expected error of the seed', () => {
+    const unprofiled = new ColorMatcher({ r: 200, g: 120, b: 60 });
+    assert.strictEqual(unprofiled.expectedSeedError(), 4);
+    const uneven = new ColorMatcher({ r: 200, g: 120, b: 60 }, { targetSpread: 3 });
+    assert.strictEqual(uneven.expectedSeedError(), 5);
+    uneven.startAdaptive();
+    assert.strictEqual(uneven.adaptive.priorSpread, 5);
+});
+
+[3, 7].forEach(offset => {
+    test(`steering converges when the seed is ${offset} ΔE off`, () => {
+        const results = simulate(offset, true);
+        assert.ok(results.every(r => r.converged), 'every run converges before the answer limit');
+        assert.ok(median(results.map(r => r.judgements)) <= 20, 'median answers');
+        assert.ok(median(results.map(r => r.error)) <= 2.5, 'median error of the estimate');
+    });
+});
+
+test('Match / No Match alone converges when the seed is 3 ΔE off', () => {
+    const results = simulate(3, false);
+    assert.ok(results.filter(r => r.converged).length >= 7, 'most runs converge');
+    assert.ok(median(results.map(r => r.judgements)) <= 30, 'median answers');
+    assert.ok(median(results.map(r => r.error)) <= 2.5, 'median error of the estimate');
+});
+
+test('the result candidate keeps its ID and can be found while the estimate is unchanged', () => {
+    const matcher = new ColorMatcher({ r: 200, g: 120, b: 60 }, { seed: 1 });
+    matcher.startAdaptive();
+    matcher.recordFeedback(false, matcher.getNextCandidate());
+    const first = matcher.adaptiveResult().candidate;
+    const again = matcher.adaptiveResult().candidate;
+    assert.strictEqual(again.id, first.id);
+    assert.strictEqual(matcher.findCandidate(first.id), first);
+
+    matcher.recordFeedback(false, matcher.getNextCandidate());
+    const moved = matcher.adaptiveResult().candidate;
+    assert.notStrictEqual(moved.id, first.id);
+    assert.strictEqual(matcher.findCandidate(moved.id), moved);
+
+    const restored = ColorMatcher.fromJSON(JSON.parse(JSON.stringify(matcher)));
+    assert.ok(restored.findCandidate(moved.id));
+});
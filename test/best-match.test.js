@@ -0,0 +1,65 @@
+/**
+ * Which candidate is the best match when camera measurements and operator answers mix
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColorMatcher } = require('../color-matcher.js');
+
+function matcherWithCandidates() {
+    const matcher = new ColorMatcher({ r: 200, g: 120, b: 60 }, { seed: 3 });
+    matcher.generateInitialCandidates(20);
+    const shown = [matcher.getNextCandidate(), matcher.getNextCandidate(), matcher.getNextCandidate()];
+    return { matcher, shown };
+}
+
+test('measured candidates rank by the camera ΔE, not the predicted one', () => {
+    const { matcher, shown: [a, b] } = matcherWithCandidates();
+    a.deltaE = 1;
+    b.deltaE = 5;
+    matcher.recordMeasurement(a, 6);
+    matcher.recordMeasurement(b, 2);
+    assert.strictEqual(matcher.bestMatch, b);
+    assert.strictEqual(matcher.bestMeasuredDeltaE, 2);
+    assert.strictEqual(matcher.bestDeltaE, 5);
+});
+
+test('a confirmed match wins over a better-measured candidate', () => {
+    const { matcher, shown: [a, b] } = matcherWithCandidates();
+    a.deltaE = 1;
+    b.deltaE = 5;
+    matcher.recordMeasurement(a, 0.5);
+    matcher.recordFeedback(true, b);
+    assert.strictEqual(matcher.bestMatch, b);
+
+    // A later, even better measurement doesn't displace the operator's answer
+    matcher.recordMeasurement(a, 0.1);
+    assert.strictEqual(matcher.bestMatch, b);
+});
+
+test('between confirmed matches the measured ΔE decides when both were measured', () => {
+    const { matcher, shown: [a, b, c] } = matcherWithCandidates();
+    a.deltaE = 1;
+    b.deltaE = 5;
+    c.deltaE = 0.5;
+    matcher.recordMeasurement(a, 4);
+    matcher.recordMeasurement(b, 2);
+    matcher.recordFeedback(true, a);
+    matcher.recordFeedback(true, b);
+    assert.strictEqual(matcher.bestMatch, b);
+
+    // An unmeasured confirmed match doesn't outrank a measured one on its predicted ΔE
+    matcher.recordFeedback(true, c);
+    assert.strictEqual(matcher.bestMatch, b);
+});
+
+test('without measurements confirmed matches rank by the predicted ΔE', () => {
+    const { matcher, shown: [a, b] } = matcherWithCandidates();
+    a.deltaE = 3;
+    b.deltaE = 1;
+    matcher.recordFeedback(true, a);
+    matcher.recordFeedback(true, b);
+    assert.strictEqual(matcher.bestMatch, b);
+    assert.strictEqual(matcher.bestDeltaE, 1);
+    assert.strictEqual(matcher.bestMeasuredDeltaE, Infinity);
+});
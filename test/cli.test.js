@@ -0,0 +1,73 @@
+/**
+ * The colour-match command line, run as a pipeline script would
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'colour-match.js');
+const TEMP = fs.mkdtempSync(path.join(os.tmpdir(), 'colour-match-'));
+test.after(() => fs.rmSync(TEMP, { recursive: true, force: true }));
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+let tempCount = 0;
+
+function tempFile(name, contents) {
+    const file = path.join(TEMP, `${++tempCount}-${name}`);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+test('convert takes --json before the color', () => {
+    const result = run('convert', '--json', '#FF8800');
+    assert.strictEqual(result.status, 0, result.stderr);
+    const output = JSON.parse(result.stdout);
+    assert.strictEqual(output.input, '#FF8800');
+    assert.strictEqual(output.hex, '#FF8800');
+});
+
+test('delta takes --json before the colors', () => {
+    const result = run('delta', '--json', '#FF8800', '#FF8800', '#000000', '#FFFFFF');
+    assert.strictEqual(result.status, 0, result.stderr);
+    const output = JSON.parse(result.stdout);
+    assert.strictEqual(output.pairs.length, 2);
+    assert.strictEqual(output.pairs[0].deltaE, 0);
+    assert.strictEqual(output.pairs[1].deltaE, 100);
+});
+
+test('batch takes --json before the file', () => {
+    const file = tempFile('targets.csv', 'name,color\nOrange,#FF8800\n');
+    const result = run('batch', '--json', '--count', '3', '--seed', '1', file);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const output = JSON.parse(result.stdout);
+    assert.strictEqual(output.results[0].name, 'Orange');
+    assert.strictEqual(output.results[0].candidates.length, 3);
+});
+
+test('batch --cmyk needs a profile', () => {
+    const file = tempFile('targets.csv', 'name,color\nOrange,#FF8800\n');
+    const result = run('batch', '--cmyk', file);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /--cmyk needs --profile/);
+});
+
+test('delta --file reads a header only when neither cell is a color', () => {
+    const headed = tempFile('pairs.csv', 'reference,sample\n#FF8800,#FF8800\n');
+    assert.strictEqual(JSON.parse(run('delta', '--json', '--file', headed).stdout).pairs.length, 1);
+
+    const bare = tempFile('pairs.csv', '#FF8800,#FF8800\n#000000,#FFFFFF\n');
+    assert.strictEqual(JSON.parse(run('delta', '--json', '--file', bare).stdout).pairs.length, 2);
+
+    const broken = tempFile('pairs.csv', '#FF8800,orangeish\n#000000,#FFFFFF\n');
+    const result = run('delta', '--file', broken);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Row 1 of .* is not two colors/);
+});
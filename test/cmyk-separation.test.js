@@ -0,0 +1,56 @@
+/**
+ * CMYK separation: recipes print the color asked for and never exceed the ink limit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CmykSeparation, BLACK_GENERATION, DEFAULT_INK_LIMIT, rgbToLab, deltaE2000 } = require('../color-matcher.js');
+
+const SAMPLES = [[200, 120, 60], [90, 140, 200], [128, 128, 128], [30, 90, 40], [240, 220, 180], [20, 20, 60], [180, 30, 90]];
+
+function total(cmyk) {
+    return cmyk.c + cmyk.m + cmyk.y + cmyk.k;
+}
+
+test('recipes print the color they were separated from, with every black generation', () => {
+    Object.keys(BLACK_GENERATION).forEach(blackGeneration => {
+        const separation = new CmykSeparation({ blackGeneration });
+        SAMPLES.forEach(([r, g, b]) => {
+            const lab = rgbToLab(r, g, b);
+            const recipe = separation.separate(lab);
+            const error = deltaE2000(lab, separation.cmykToLab(recipe));
+            assert.ok(error < 1, `${blackGeneration} rgb(${r} ${g} ${b}) prints ${error.toFixed(2)} ΔE off`);
+        });
+    });
+});
+
+test('black generation sets how much of the gray component black prints', () => {
+    const gray = rgbToLab(128, 128, 128);
+    const black = blackGeneration => new CmykSeparation({ blackGeneration }).separate(gray).k;
+    assert.strictEqual(black('none'), 0);
+    const amounts = ['light', 'medium', 'heavy', 'maximum'].map(black);
+    amounts.slice(1).forEach((k, i) => assert.ok(k > amounts[i], `black should grow: ${amounts.join(', ')}`));
+    assert.throws(() => new CmykSeparation({ blackGeneration: 'lots' }), /Unknown black generation/);
+});
+
+test('total ink never exceeds the ink limit', () => {
+    assert.strictEqual(new CmykSeparation().inkLimit, DEFAULT_INK_LIMIT);
+    const steps = [0, 40, 90, 150, 255];
+    [DEFAULT_INK_LIMIT, 260, 220].forEach(inkLimit => {
+        ['none', 'medium', 'maximum'].forEach(blackGeneration => {
+            const separation = new CmykSeparation({ inkLimit, blackGeneration });
+            steps.forEach(r => steps.forEach(g => steps.forEach(b => {
+                const recipe = separation.separate(rgbToLab(r, g, b));
+                assert.ok(total(recipe) <= inkLimit,
+                    `rgb(${r} ${g} ${b}) with ${blackGeneration} black: ${total(recipe)}% over ${inkLimit}%`);
+                assert.ok(separation.withinLimit(recipe));
+                ['c', 'm', 'y', 'k'].forEach(ink => assert.ok(recipe[ink] >= 0 && recipe[ink] <= 100));
+            })));
+        });
+    });
+});
+
+test('settings survive toJSON', () => {
+    const separation = new CmykSeparation({ inkLimit: 280, blackGeneration: 'heavy', intent: 'perceptual' });
+    assert.deepStrictEqual(separation.toJSON(), { profile: null, intent: 'perceptual', inkLimit: 280, blackGeneration: 'heavy' });
+});
@@ -0,0 +1,75 @@
+/**
+ * CIE94, CMC and CAM16-UCS against reference values. The extreme pair is the worked example
+ * of the colour-science library's documentation (colour.difference); the CMC and CAM16-UCS
+ * pairs were checked against colorjs.io, CMC on the Sharma, Wu and Dalal test colors.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { deltaE, deltaE2000, deltaE94, deltaECmc, deltaECam16Ucs, labToCam16Ucs, createColorMetric } = require('../color-matcher.js');
+
+function lab(l, a, b) {
+    return { l, a, b };
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual}, expected ${expected}`);
+}
+
+const REFERENCE = lab(100, 21.57210357, 272.2281935);
+const SAMPLE = lab(100, 426.67945353, 72.39590835);
+
+test('every metric agrees with the colour-science worked example', () => {
+    assertClose(deltaE(REFERENCE, SAMPLE), 451.7133019735, 1e-7, 'CIE76');
+    assertClose(deltaE94(REFERENCE, SAMPLE), 83.7792255009, 1e-7, 'CIE94 graphic arts');
+    assertClose(deltaE94(REFERENCE, SAMPLE, { application: 'textiles' }), 88.3355530575, 1e-7, 'CIE94 textiles');
+    assertClose(deltaECmc(REFERENCE, SAMPLE), 172.7047712866, 1e-7, 'CMC 2:1');
+    assertClose(deltaE2000(REFERENCE, SAMPLE), 94.0356490267, 1e-7, 'CIEDE2000');
+});
+
+test('CIE94 weighs lightness by application and chroma by the reference', () => {
+    // A pure lightness difference is ΔL / kL: 1 for graphic arts, 2 for textiles
+    assertClose(deltaE94(lab(50, 20, 30), lab(54, 20, 30)), 4, 1e-12, 'graphic arts');
+    assertClose(deltaE94(lab(50, 20, 30), lab(54, 20, 30), { application: 'textiles' }), 2, 1e-12, 'textiles');
+    // The reference's chroma sets the tolerance, so swapping the colors changes the difference
+    assert.notStrictEqual(deltaE94(lab(50, 60, 0), lab(50, 40, 0)), deltaE94(lab(50, 40, 0), lab(50, 60, 0)));
+});
+
+// [L1, a1, b1, L2, a2, b2, CMC 2:1, CMC 1:1]
+const CMC_PAIRS = [
+    [60.2574, -34.0099, 36.2677, 60.4626, -34.1751, 39.4387, 1.4205, 1.4282],
+    [22.7233, 20.0904, -46.6940, 23.0331, 14.9730, -42.5619, 3.0604, 3.0870],
+    [36.4612, 47.8580, 18.3852, 36.2715, 50.5065, 21.2231, 1.7396, 1.7489],
+    [90.8027, -2.0831, 1.4410, 91.1528, -1.6435, 0.0447, 1.8891, 1.9010],
+    // Below L 16 the lightness weight is constant
+    [2.0776, 0.0795, -1.1350, 0.9033, -0.0636, -0.5514, 1.4278, 2.4493]
+];
+
+test('CMC matches the reference values at 2:1 and 1:1', () => {
+    CMC_PAIRS.forEach(([l1, a1, b1, l2, a2, b2, acceptability, perceptibility]) => {
+        const pair = [lab(l1, a1, b1), lab(l2, a2, b2)];
+        assertClose(deltaECmc(...pair), acceptability, 5e-5, `2:1 for L ${l1}`);
+        assertClose(deltaECmc(...pair, { l: 1, c: 1 }), perceptibility, 5e-5, `1:1 for L ${l1}`);
+        assertClose(createColorMetric({ id: 'cmc', params: { l: 1, c: 1 } })(...pair), perceptibility, 5e-5, `metric for L ${l1}`);
+    });
+});
+
+// [L1, a1, b1, L2, a2, b2, ΔE'] under the default CAM16 viewing conditions (D65, LA 64/π·0.2, Yb 20, average)
+const CAM16_UCS_PAIRS = [
+    [50, 20, -30, 52, 18, -27, 2.4188],
+    [75, -40, 60, 70, -45, 55, 5.7719],
+    [30, 10, 10, 30, 0, 0, 10.1315]
+];
+
+test('CAM16-UCS matches the reference coordinates and differences', () => {
+    // The D65 white differs in the fourth digit between implementations, hence the tolerance
+    const ucs = labToCam16Ucs(lab(50, 20, -30));
+    assertClose(ucs.j, 53.2444, 1e-3, "J'");
+    assertClose(ucs.a, 10.0571, 5e-3, "a'");
+    assertClose(ucs.b, -17.9047, 5e-3, "b'");
+    assertClose(labToCam16Ucs(lab(100, 0, 0)).j, 100, 1e-9, "white J'");
+
+    CAM16_UCS_PAIRS.forEach(([l1, a1, b1, l2, a2, b2, expected]) => {
+        assertClose(deltaECam16Ucs(lab(l1, a1, b1), lab(l2, a2, b2)), expected, 5e-3, `ΔE' for L ${l1}`);
+    });
+});
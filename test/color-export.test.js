@@ -0,0 +1,67 @@
+/**
+ * Swatch file writers: ASE bytes, GIMP palettes and the CxF measurement method
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createExportEntry, exportColors, exportToMessage, exportFromMessage } = require('../color-export.js');
+
+function entry(name, rgb, options = {}) {
+    return createExportEntry({ rgb, deltaE: 0.5 }, { name, ...options });
+}
+
+test('ASE files are big-endian blocks of UTF-16 names and float RGB', () => {
+    const file = exportColors('ase', [entry('Red', { r: 255, g: 0, b: 0 }), entry('Blå', { r: 0, g: 0, b: 255 })]);
+    const block = (name, rgb) => [
+        0x00, 0x01, 0x00, 0x00, 0x00, 0x1C,               // color entry, 28 bytes
+        0x00, 0x04, ...[...name].flatMap(c => [0x00, c.charCodeAt(0)]), 0x00, 0x00,
+        0x52, 0x47, 0x42, 0x20,                           // 'RGB '
+        ...rgb.flatMap(on => on ? [0x3F, 0x80, 0x00, 0x00] : [0x00, 0x00, 0x00, 0x00]),
+        0x00, 0x02                                        // process color
+    ];
+    assert.deepStrictEqual([...file.data], [
+        0x41, 0x53, 0x45, 0x46, 0x00, 0x01, 0x00, 0x00,   // 'ASEF', version 1.0
+        0x00, 0x00, 0x00, 0x02,                           // two blocks
+        ...block('Red', [1, 0, 0]),
+        ...block('Blå', [0, 0, 1])
+    ]);
+    assert.strictEqual(file.mimeType, 'application/octet-stream');
+    assert.match(file.filename, /^color-match-\d{4}-\d{2}-\d{2}\.ase$/);
+
+    // Binary files survive the trip over the data channel
+    const message = exportToMessage(file);
+    assert.strictEqual(message.encoding, 'base64');
+    assert.deepStrictEqual(exportFromMessage(JSON.parse(JSON.stringify(message))).data, file.data);
+});
+
+test('GIMP palettes list right-aligned RGB and the swatch name', () => {
+    const file = exportColors('gpl', [entry('Orange', { r: 255, g: 136, b: 0 }), entry('Ink', { r: 20, g: 20, b: 60 })]);
+    assert.strictEqual(file.data, 'GIMP Palette\nName: Color Matcher\nColumns: 0\n#\n255 136   0\tOrange\n 20  20  60\tInk\n');
+});
+
+test('CxF marks instrument measurements as reflectance and camera samples as emissive', () => {
+    const entries = [
+        entry('Swatch', { r: 200, g: 120, b: 60 }, { source: 'instrument', whitePoint: 'D50/2' }),
+        entry('Photo', { r: 90, g: 140, b: 200 }, { whitePoint: 'D50/2' }),
+        entry('Saved', { r: 30, g: 90, b: 40 })
+    ];
+    // Entries saved before sources were recorded are camera samples
+    delete entries[2].source;
+    const xml = exportColors('cxf', entries).data;
+
+    const objectSpecification = name => xml.match(new RegExp(`Name="${name}"[\\s\\S]*?<cc:ColorCIELab ColorSpecification="([^"]+)"`))[1];
+    const method = id => xml.match(new RegExp(`<cc:ColorSpecification Id="${id}">[\\s\\S]*?<cc:Method>(\\w+)</cc:Method>`))[1];
+    assert.strictEqual(objectSpecification('Swatch'), 'CIELab-D50-2-Reflectance');
+    assert.strictEqual(method('CIELab-D50-2-Reflectance'), 'Reflectance');
+    assert.strictEqual(objectSpecification('Photo'), 'CIELab-D50-2-Emissive');
+    assert.strictEqual(method('CIELab-D50-2-Emissive'), 'Emissive');
+    assert.strictEqual(objectSpecification('Saved'), 'CIELab-D65-2-Emissive');
+    // The sRGB values are what a screen shows
+    assert.strictEqual(method('sRGB'), 'Emissive');
+    assert.strictEqual(xml.match(/<cc:ColorSpecification Id=/g).length, 4);
+});
+
+test('exportColors refuses unknown formats and empty lists', () => {
+    assert.throws(() => exportColors('tiff', [entry('Red', { r: 255, g: 0, b: 0 })]), /Unknown export format 'tiff'/);
+    assert.throws(() => exportColors('gpl', []), /No colors to export/);
+});
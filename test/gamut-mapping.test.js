@@ -0,0 +1,59 @@
+/**
+ * Gamut mapping: out-of-gamut LAB reduced in chroma until it fits, keeping hue and lightness
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isInGamut, mapToGamut, labToLch } = require('../color-matcher.js');
+
+// Beyond sRGB in every direction: saturated primaries, dark blues, light yellows, a P3 green
+const OUT_OF_GAMUT = [
+    { l: 50, a: 120, b: 0 },
+    { l: 60, a: -100, b: 80 },
+    { l: 20, a: 40, b: -110 },
+    { l: 95, a: -10, b: 110 },
+    { l: 85, a: -80, b: 90 },
+    { l: 35, a: 70, b: 60 },
+    { l: 70, a: 0, b: -70 },
+    { l: 5, a: 30, b: 30 }
+];
+
+test('out-of-gamut colors map to the edge of sRGB at their hue and lightness', () => {
+    OUT_OF_GAMUT.forEach(lab => {
+        assert.ok(!isInGamut(lab), `${JSON.stringify(lab)} should start outside sRGB`);
+        const mapped = mapToGamut(lab);
+        const label = JSON.stringify(lab);
+        assert.ok(isInGamut(mapped), `${label} maps to ${JSON.stringify(mapped)}, still outside`);
+        assert.strictEqual(mapped.l, lab.l, `${label} changed lightness`);
+
+        const before = labToLch(lab);
+        const after = labToLch(mapped);
+        assert.ok(after.c < before.c, `${label} kept its chroma`);
+        assert.ok(Math.abs(after.h - before.h) < 1e-9, `${label} hue ${before.h} became ${after.h}`);
+        // The binary search stops within 0.01 of chroma of the edge
+        const scale = (after.c + 0.01) / before.c;
+        assert.ok(!isInGamut({ l: lab.l, a: lab.a * scale, b: lab.b * scale }), `${label} stops short of the edge`);
+    });
+});
+
+test('colors inside the gamut are returned unchanged', () => {
+    [{ l: 50, a: 10, b: -20 }, { l: 100, a: 0, b: 0 }, { l: 0, a: 0, b: 0 }, { l: 53.24, a: 80.09, b: 67.2 }].forEach(lab => {
+        assert.deepStrictEqual(mapToGamut(lab), lab);
+    });
+});
+
+test('lightness beyond 0-100 is clamped before chroma is reduced', () => {
+    const mapped = mapToGamut({ l: 110, a: 0, b: 40 });
+    assert.strictEqual(mapped.l, 100);
+    assert.ok(isInGamut(mapped));
+    assert.deepStrictEqual(mapToGamut({ l: -5, a: 0, b: 0 }), { l: 0, a: 0, b: 0 });
+});
+
+test('a wider gamut keeps more of the chroma', () => {
+    const lab = { l: 85, a: -80, b: 90 };
+    const srgb = mapToGamut(lab);
+    const p3 = mapToGamut(lab, color => isInGamut(color, 'display-p3'));
+    assert.ok(isInGamut(p3, 'display-p3'));
+    assert.ok(!isInGamut(p3), 'the P3 result should lie beyond sRGB');
+    assert.ok(labToLch(p3).c > labToLch(srgb).c);
+});
@@ -0,0 +1,264 @@
+/**
+ * ICC profile parsing on small hand-built profiles whose tables have known values
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { IccProfile } = require('../icc-profile.js');
+const { WHITE_POINTS, adaptXyz, labToXyz, xyzToLab } = require('../color-matcher.js');
+
+/**
+ * Big-endian byte writer
+ */
+class Writer {
+    constructor() {
+        this.bytes = [];
+    }
+
+    get length() {
+        return this.bytes.length;
+    }
+
+    u8(value) {
+        this.bytes.push(value & 0xFF);
+        return this;
+    }
+
+    u16(value) {
+        return this.u8(value >> 8).u8(value);
+    }
+
+    u32(value) {
+        return this.u16(value >>> 16).u16(value & 0xFFFF);
+    }
+
+    s15(value) {
+        return this.u32(Math.round(value * 65536) >>> 0);
+    }
+
+    sig(text) {
+        [...text.padEnd(4)].forEach(c => this.u8(c.charCodeAt(0)));
+        return this;
+    }
+
+    pad() {
+        while (this.bytes.length % 4) this.u8(0);
+        return this;
+    }
+
+    append(other) {
+        this.bytes.push(...other.bytes);
+        return this;
+    }
+}
+
+/**
+ * Profile from its PCS and tags {signature: Writer}
+ */
+function buildProfile(pcs, tags) {
+    const entries = Object.entries(tags);
+    let offset = 132 + entries.length * 12;
+    const layout = entries.map(([signature, body]) => {
+        const entry = { signature, offset, body };
+        offset += Math.ceil(body.length / 4) * 4;
+        return entry;
+    });
+    const profile = new Writer();
+    profile.u32(offset).sig('none').u8(4).u8(0x30).u16(0).sig('prtr').sig('CMYK').sig(pcs);
+    while (profile.length < 36) profile.u8(0);
+    profile.sig('acsp');
+    while (profile.length < 128) profile.u8(0);
+    profile.u32(entries.length);
+    layout.forEach(entry => profile.sig(entry.signature).u32(entry.offset).u32(entry.body.length));
+    layout.forEach(entry => profile.append(entry.body).pad());
+    return new IccProfile(Uint8Array.from(profile.bytes), 'test.icc');
+}
+
+/**
+ * Every corner of a grid with two points per channel, last channel fastest
+ */
+function corners(channels) {
+    const list = [];
+    for (let i = 0; i < (1 << channels); i++) {
+        list.push(Array.from({ length: channels }, (_, c) => (i >> (channels - 1 - c)) & 1));
+    }
+    return list;
+}
+
+/**
+ * lut16Type with two grid points and straight-line input/output tables
+ */
+function lut16(inputs, outputs, corner) {
+    const body = new Writer().sig('mft2').u32(0).u8(inputs).u8(outputs).u8(2).u8(0);
+    [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach(v => body.s15(v));
+    body.u16(2).u16(2);
+    for (let i = 0; i < inputs; i++) body.u16(0).u16(65535);
+    corners(inputs).forEach(point => corner(point).forEach(v => body.u16(Math.round(v * 65535))));
+    for (let i = 0; i < outputs; i++) body.u16(0).u16(65535);
+    return body;
+}
+
+/**
+ * lut8Type with two grid points and straight-line 256-entry tables
+ */
+function lut8(inputs, outputs, corner) {
+    const body = new Writer().sig('mft1').u32(0).u8(inputs).u8(outputs).u8(2).u8(0);
+    [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach(v => body.s15(v));
+    const ramp = () => { for (let i = 0; i < 256; i++) body.u8(i); };
+    for (let i = 0; i < inputs; i++) ramp();
+    corners(inputs).forEach(point => corner(point).forEach(v => body.u8(Math.round(v * 255))));
+    for (let i = 0; i < outputs; i++) ramp();
+    return body;
+}
+
+function identityCurve() {
+    return new Writer().sig('curv').u32(0).u32(0);
+}
+
+function gammaCurve(gamma) {
+    return new Writer().sig('curv').u32(0).u32(1).u16(Math.round(gamma * 256)).pad();
+}
+
+function tableCurve(values) {
+    const curve = new Writer().sig('curv').u32(0).u32(values.length);
+    values.forEach(v => curve.u16(Math.round(v * 65535)));
+    return curve.pad();
+}
+
+function parametricCurve(kind, params) {
+    const curve = new Writer().sig('para').u32(0).u16(kind).u16(0);
+    params.forEach(p => curve.s15(p));
+    return curve;
+}
+
+/**
+ * lutAtoBType / lutBtoAType from its parts; each part is null or a Writer (curves: an array)
+ */
+function modernLut(type, inputs, outputs, parts) {
+    const body = new Writer().sig(type).u32(0).u8(inputs).u8(outputs).u16(0);
+    const offsets = { b: 0, matrix: 0, m: 0, clut: 0, a: 0 };
+    const data = new Writer();
+    const place = (key, writers) => {
+        if (!writers) return;
+        offsets[key] = 32 + data.length;
+        writers.forEach(writer => data.append(writer).pad());
+    };
+    place('b', parts.b);
+    place('matrix', parts.matrix && [parts.matrix]);
+    place('m', parts.m);
+    place('clut', parts.clut && [parts.clut]);
+    place('a', parts.a);
+    ['b', 'matrix', 'm', 'clut', 'a'].forEach(key => body.u32(offsets[key]));
+    return body.append(data);
+}
+
+function clut(inputs, precision, corner) {
+    const body = new Writer();
+    for (let i = 0; i < 16; i++) body.u8(i < inputs ? 2 : 0);
+    body.u8(precision).u8(0).u16(0);
+    corners(inputs).forEach(point => corner(point).forEach(v => {
+        if (precision === 2) body.u16(Math.round(v * 65535));
+        else body.u8(Math.round(v * 255));
+    }));
+    return body.pad();
+}
+
+function description(text) {
+    const body = new Writer().sig('desc').u32(0).u32(text.length + 1);
+    [...text].forEach(c => body.u8(c.charCodeAt(0)));
+    return body.u8(0);
+}
+
+function multiLocalized(text) {
+    const body = new Writer().sig('mluc').u32(0).u32(1).u32(12).sig('enUS').u32(text.length * 2).u32(28);
+    [...text].forEach(c => body.u16(c.charCodeAt(0)));
+    return body;
+}
+
+/**
+ * D65 LAB of a D50 PCS LAB, worked out independently of the profile code
+ */
+function fromPcs(lab) {
+    const xyz = adaptXyz(labToXyz(lab.l, lab.a, lab.b, WHITE_POINTS['D50/2']), WHITE_POINTS['D50/2'], WHITE_POINTS['D65/2']);
+    return xyzToLab(xyz.x, xyz.y, xyz.z);
+}
+
+function assertLab(actual, expected, tolerance = 0.05) {
+    ['l', 'a', 'b'].forEach(channel => {
+        assert.ok(Math.abs(actual[channel] - expected[channel]) <= tolerance,
+            `${channel}: ${actual[channel]} should be ${expected[channel]}`);
+    });
+}
+
+test('lut16 tables read the v2 LAB encoding (L* 100 at 0xFF00)', () => {
+    // Black ink darkens linearly; cyan pushes a* to +20
+    const legacyLab = ({ l, a, b }) => [l * 652.8 / 65535, (a + 128) * 256 / 65535, (b + 128) * 256 / 65535];
+    const profile = buildProfile('Lab ', {
+        desc: description('Hand-built v2'),
+        A2B0: lut16(4, 3, ([c, , , k]) => legacyLab({ l: 100 * (1 - k), a: 20 * c, b: 0 })),
+        B2A0: lut16(3, 4, ([l]) => [0, 0, 0, 1 - l])
+    });
+    assert.strictEqual(profile.name, 'Hand-built v2');
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 0 }), { l: 100, a: 0, b: 0 });
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 50 }), fromPcs({ l: 50, a: 0, b: 0 }));
+    assertLab(profile.cmykToLab({ c: 100, m: 0, y: 0, k: 0 }), fromPcs({ l: 100, a: 20, b: 0 }));
+    assert.deepStrictEqual(profile.labToCmyk({ l: 30, a: 0, b: 0 }), { c: 0, m: 0, y: 0, k: 70 });
+});
+
+test('lut8 tables read the 8-bit LAB encoding', () => {
+    const profile = buildProfile('Lab ', {
+        A2B0: lut8(4, 3, ([, m, , k]) => [1 - k, (128 - 40 * m) / 255, 128 / 255]),
+        B2A0: lut8(3, 4, ([l]) => [0, 0, 0, 1 - l])
+    });
+    assert.strictEqual(profile.name, 'test.icc');
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 0 }), { l: 100, a: 0, b: 0 });
+    assertLab(profile.cmykToLab({ c: 0, m: 50, y: 0, k: 0 }), fromPcs({ l: 100, a: -20, b: 0 }), 0.3);
+    assert.deepStrictEqual(profile.labToCmyk({ l: 60, a: 0, b: 0 }), { c: 0, m: 0, y: 0, k: 40 });
+});
+
+test('XYZ connection space stores 1.0 as 0x8000', () => {
+    const d50 = WHITE_POINTS['D50/2'];
+    const white = [d50.x, d50.y, d50.z].map(v => v / 100 * 32768 / 65535);
+    const profile = buildProfile('XYZ ', {
+        A2B0: lut16(4, 3, ([, , , k]) => white.map(v => v * (1 - k))),
+        B2A0: lut16(3, 4, ([, y]) => [0, 0, 0, 1 - y])
+    });
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 0 }), { l: 100, a: 0, b: 0 });
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 100 }), { l: 0, a: 0, b: 0 });
+    // Half the Y of the white is L* 76.07
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 50 }), { l: 76.07, a: 0, b: 0 });
+    // White's Y of 1.0 sits halfway up the table's input range
+    assert.deepStrictEqual(profile.labToCmyk({ l: 100, a: 0, b: 0 }), { c: 0, m: 0, y: 0, k: 50 });
+});
+
+test('lutAtoB/BtoA tables with parametric, gamma and sampled curves', () => {
+    const srgb = [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045];
+    const profile = buildProfile('Lab ', {
+        desc: multiLocalized('Hand-built v4'),
+        A2B0: modernLut('mAB ', 4, 3, {
+            // Cyan through the sRGB curve (type 3), black squared (type 0)
+            a: [parametricCurve(3, srgb), identityCurve(), identityCurve(), parametricCurve(0, [2])],
+            clut: clut(4, 2, ([c, , , k]) => [1 - k, (128 + 40 * c) / 255, 128 / 255]),
+            b: [identityCurve(), identityCurve(), identityCurve()]
+        }),
+        B2A0: modernLut('mBA ', 3, 4, {
+            b: [gammaCurve(1), tableCurve([0, 1]), identityCurve()],
+            matrix: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0].reduce((w, v) => w.s15(v), new Writer()),
+            m: [identityCurve(), identityCurve(), identityCurve()],
+            clut: clut(3, 1, ([l]) => [0, 0, 0, 1 - l]),
+            a: [identityCurve(), identityCurve(), identityCurve(), identityCurve()]
+        })
+    });
+    assert.strictEqual(profile.name, 'Hand-built v4');
+    assertLab(profile.cmykToLab({ c: 0, m: 0, y: 0, k: 50 }), fromPcs({ l: 75, a: 0, b: 0 }));
+    const linear = Math.pow((0.5 + 0.055) / 1.055, 2.4);
+    assertLab(profile.cmykToLab({ c: 50, m: 0, y: 0, k: 0 }), fromPcs({ l: 100, a: 40 * linear, b: 0 }));
+    // Below the type 3 break point the curve is the straight segment c·v
+    assertLab(profile.cmykToLab({ c: 2, m: 0, y: 0, k: 0 }), fromPcs({ l: 100, a: 40 * 0.02 / 12.92, b: 0 }));
+    assert.deepStrictEqual(profile.labToCmyk({ l: 25, a: 0, b: 0 }), { c: 0, m: 0, y: 0, k: 75 });
+});
+
+test('profiles that are not CMYK output profiles are refused', () => {
+    assert.throws(() => new IccProfile(new Uint8Array(200)), /Not an ICC profile/);
+    assert.throws(() => buildProfile('Lab ', { A2B0: lut16(4, 3, () => [1, 0.5, 0.5]) }), /no CMYK lookup tables/);
+});
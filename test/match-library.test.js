@@ -0,0 +1,52 @@
+/**
+ * Match library search, over entries held in memory instead of IndexedDB
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MatchLibrary, parseTags } = require('../match-library.js');
+const { createColorMetric } = require('../color-matcher.js');
+
+const NEAR = { l: 50, a: 20, b: 30 };
+
+function libraryOf(entries) {
+    const library = new MatchLibrary();
+    library.list = async () => entries;
+    return library;
+}
+
+function entry(id, lab, metric) {
+    const target = { rgb: { r: 0, g: 0, b: 0 } };
+    if (lab) target.lab = lab;
+    return { id, name: id, tags: [], target, matcherState: { metric } };
+}
+
+test('nearest entries are measured in the metric each was matched with', async () => {
+    const lab = { l: 58, a: 20, b: 30 };
+    const library = libraryOf([entry('cmc', lab, { id: 'cmc', params: { l: 2, c: 1 } }), entry('old', lab)]);
+    const [cmc, old] = await library.search({ nearLab: NEAR });
+    assert.strictEqual(cmc.distance, createColorMetric({ id: 'cmc', params: { l: 2, c: 1 } })(NEAR, lab));
+    // Entries saved without a metric were matched with the default
+    assert.strictEqual(old.distance, createColorMetric()(NEAR, lab));
+    assert.notStrictEqual(cmc.distance, old.distance);
+});
+
+test('a query metric measures every entry the same way', async () => {
+    const library = libraryOf([
+        entry('far', { l: 70, a: 20, b: 30 }, { id: 'cmc', params: { l: 2, c: 1 } }),
+        entry('near', { l: 52, a: 20, b: 30 }, { id: 'cie94', params: {} })
+    ]);
+    const results = await library.search({ nearLab: NEAR, metric: 'cie76', maxDeltaE: 10 });
+    assert.deepStrictEqual(results.map(result => [result.id, result.distance]), [['near', 2]]);
+});
+
+test('entries without a target LAB are left out of a nearest search', async () => {
+    const library = libraryOf([entry('no lab', null), entry('with lab', { l: 50, a: 20, b: 31 }), { id: 'bare', name: 'bare', tags: [] }]);
+    assert.deepStrictEqual((await library.search({ nearLab: NEAR })).map(result => result.id), ['with lab']);
+    // A text search still finds them
+    assert.strictEqual((await library.search({ text: 'lab' })).length, 2);
+});
+
+test('parseTags trims tags and drops the hash', () => {
+    assert.deepStrictEqual(parseTags('red, Batch 7 ,#spring,,'), ['red', 'Batch 7', 'spring']);
+});
@@ -0,0 +1,141 @@
+/**
+ * Acknowledged messages: de-duplication, retransmission and latest-only superseding
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { markSeen, validateMessage, MessageProtocol } = require('../message-protocol.js');
+
+function record() {
+    return { low: 0, above: new Set() };
+}
+
+test('markSeen takes each seq once, in any order', () => {
+    const seen = record();
+    assert.strictEqual(markSeen(seen, 1), true);
+    assert.strictEqual(markSeen(seen, 3), true);
+    assert.strictEqual(markSeen(seen, 1), false);
+    assert.strictEqual(markSeen(seen, 3), false);
+    assert.deepStrictEqual([seen.low, [...seen.above]], [1, [3]]);
+
+    // Filling the gap moves the low-water mark past everything contiguous
+    assert.strictEqual(markSeen(seen, 2), true);
+    assert.deepStrictEqual([seen.low, [...seen.above]], [3, []]);
+    assert.strictEqual(markSeen(seen, 2), false);
+});
+
+test('markSeen keeps a gap open until the sender settles it', () => {
+    const seen = record();
+    assert.strictEqual(markSeen(seen, 1, 0), true);
+    // Seq 2 is a reliable message still being retried: many newer ones don't close its gap
+    for (let seq = 3; seq <= 200; seq++) assert.strictEqual(markSeen(seen, seq, 1), true);
+    assert.strictEqual(seen.low, 1);
+    assert.strictEqual(markSeen(seen, 2, 1), true);
+    assert.deepStrictEqual([seen.low, seen.above.size], [200, 0]);
+});
+
+test('markSeen closes gaps the sender will never fill and forgets what lies below', () => {
+    const seen = record();
+    markSeen(seen, 1, 0);
+    markSeen(seen, 5, 0);
+    markSeen(seen, 9, 0);
+    // Seqs up to 7 were superseded or unreliable: 2-4 and 6-7 will never come
+    assert.strictEqual(markSeen(seen, 10, 7), true);
+    assert.deepStrictEqual([seen.low, [...seen.above].sort((a, b) => a - b)], [7, [9, 10]]);
+    assert.strictEqual(markSeen(seen, 6, 7), false);
+    assert.strictEqual(markSeen(seen, 8, 8), true);
+    assert.deepStrictEqual([seen.low, seen.above.size], [10, 0]);
+
+    // A settled mark on a duplicate still lets the record shrink
+    assert.strictEqual(markSeen(seen, 10, 12), false);
+    assert.strictEqual(seen.low, 12);
+});
+
+test('markSeen ignores envelopes without a whole-number seq', () => {
+    const seen = record();
+    assert.strictEqual(markSeen(seen, undefined), false);
+    assert.strictEqual(markSeen(seen, 1.5), false);
+    assert.deepStrictEqual([seen.low, seen.above.size], [0, 0]);
+});
+
+test('validateMessage reports missing and mistyped fields', () => {
+    assert.deepStrictEqual(validateMessage('feedback', { isMatch: true }), []);
+    assert.deepStrictEqual(validateMessage('feedback', {}), ["missing 'isMatch'"]);
+    assert.deepStrictEqual(validateMessage('adjust', { direction: 1, candidateId: 'c1' }), ["'direction' should be string, got number"]);
+    assert.deepStrictEqual(validateMessage('nonsense', {}), ["unknown message type 'nonsense'"]);
+});
+
+/**
+ * Two protocols joined by links that hold what they send until delivered, so a test can lose,
+ * repeat or reorder envelopes
+ */
+function connectedPair() {
+    const link = () => ({
+        queue: [],
+        receiver: null,
+        sendMessage(data) { this.queue.push(JSON.parse(JSON.stringify(data))); },
+        isReady: () => true,
+        onMessage(callback) { this.receiver = callback; }
+    });
+    const toB = link();
+    const toA = link();
+    const a = new MessageProtocol(toB, { ackTimeout: 5 });
+    const b = new MessageProtocol(toA, { ackTimeout: 5 });
+    // Each side delivers into the other's receive()
+    const deliver = (from, to, filter = () => true) => {
+        const pending = from.queue.splice(0);
+        pending.filter(filter).forEach(data => to.receiver(data));
+    };
+    return {
+        a,
+        b,
+        toB,
+        deliverToB: filter => deliver(toB, toA, filter),
+        deliverToA: filter => deliver(toA, toB, filter),
+        stop: () => [a, b].forEach(protocol => { protocol.outbox.clear(); clearTimeout(protocol.retryTimer); })
+    };
+}
+
+test('a reliable message retransmitted after many newer ones is still delivered once', () => {
+    const { a, b, deliverToB, deliverToA, stop } = connectedPair();
+    const handled = [];
+    b.on('feedback', payload => handled.push(payload.candidateId));
+
+    const lost = a.send('feedback', { isMatch: true, candidateId: 'first' });
+    deliverToB(data => data.id !== lost);
+    for (let i = 0; i < 100; i++) {
+        a.send('feedback', { isMatch: false, candidateId: 'n' + i });
+        deliverToB();
+        deliverToA();
+    }
+    assert.ok(a.outbox.has(lost), 'the lost message is still waiting for its ack');
+
+    a.flush();
+    deliverToB();
+    deliverToA();
+    assert.strictEqual(handled.filter(id => id === 'first').length, 1);
+    assert.strictEqual(a.outbox.size, 0);
+
+    // The ack of a retransmission can be lost too: the repeat is acknowledged but not handled again
+    a.flush();
+    deliverToB();
+    assert.strictEqual(handled.length, 101);
+    assert.strictEqual(b.received.get(a.instanceId).above.size, 0);
+    stop();
+});
+
+test('superseded latest-only messages leave no gap behind', () => {
+    const { a, b, deliverToB, deliverToA, stop } = connectedPair();
+    const colors = [];
+    b.on('color', payload => colors.push(payload.rgb.r));
+    for (let r = 0; r < 50; r++) {
+        a.send('color', { rgb: { r, g: 0, b: 0 }, cmyk: { c: 0, m: 0, y: 0, k: 0 }, mode: 'rgb' }, { latestOnly: true });
+    }
+    // Only the newest is still in the outbox; the older ones were dropped before delivery
+    deliverToB(data => data.seq === 50);
+    deliverToA();
+    assert.deepStrictEqual(colors, [49]);
+    assert.strictEqual(b.received.get(a.instanceId).low, 50);
+    assert.strictEqual(b.received.get(a.instanceId).above.size, 0);
+    stop();
+});
@@ -0,0 +1,21 @@
+/**
+ * Side-by-side search results
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColorMatcher } = require('../color-matcher.js');
+
+test('the pairwise result candidate keeps its ID and can be found while the guess is unchanged', () => {
+    const matcher = new ColorMatcher({ r: 200, g: 120, b: 60 }, { seed: 2 });
+    matcher.startPairwise();
+    const first = matcher.pairwiseResult().candidate;
+    assert.strictEqual(matcher.pairwiseResult().candidate.id, first.id);
+    assert.strictEqual(matcher.findCandidate(first.id), first);
+
+    const pair = matcher.getNextPair();
+    assert.ok(matcher.recordChoice(pair.id, pair.left.id));
+    const moved = matcher.pairwiseResult().candidate;
+    assert.notStrictEqual(moved.id, first.id);
+    assert.strictEqual(matcher.findCandidate(moved.id), moved);
+});
@@ -0,0 +1,45 @@
+/**
+ * Palette sessions: parts whose matches lost the difference between them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PaletteSession } = require('../palette-session.js');
+const { createColorMetric } = require('../color-matcher.js');
+
+/**
+ * Add a part and record its match, given as D65 LAB
+ */
+function matchPart(session, name, rgb, resultLab) {
+    const target = session.addTarget(rgb, { name });
+    session.setResult({ lab: resultLab, labD65: resultLab, whitePoint: 'D65/2' });
+    return target;
+}
+
+test('every pair is measured in the session metric, whatever each part was matched with', () => {
+    const session = new PaletteSession({ matcherOptions: { metric: 'cie76', seed: 1 } });
+    const body = matchPart(session, 'Body', { r: 200, g: 60, b: 50 }, { l: 50, a: 40, b: 30 });
+    const trim = matchPart(session, 'Trim', { r: 170, g: 40, b: 40 }, { l: 50, a: 40, b: 31 });
+    const cap = matchPart(session, 'Cap', { r: 150, g: 30, b: 30 }, { l: 50, a: 40, b: 32 });
+    // The parts were matched with different metrics before the session switched to CIE76
+    body.matcher.setMetric({ id: 'cmc', params: { l: 2, c: 1 } });
+    trim.matcher.setMetric('cam16ucs');
+
+    const cie76 = createColorMetric('cie76');
+    const warnings = session.separationWarnings();
+    assert.deepStrictEqual(warnings.map(w => [w.first, w.second]), [['Body', 'Trim'], ['Body', 'Cap'], ['Trim', 'Cap']]);
+    [[body, trim], [body, cap], [trim, cap]].forEach(([first, second], index) => {
+        assert.strictEqual(warnings[index].targetDeltaE, cie76(first.lab, second.lab));
+        assert.strictEqual(warnings[index].matchDeltaE, cie76(first.result.labD65, second.result.labD65));
+    });
+});
+
+test('matches as far apart as their parts raise no warning', () => {
+    const session = new PaletteSession({ matcherOptions: { seed: 1 } });
+    [['Light', { r: 220, g: 220, b: 210 }], ['Dark', { r: 40, g: 40, b: 50 }]].forEach(([name, rgb]) => {
+        // Each part matched exactly
+        const target = session.addTarget(rgb, { name });
+        session.setResult({ lab: target.lab, labD65: target.lab, whitePoint: 'D65/2' });
+    });
+    assert.deepStrictEqual(session.separationWarnings(), []);
+});
@@ -0,0 +1,91 @@
+/**
+ * Reference collections: CSV import and the collections kept in storage between visits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { csvRows, csvRecords, parseCollection, ReferenceLibrary } = require('../reference-library.js');
+
+test('csvRows keeps rows that start with a hex color and drops comments', () => {
+    const text = [
+        '# Brand colors',
+        'hex,name',
+        '',
+        '#FF0000,Red',
+        '  # indented comment',
+        '#00ff00 , "Green, bright"',
+        '#0000FF',
+        '#TODO add purple'
+    ].join('\r\n');
+    assert.deepStrictEqual(csvRows(text), [
+        ['hex', 'name'],
+        ['#FF0000', 'Red'],
+        ['#00ff00', 'Green, bright'],
+        ['#0000FF']
+    ]);
+});
+
+test('csvRecords keys cells by the lower-cased header and fills missing ones', () => {
+    assert.deepStrictEqual(csvRecords('Name,Code,HEX\nSignal red,3001,#9B2423\nTraffic white,9016\n'), [
+        { name: 'Signal red', code: '3001', hex: '#9B2423' },
+        { name: 'Traffic white', code: '9016', hex: '' }
+    ]);
+});
+
+test('a CSV collection whose rows start with hex colors imports every row', () => {
+    const collection = parseCollection('hex,name\n#FF0000,Red\n#00FF00,Green\n#0000FF,Blue\n', 'primaries.csv');
+    assert.strictEqual(collection.name, 'primaries');
+    assert.deepStrictEqual(collection.entries.map(entry => [entry.name, entry.hex]),
+        [['Red', '#FF0000'], ['Green', '#00FF00'], ['Blue', '#0000FF']]);
+
+    // A row without a color names its entry
+    assert.throws(() => parseCollection('name,lab\nPaper,95 0 -2\nInk,\n'), /No color in entry 2/);
+});
+
+/**
+ * localStorage for the length of a test
+ */
+function withStorage(t, initial = {}) {
+    const items = new Map(Object.entries(initial));
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+    t.after(() => { delete global.localStorage; });
+    return items;
+}
+
+test('restore() brings back saved collections and which are switched off', t => {
+    withStorage(t);
+    const library = new ReferenceLibrary();
+    const ral = library.add(parseCollection('name,hex\nSignal red,#9B2423\n', 'ral.csv'));
+    const brand = library.add(parseCollection('{"name": "Brand", "colors": [{"name": "Teal", "lab": "50 -30 -10"}]}'));
+    library.setEnabled('css', false);
+    library.setEnabled(ral.id, false);
+    assert.strictEqual(library.save(), true);
+
+    const restored = new ReferenceLibrary();
+    restored.restore();
+    assert.deepStrictEqual(restored.collections.map(c => [c.id, c.name, c.builtIn, c.enabled]), [
+        ['css', 'CSS named colors', true, false],
+        [ral.id, 'ral', false, false],
+        [brand.id, 'Brand', false, true]
+    ]);
+    assert.deepStrictEqual(restored.entries().map(entry => entry.name), ['Teal']);
+    // New collections don't reuse a restored collection's ID
+    assert.strictEqual(restored.add({ name: 'Next', entries: [] }).id, 'r3');
+});
+
+test('restore() leaves the built-in colors alone when storage holds nothing usable', t => {
+    const items = withStorage(t);
+    const warn = t.mock.method(console, 'warn', () => {});
+    const empty = new ReferenceLibrary();
+    empty.restore();
+    assert.strictEqual(empty.collections.length, 1);
+
+    items.set('referenceCollections', '{not json');
+    const broken = new ReferenceLibrary();
+    broken.restore();
+    assert.deepStrictEqual(broken.collections.map(c => [c.id, c.enabled]), [['css', true]]);
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
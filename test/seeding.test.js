@@ -0,0 +1,58 @@
+/**
+ * Seeded matchers replay the same session, and a saved one picks up where it left off
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColorMatcher } = require('../color-matcher.js');
+
+const TARGET = { r: 90, g: 140, b: 200 };
+
+function candidateList(matcher) {
+    return matcher.candidates.map(candidate => [candidate.rgb.r, candidate.rgb.g, candidate.rgb.b].join(','));
+}
+
+function pairOrder(matcher, count) {
+    const order = [];
+    for (let i = 0; i < count; i++) {
+        const pair = matcher.getNextPair();
+        order.push(pair.axis + ':' + pair.left.id + '|' + pair.right.id);
+        matcher.recordChoice(pair.id, pair.left.id);
+    }
+    return order;
+}
+
+test('the same seed gives the same candidates', () => {
+    const first = new ColorMatcher(TARGET, { seed: 7 });
+    const second = new ColorMatcher(TARGET, { seed: 7 });
+    first.generateInitialCandidates(50);
+    second.generateInitialCandidates(50);
+    assert.deepStrictEqual(candidateList(second), candidateList(first));
+
+    const other = new ColorMatcher(TARGET, { seed: 8 });
+    other.generateInitialCandidates(50);
+    assert.notDeepStrictEqual(candidateList(other), candidateList(first));
+});
+
+test('the same seed gives the same pair order', () => {
+    const first = new ColorMatcher(TARGET, { seed: 7 });
+    const second = new ColorMatcher(TARGET, { seed: 7 });
+    first.startPairwise();
+    second.startPairwise();
+    assert.deepStrictEqual(pairOrder(second, 8), pairOrder(first, 8));
+});
+
+test('a restored matcher continues the random sequence', () => {
+    const matcher = new ColorMatcher(TARGET, { seed: 7 });
+    matcher.generateInitialCandidates(50);
+    const restored = ColorMatcher.fromJSON(JSON.parse(JSON.stringify(matcher.toJSON())));
+    const expected = Array.from({ length: 5 }, () => matcher.random());
+    assert.deepStrictEqual(Array.from({ length: 5 }, () => restored.random()), expected);
+
+    // Candidates generated after the restore match those the original goes on to generate
+    matcher.candidates = [];
+    restored.candidates = [];
+    matcher.generateInitialCandidates(50);
+    restored.generateInitialCandidates(50);
+    assert.deepStrictEqual(candidateList(restored), candidateList(matcher));
+});
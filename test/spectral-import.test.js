@@ -0,0 +1,124 @@
+/**
+ * Spectral measurement import: the file parsers and the illuminant whites they are seen under
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ILLUMINANTS, spectrumToXyz, evaluateMeasurement, parseMeasurements } = require('../spectral-import.js');
+const { WHITE_POINTS, xyzToLab, deltaE2000 } = require('../color-matcher.js');
+
+const PERFECT_WHITE = { start: 380, step: 10, values: new Array(41).fill(1) };
+
+function assertLab(actual, expected, tolerance, label) {
+    ['l', 'a', 'b'].forEach(axis => assert.ok(Math.abs(actual[axis] - expected[axis]) <= tolerance,
+        `${label}: ${axis} ${actual[axis].toFixed(3)}, expected ${expected[axis]}`));
+}
+
+test('computed illuminant whites agree with WHITE_POINTS', () => {
+    // The fluorescent lines are narrower than the 10 nm grid, so those whites are only close
+    const tolerance = { F2: 0.8, F11: 0.8 };
+    Object.keys(ILLUMINANTS).forEach(illuminant => [2, 10].forEach(observer => {
+        const key = `${illuminant}/${observer}`;
+        if (!WHITE_POINTS[key]) return;
+        const { white } = spectrumToXyz(PERFECT_WHITE, { illuminant, observer });
+        const reference = WHITE_POINTS[key];
+        const error = deltaE2000(xyzToLab(white.x, white.y, white.z, reference), { l: 100, a: 0, b: 0 });
+        assert.ok(error < (tolerance[illuminant] || 0.15), `${key} white is ${error.toFixed(3)} ΔE off`);
+    }));
+});
+
+test('a perfect white reflector is L 100 under any light', () => {
+    ['D65', 'A', 'F11'].forEach(illuminant => {
+        const { lab, targetLab } = evaluateMeasurement({ name: 'white', spectrum: PERFECT_WHITE }, { illuminant });
+        assertLab(lab, { l: 100, a: 0, b: 0 }, 1e-6, illuminant);
+        assertLab(targetLab, { l: 100, a: 0, b: 0 }, 1e-3, `${illuminant} on screen`);
+    });
+});
+
+test('CSV with a sample per row or per column', () => {
+    const byRow = parseMeasurements('name,400,410,420\nGray,50,50,50\nRed,10,20,80\n', 'grays.csv');
+    assert.deepStrictEqual(byRow.map(m => m.name), ['Gray', 'Red']);
+    assert.deepStrictEqual(byRow[1].spectrum, { start: 400, step: 10, values: [0.1, 0.2, 0.8] });
+
+    const byColumn = parseMeasurements('nm,Gray,Red\n400,0.5,0.1\n410,0.5,0.2\n420,0.5,0.8\n');
+    assert.deepStrictEqual(byColumn.map(m => m.name), ['Gray', 'Red']);
+    assert.deepStrictEqual(byColumn[1].spectrum, { start: 400, step: 10, values: [0.1, 0.2, 0.8] });
+});
+
+test('CSV comments may be indented', () => {
+    const text = '# instrument export\nnm,Gray\n  # lamp warmed up\n400,0.5\n\t# filter M1\n410,0.5\n420,0.5\n';
+    assert.deepStrictEqual(parseMeasurements(text)[0].spectrum.values, [0.5, 0.5, 0.5]);
+});
+
+test('an incomplete CSV row is reported by line', () => {
+    assert.throws(() => parseMeasurements('nm,Gray\n400,0.5\n410,0.5\n420,0.5\n430\n'),
+        /Line 5 of the CSV has no number in column 2/);
+    assert.throws(() => parseMeasurements('name,400,410,420\nGray,50,n/a,50\n'),
+        /Line 2 of the CSV has no number in column 3/);
+    assert.throws(() => parseMeasurements('nm,Gray\n400,0.5\n410,0.5\n'), /at least 3 bands, found 2/);
+});
+
+test('CGATS with spectra, or LAB only', () => {
+    const spectral = parseMeasurements([
+        'CGATS.17',
+        'BEGIN_DATA_FORMAT',
+        'SAMPLE_ID SAMPLE_NAME SPECTRAL_NM400 SPECTRAL_NM410 SPECTRAL_NM420',
+        'END_DATA_FORMAT',
+        'BEGIN_DATA',
+        '1 "Warm gray" 40 42 44',
+        '2 Blue 60 30 10',
+        'END_DATA'
+    ].join('\n'));
+    assert.deepStrictEqual(spectral.map(m => m.name), ['Warm gray', 'Blue']);
+    assert.deepStrictEqual(spectral[0].spectrum, { start: 400, step: 10, values: [0.4, 0.42, 0.44] });
+
+    const lab = parseMeasurements([
+        'BEGIN_DATA_FORMAT',
+        'SAMPLE_NAME LAB_L LAB_A LAB_B',
+        'END_DATA_FORMAT',
+        'BEGIN_DATA',
+        'Paper 95.1 0.4 -2.3',
+        'END_DATA'
+    ].join('\n'));
+    assert.deepStrictEqual(lab, [{ name: 'Paper', lab: { l: 95.1, a: 0.4, b: -2.3 }, whitePoint: 'D50/2' }]);
+});
+
+test('CxF spectra take their range from the color specification', () => {
+    const measurements = parseMeasurements(`<?xml version="1.0"?>
+<cc:CxF xmlns:cc="http://colorexchangeformat.com/CxF3-core">
+  <cc:Resources>
+    <cc:ObjectCollection>
+      <cc:Object ObjectType="Standard" Name="Ochre" Id="1">
+        <cc:ColorValues>
+          <cc:ReflectanceSpectrum ColorSpecification="Spec1">0.2 0.3 0.5</cc:ReflectanceSpectrum>
+        </cc:ColorValues>
+      </cc:Object>
+      <cc:Object ObjectType="Standard" Name="Teal" Id="2">
+        <cc:ColorValues>
+          <cc:ColorCIELab ColorSpecification="Spec2"><cc:L>50</cc:L><cc:A>-30</cc:A><cc:B>-10</cc:B></cc:ColorCIELab>
+        </cc:ColorValues>
+      </cc:Object>
+    </cc:ObjectCollection>
+    <cc:ColorSpecificationCollection>
+      <cc:ColorSpecification Id="Spec1">
+        <cc:MeasurementSpec><cc:WavelengthRange StartWL="400" Increment="20"/></cc:MeasurementSpec>
+      </cc:ColorSpecification>
+      <cc:ColorSpecification Id="Spec2">
+        <cc:TristimulusSpec><cc:Illuminant>D65</cc:Illuminant><cc:Observer>10</cc:Observer></cc:TristimulusSpec>
+      </cc:ColorSpecification>
+    </cc:ColorSpecificationCollection>
+  </cc:Resources>
+</cc:CxF>`);
+    assert.deepStrictEqual(measurements, [
+        { name: 'Ochre', spectrum: { start: 400, step: 20, values: [0.2, 0.3, 0.5] } },
+        { name: 'Teal', lab: { l: 50, a: -30, b: -10 }, whitePoint: 'D65/10' }
+    ]);
+
+    // 10° LAB can't be turned into 2° without a spectrum
+    assert.strictEqual(evaluateMeasurement(measurements[1]).approximate, true);
+});
+
+test('files in no known format are refused', () => {
+    assert.throws(() => parseMeasurements('just some words'), /Not a CGATS, CxF or CSV/);
+    assert.throws(() => parseMeasurements('nm,Gray\n'), /No data in CSV file/);
+});
@@ -0,0 +1,53 @@
+/**
+ * Candidate strategies share the first round in proportion to their weights
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ColorMatcher } = require('../color-matcher.js');
+
+const TARGET = { r: 90, g: 140, b: 200 };
+
+function quotas(matcher, count) {
+    return Object.fromEntries(matcher.strategyQuotas(count).map(({ strategy, quota }) => [strategy.id, quota]));
+}
+
+test('quotas are whole numbers that add up to the count', () => {
+    const matcher = new ColorMatcher(TARGET);
+    [1, 7, 50, 51, 199].forEach(count => {
+        const shares = Object.values(quotas(matcher, count));
+        assert.ok(shares.every(Number.isInteger));
+        assert.strictEqual(shares.reduce((sum, quota) => sum + quota, 0), count);
+    });
+});
+
+test('quotas follow the weights', () => {
+    const matcher = new ColorMatcher(TARGET, {
+        strategies: { grid: { weight: 3 }, random: { weight: 1 }, lab: { weight: 2 }, gradient: false }
+    });
+    assert.deepStrictEqual(quotas(matcher, 60), { grid: 30, random: 10, lab: 20 });
+    // 50 × 3/6, 1/6, 2/6 = 25, 8.33, 16.67: the largest remainder (lab) takes the one left over
+    assert.deepStrictEqual(quotas(matcher, 50), { grid: 25, random: 8, lab: 17 });
+});
+
+test('each strategy is asked for its quota and the built-in ones deliver it', () => {
+    const asked = {};
+    const counting = id => ({
+        weight: 1,
+        generate: (matcher, count) => {
+            asked[id] = count;
+            return [];
+        }
+    });
+    const matcher = new ColorMatcher(TARGET, {
+        strategies: { grid: false, random: false, lab: false, gradient: false, a: counting('a'), b: counting('b'), c: counting('c') }
+    });
+    matcher.generateInitialCandidates(50);
+    assert.deepStrictEqual(asked, { a: 17, b: 17, c: 16 });
+
+    const builtIn = new ColorMatcher(TARGET, { seed: 1 });
+    assert.strictEqual(builtIn.generateRandomCandidates(13).length, 13);
+    assert.strictEqual(builtIn.generateLabSpaceCandidates(13).length, 13);
+    assert.strictEqual(builtIn.generateGradientCandidates(13).length, 13);
+    assert.strictEqual(builtIn.generateGridCandidates(13).length, 13);
+});
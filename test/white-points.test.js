@@ -0,0 +1,23 @@
+/**
+ * Converting sRGB to and from LAB relative to other reference whites
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { rgbToLab, labToRgb, labToWhite } = require('../color-matcher.js');
+
+test('LAB for another white converts back to the same sRGB', () => {
+    ['D65/2', 'D50/2', 'A/2', 'F11/2'].forEach(white => {
+        const lab = rgbToLab(200, 120, 60, white);
+        assert.deepStrictEqual(labToRgb(lab.l, lab.a, lab.b, white), { r: 200, g: 120, b: 60 }, white);
+    });
+    // sRGB white is the reference white whichever white the LAB is relative to
+    const white = rgbToLab(255, 255, 255, 'D50/2');
+    assert.ok(Math.abs(white.l - 100) < 1e-3 && Math.abs(white.a) < 1e-3 && Math.abs(white.b) < 1e-3);
+});
+
+test('an unknown white point is named in the error', () => {
+    assert.throws(() => rgbToLab(10, 20, 30, 'D60/2'), { message: "Unknown white point 'D60/2'" });
+    assert.throws(() => labToRgb(50, 0, 0, 'd50'), { message: "Unknown white point 'd50'" });
+    assert.throws(() => labToWhite({ l: 50, a: 0, b: 0 }, 'D50/2', { from: 'D93/2' }), { message: "Unknown white point 'D93/2'" });
+});
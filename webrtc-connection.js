@@ -4,14 +4,34 @@
  */
 
 class WebRTCConnection {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.waitForIceGathering=true] - Hold the offer/answer until ICE gathering
+     *     finishes, so it carries every candidate. Turn off when candidates are trickled separately.
+     */
+    constructor(options = {}) {
         this.pc = null;
         this.dataChannel = null;
         this.isInitiator = false;
-        this.onMessageCallback = null;
+        this.waitForIce = options.waitForIceGathering !== false;
+        this.onMessageCallbacks = [];
         this.onConnectionStateCallback = null;
         this.onDataChannelCallback = null;
         this.onIceCandidateCallback = null;
+        this.pendingLocalCandidates = [];
+        this.pendingRemoteCandidates = [];
+    }
+
+    /**
+     * Pass local candidates to the callback, or hold them until one is set.
+     * A null candidate marks the end of gathering.
+     */
+    handleLocalCandidate(candidate) {
+        if (this.onIceCandidateCallback) {
+            this.onIceCandidateCallback(candidate);
+        } else {
+            this.pendingLocalCandidates.push(candidate);
+        }
     }
 
     /**
@@ -39,11 +59,7 @@ class WebRTCConnection {
         this.setupDataChannel(this.dataChannel);
 
         // Handle ICE candidates - send them to answerer
-        this.pc.onicecandidate = (event) => {
-            if (event.candidate && this.onIceCandidateCallback) {
-                this.onIceCandidateCallback(event.candidate);
-            }
-        };
+        this.pc.onicecandidate = (event) => this.handleLocalCandidate(event.candidate || null);
 
         // Handle connection state changes
         this.pc.onconnectionstatechange = () => {
@@ -57,7 +73,7 @@ class WebRTCConnection {
         await this.pc.setLocalDescription(offer);
 
         // Wait for ICE gathering to complete
-        await this.waitForIceGathering();
+        if (this.waitForIce) await this.waitForIceGathering();
 
         return this.pc.localDescription;
     }
@@ -85,11 +101,7 @@ class WebRTCConnection {
         };
 
         // Handle ICE candidates - send them back to offerer
-        this.pc.onicecandidate = (event) => {
-            if (event.candidate && this.onIceCandidateCallback) {
-                this.onIceCandidateCallback(event.candidate);
-            }
-        };
+        this.pc.onicecandidate = (event) => this.handleLocalCandidate(event.candidate || null);
 
         // Handle connection state changes
         this.pc.onconnectionstatechange = () => {
@@ -100,31 +112,59 @@ class WebRTCConnection {
 
         // Set remote description (offer)
         await this.pc.setRemoteDescription(new RTCSessionDescription(offerSdp));
+        await this.flushRemoteCandidates();
 
         // Create answer
         const answer = await this.pc.createAnswer();
         await this.pc.setLocalDescription(answer);
 
         // Wait for ICE gathering to complete
-        await this.waitForIceGathering();
+        if (this.waitForIce) await this.waitForIceGathering();
 
         // Return answer so it can be sent back to offerer
         return this.pc.localDescription;
     }
     
     /**
-     * Set callback for ICE candidates
+     * Set callback for ICE candidates (null marks end-of-candidates).
+     * Candidates gathered before the callback was set are delivered right away.
      */
     onIceCandidate(callback) {
         this.onIceCandidateCallback = callback;
+        const pending = this.pendingLocalCandidates;
+        this.pendingLocalCandidates = [];
+        pending.forEach(candidate => callback(candidate));
     }
     
     /**
-     * Add ICE candidate from remote peer
+     * Add ICE candidate from remote peer (null for end-of-candidates).
+     * Candidates that arrive before the remote description are queued until it is set.
      */
     async addIceCandidate(candidate) {
-        if (this.pc && this.pc.remoteDescription) {
-            await this.pc.addIceCandidate(candidate);
+        if (!this.pc) return;
+        if (!this.pc.remoteDescription) {
+            this.pendingRemoteCandidates.push(candidate);
+            return;
+        }
+        try {
+            if (candidate) {
+                await this.pc.addIceCandidate(new RTCIceCandidate(candidate));
+            } else {
+                await this.pc.addIceCandidate();
+            }
+        } catch (err) {
+            console.warn('Could not add ICE candidate:', err);
+        }
+    }
+
+    /**
+     * Apply remote candidates queued before the remote description was set
+     */
+    async flushRemoteCandidates() {
+        const pending = this.pendingRemoteCandidates;
+        this.pendingRemoteCandidates = [];
+        for (const candidate of pending) {
+            await this.addIceCandidate(candidate);
         }
     }
 
@@ -134,6 +174,7 @@ class WebRTCConnection {
     async setRemoteDescription(sdp) {
         if (this.pc) {
             await this.pc.setRemoteDescription(new RTCSessionDescription(sdp));
+            await this.flushRemoteCandidates();
         }
     }
 
@@ -160,14 +201,14 @@ class WebRTCConnection {
         };
 
         channel.onmessage = (event) => {
+            let data;
             try {
-                const data = JSON.parse(event.data);
-                if (this.onMessageCallback) {
-                    this.onMessageCallback(data);
-                }
+                data = JSON.parse(event.data);
             } catch (e) {
                 console.error('Error parsing message:', e);
+                return;
             }
+            this.onMessageCallbacks.forEach(callback => callback(data));
         };
     }
 
@@ -185,10 +226,14 @@ class WebRTCConnection {
     }
 
     /**
-     * Set callback for incoming messages
+     * Add a callback for incoming messages
+     * @returns {Function} Unsubscribe function
      */
     onMessage(callback) {
-        this.onMessageCallback = callback;
+        this.onMessageCallbacks.push(callback);
+        return () => {
+            this.onMessageCallbacks = this.onMessageCallbacks.filter(c => c !== callback);
+        };
     }
 
     /**
@@ -308,72 +353,6 @@ function retrieveSdp(sessionId, type) {
     return null;
 }
 
-/** CORS proxy when dweet.cc is blocked from browser (e.g. GitHub Pages). */
-function dweetProxyUrl(url) {
-    return 'https://corsproxy.org/?' + encodeURIComponent(url);
-}
-
-/**
- * Store SDP on dweet.cc for signaling (tries direct, then CORS proxy if blocked).
- */
-async function storeSdpOnDweet(sessionId, sdp, type) {
-    const thingName = `colormatch-${sessionId}-${type}`;
-    const dweetUrl = `https://dweet.cc/dweet/for/${thingName}`;
-    const body = JSON.stringify({
-        type: type,
-        sdp: encodeSdp(sdp),
-        timestamp: Date.now()
-    });
-    const opts = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: body };
-
-    try {
-        let response;
-        try {
-            response = await fetch(dweetUrl, opts);
-        } catch (err) {
-            response = await fetch(dweetProxyUrl(dweetUrl), opts);
-        }
-        if (!response.ok) throw new Error('Failed to store on dweet.cc');
-        return true;
-    } catch (err) {
-        console.error('Error storing on dweet.cc:', err);
-        return false;
-    }
-}
-
-/**
- * Store ICE candidate on dweet.cc
- */
-async function storeIceCandidateOnDweet(sessionId, candidate, isOfferer) {
-    const thingName = `colormatch-${sessionId}-ice-${isOfferer ? 'offerer' : 'answerer'}`;
-    const dweetUrl = `https://dweet.cc/dweet/for/${thingName}`;
-    
-    try {
-        // Convert RTCIceCandidate to plain object for storage
-        const candidateObj = {
-            candidate: candidate.candidate || candidate,
-            sdpMLineIndex: candidate.sdpMLineIndex !== undefined ? candidate.sdpMLineIndex : null,
-            sdpMid: candidate.sdpMid || null
-        };
-        
-        const opts = {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ candidate: candidateObj, timestamp: Date.now() })
-        };
-        let response;
-        try {
-            response = await fetch(dweetUrl, opts);
-        } catch (err) {
-            response = await fetch(dweetProxyUrl(dweetUrl), opts);
-        }
-        return response.ok;
-    } catch (err) {
-        console.error('Error storing ICE candidate:', err);
-        return false;
-    }
-}
-
 /**
  * Generate shareable URL with short session ID (single-page app: same page with ?s= code)
  */
@@ -403,7 +382,7 @@ function generateShareableUrlWithSession(sessionId, baseUrl = null) {
 }
 
 /**
- * Generate answer URL (answer is stored on dweet.cc; URL for display only)
+ * Generate answer URL (answer is stored by the signaling transport; URL for display only)
  */
 function generateAnswerUrl(answer, sessionId, baseUrl = null) {
     if (!sessionId) sessionId = generateSessionId();
@@ -439,83 +418,6 @@ if (typeof window !== 'undefined') {
     window.decodeSdp = decodeSdp;
 }
 
-/**
- * Retrieve SDP from dweet.cc using session ID.
- * Retries a few times to handle propagation delay or transient failures.
- */
-async function retrieveSdpFromDweet(sessionId, type, maxRetries = 5) {
-    const thingName = `colormatch-${encodeURIComponent(sessionId)}-${type}`;
-    const url = `https://dweet.cc/get/latest/dweet/for/${thingName}`;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            let response;
-            try {
-                response = await fetch(url);
-            } catch (err) {
-                response = await fetch(dweetProxyUrl(url));
-            }
-            if (!response.ok) {
-                if (attempt < maxRetries) {
-                    await new Promise(r => setTimeout(r, 1500));
-                    continue;
-                }
-                return null;
-            }
-
-            const data = await response.json();
-            const dweet = (data.with && data.with[0]) ? data.with[0] : data;
-            const content = (dweet && dweet.content) ? dweet.content : dweet;
-            const sdpEncoded = content && (content.sdp || content.offer);
-            if (sdpEncoded) {
-                return decodeSdp(sdpEncoded);
-            }
-        } catch (err) {
-            console.warn('dweet.cc fetch attempt ' + attempt + ' failed:', err.message);
-            if (attempt < maxRetries) {
-                await new Promise(r => setTimeout(r, 1500));
-            } else {
-                console.error('Error retrieving from dweet.cc:', err);
-                return null;
-            }
-        }
-    }
-    return null;
-}
-
-/**
- * Retrieve ICE candidates from dweet.cc
- */
-async function retrieveIceCandidatesFromDweet(sessionId, isOfferer) {
-    const thingName = `colormatch-${sessionId}-ice-${isOfferer ? 'answerer' : 'offerer'}`;
-    const url = `https://dweet.cc/get/latest/dweet/for/${thingName}`;
-    try {
-        let response;
-        try {
-            response = await fetch(url);
-        } catch (err) {
-            response = await fetch(dweetProxyUrl(url));
-        }
-        if (!response.ok) return null;
-
-        const data = await response.json();
-        if (data.with && data.with.length > 0) {
-            const dweet = data.with[0];
-            if (dweet.content && dweet.content.candidate) {
-                // Return the full content including timestamp
-                return {
-                    candidate: dweet.content.candidate,
-                    timestamp: dweet.content.timestamp || dweet.created
-                };
-            }
-        }
-        return null;
-    } catch (err) {
-        console.error('Error retrieving ICE candidates:', err);
-        return null;
-    }
-}
-
 /**
  * Extract SDP from URL parameters (legacy support)
  */
@@ -543,8 +445,4 @@ if (typeof window !== 'undefined') {
     window.encodeSdp = encodeSdp;
     window.decodeSdp = decodeSdp;
     window.extractSdpFromUrl = extractSdpFromUrl;
-    window.retrieveSdpFromDweet = retrieveSdpFromDweet;
-    window.storeSdpOnDweet = storeSdpOnDweet;
-    window.storeIceCandidateOnDweet = storeIceCandidateOnDweet;
-    window.retrieveIceCandidatesFromDweet = retrieveIceCandidatesFromDweet;
 }